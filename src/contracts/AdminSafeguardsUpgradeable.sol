@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "./EnumerableRolesUpgradeable.sol";
+
+/**
+ * @title Admin Safeguards
+ * @dev Two-step admin handover and a last-admin guard on top of the enumerable role lists
+ * @notice Like EnumerableRolesUpgradeable it has no OpenZeppelin bases and keeps its state in a namespaced
+ * slot, so it is listed last and leaves the storage layout of deployed proxies unchanged. The inheriting
+ * contract names its admin roles, moves them on handover and calls _requireNotLastAdmin from _revokeRole.
+ */
+abstract contract AdminSafeguardsUpgradeable is EnumerableRolesUpgradeable {
+    /// @custom:storage-location erc7201:yieldvault.storage.AdminTransfer
+    struct AdminTransferStorage {
+        address initiator;
+        address pendingAdmin;
+        uint64 executableAt; // Zero when no handover is pending
+    }
+
+    /**
+     * @dev keccak256(abi.encode(uint256(keccak256("yieldvault.storage.AdminTransfer")) - 1)) & ~bytes32(uint256(0xff))
+     */
+    bytes32 private constant ADMIN_TRANSFER_STORAGE_SLOT =
+        0x39759072a2245787d967989da969128c26b811532a128359a5a3d68802c55b00;
+
+    /**
+     * @dev Wait between starting a handover and the new admin accepting it
+     */
+    uint256 public constant ADMIN_TRANSFER_DELAY = 2 days;
+
+    /**
+     * @dev AccessControl DEFAULT_ADMIN_ROLE, which starts and cancels handovers
+     */
+    bytes32 private constant DEFAULT_ADMIN = 0x00;
+
+    event AdminTransferStarted(address indexed initiator, address indexed pendingAdmin, uint256 executableAt);
+    event AdminTransferCancelled(address indexed initiator, address indexed pendingAdmin, address canceller);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+
+    error AdminTransferInvalid(address account, string reason);
+    error AdminRoleRemovalBlocked(bytes32 role, address account, string reason);
+
+    /**
+     * @notice Starts handing the caller's admin roles to a new account (default admin only)
+     * @dev Replaces any pending handover. The new admin accepts after ADMIN_TRANSFER_DELAY.
+     * @param newAdmin The account that will receive the admin roles
+     */
+    function beginAdminTransfer(address newAdmin) external virtual {
+        if (!_holdsRole(DEFAULT_ADMIN, msg.sender)) {
+            revert AdminTransferInvalid(msg.sender, "caller_not_admin");
+        }
+        if (newAdmin == address(0) || newAdmin == msg.sender) {
+            revert AdminTransferInvalid(newAdmin, "invalid_new_admin");
+        }
+
+        uint256 executableAt = block.timestamp + ADMIN_TRANSFER_DELAY;
+        AdminTransferStorage storage transfer = _adminTransferStorage();
+        transfer.initiator = msg.sender;
+        transfer.pendingAdmin = newAdmin;
+        transfer.executableAt = uint64(executableAt);
+        emit AdminTransferStarted(msg.sender, newAdmin, executableAt);
+    }
+
+    /**
+     * @notice Completes a pending handover (pending admin only)
+     * @dev The initiator must still be an admin; its admin roles move to the caller
+     */
+    function acceptAdminTransfer() external virtual {
+        AdminTransferStorage memory transfer = _adminTransferStorage();
+        if (transfer.executableAt == 0) {
+            revert AdminTransferInvalid(msg.sender, "no_pending_transfer");
+        }
+        if (msg.sender != transfer.pendingAdmin) {
+            revert AdminTransferInvalid(msg.sender, "caller_not_pending_admin");
+        }
+        if (block.timestamp < transfer.executableAt) {
+            revert AdminTransferInvalid(msg.sender, "delay_not_elapsed");
+        }
+        if (!_holdsRole(DEFAULT_ADMIN, transfer.initiator)) {
+            revert AdminTransferInvalid(transfer.initiator, "initiator_not_admin");
+        }
+
+        delete _adminTransferStorage().executableAt;
+        _transferAdminRoles(transfer.initiator, msg.sender);
+        emit AdminTransferred(transfer.initiator, msg.sender);
+    }
+
+    /**
+     * @notice Cancels the pending handover (default admin or pending admin)
+     */
+    function cancelAdminTransfer() external virtual {
+        AdminTransferStorage storage transfer = _adminTransferStorage();
+        if (transfer.executableAt == 0) {
+            revert AdminTransferInvalid(msg.sender, "no_pending_transfer");
+        }
+        if (msg.sender != transfer.pendingAdmin && !_holdsRole(DEFAULT_ADMIN, msg.sender)) {
+            revert AdminTransferInvalid(msg.sender, "caller_not_authorized");
+        }
+
+        delete transfer.executableAt;
+        emit AdminTransferCancelled(transfer.initiator, transfer.pendingAdmin, msg.sender);
+    }
+
+    /**
+     * @notice Returns the pending admin handover
+     * @return initiator The admin handing over its roles
+     * @return pendingAdmin The account that can accept
+     * @return executableAt When the handover can be accepted, zero when none is pending
+     */
+    function pendingAdminTransfer()
+        external
+        view
+        virtual
+        returns (address initiator, address pendingAdmin, uint256 executableAt)
+    {
+        AdminTransferStorage storage transfer = _adminTransferStorage();
+        if (transfer.executableAt == 0) return (address(0), address(0), 0);
+        return (transfer.initiator, transfer.pendingAdmin, transfer.executableAt);
+    }
+
+    /**
+     * @dev Moves the admin roles from one account to another, granting before revoking
+     */
+    function _transferAdminRoles(address from, address to) internal virtual;
+
+    /**
+     * @dev Reverts if the account is the last enumerated holder of an admin role.
+     * Upgraded proxies must sync the admin role members first, as unsynced holders are not counted.
+     */
+    function _requireNotLastAdmin(bytes32 role, address account) internal view {
+        if (_isAdminRole(role) && _holdsRole(role, account) && getRoleMemberCount(role) <= 1) {
+            revert AdminRoleRemovalBlocked(role, account, "last_admin");
+        }
+    }
+
+    /**
+     * @dev Returns whether a role is protected by the last-admin guard
+     */
+    function _isAdminRole(bytes32 role) internal view virtual returns (bool);
+
+    /**
+     * @dev Returns the namespaced handover storage
+     */
+    function _adminTransferStorage() private pure returns (AdminTransferStorage storage $) {
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            $.slot := ADMIN_TRANSFER_STORAGE_SLOT
+        }
+    }
+}
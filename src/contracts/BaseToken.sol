@@ -5,6 +5,9 @@ import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "./AdminSafeguardsUpgradeable.sol";
 
 /**
  * @title Base Token
@@ -15,13 +18,22 @@ contract BaseToken is
     ERC20Upgradeable, 
     AccessControlUpgradeable, 
     UUPSUpgradeable,
-    PausableUpgradeable 
+    PausableUpgradeable,
+    IERC20PermitUpgradeable,
+    AdminSafeguardsUpgradeable // Last, so the storage layout of deployed proxies is unchanged
 {
     // Roles
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
 
+    // EIP-2612, the domain is derived from the token name so proxies need no initialization for permits
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant EIP712_VERSION_HASH = keccak256("1");
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -83,6 +95,62 @@ contract BaseToken is
         _unpause();
     }
 
+    /**
+     * @dev Approves spending with an EIP-2612 signature
+     * @param owner Token owner who signed the permit
+     * @param spender Address allowed to spend the tokens
+     * @param value Allowance to set
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external override {
+        require(block.timestamp <= deadline, "ERC20Permit: expired deadline");
+
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, owner, spender, value, _permitNonces[owner]++, deadline)
+        );
+        address signer = ECDSAUpgradeable.recover(
+            ECDSAUpgradeable.toTypedDataHash(_domainSeparator(), structHash), v, r, s
+        );
+        require(signer == owner, "ERC20Permit: invalid signature");
+
+        _approve(owner, spender, value);
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator used for permits
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view override returns (bytes32) {
+        return _domainSeparator();
+    }
+
+    /**
+     * @dev Returns the nonce the next permit signature of owner must use
+     * @param owner Token owner
+     */
+    function nonces(address owner) public view override returns (uint256) {
+        return _permitNonces[owner];
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}. Adds the role enumeration interface
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == type(IAccessControlEnumerableUpgradeable).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
     /**
      * @dev Override to add pause functionality to transfers
      */
@@ -94,6 +162,31 @@ contract BaseToken is
         super._beforeTokenTransfer(from, to, amount);
     }
 
+    /**
+     * @dev Records the grant in the role member list
+     */
+    function _grantRole(bytes32 role, address account) internal override {
+        super._grantRole(role, account);
+        _addRoleMember(role, account);
+    }
+
+    /**
+     * @dev Records the revocation in the role member list, keeping at least one admin
+     */
+    function _revokeRole(bytes32 role, address account) internal override {
+        _requireNotLastAdmin(role, account);
+        super._revokeRole(role, account);
+        _removeRoleMember(role, account);
+    }
+
+    /**
+     * @dev Hands the default admin role over, granting before revoking
+     */
+    function _transferAdminRoles(address from, address to) internal override {
+        _grantRole(DEFAULT_ADMIN_ROLE, to);
+        _revokeRole(DEFAULT_ADMIN_ROLE, from);
+    }
+
     /**
      * @dev Required by UUPS pattern
      */
@@ -103,8 +196,49 @@ contract BaseToken is
         onlyRole(UPGRADER_ROLE) 
     {}
 
+    /**
+     * @dev Builds the EIP-712 domain separator from the current token name and chain
+     */
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes(name())),
+                EIP712_VERSION_HASH,
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Role member lists are reconciled by the admin of the role
+     */
+    function _authorizeRoleMembersSync(bytes32 role) internal view override {
+        _checkRole(getRoleAdmin(role));
+    }
+
+    /**
+     * @dev Role membership as recorded by AccessControl
+     */
+    function _holdsRole(bytes32 role, address account) internal view override returns (bool) {
+        return hasRole(role, account);
+    }
+
+    /**
+     * @dev Only the default admin can manage roles on the token
+     */
+    function _isAdminRole(bytes32 role) internal pure override returns (bool) {
+        return role == DEFAULT_ADMIN_ROLE;
+    }
+
+    /**
+     * @dev EIP-2612 permit nonces, taken from the storage gap
+     */
+    mapping(address => uint256) private _permitNonces;
+
     /**
      * @dev Storage gap for future upgrades
      */
-    uint256[50] private __gap;
+    uint256[49] private __gap;
 }
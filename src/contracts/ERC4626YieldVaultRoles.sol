@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+import "./AdminSafeguardsUpgradeable.sol";
+
+/**
+ * @title ERC4626YieldVaultRoles
+ * @dev Role enumeration and the last-admin guard for ERC4626YieldVault, shared with VaultRoleModule
+ * @notice AdminSafeguardsUpgradeable keeps its state in a namespaced slot, so it is listed last and leaves the
+ * storage layout of deployed proxies unchanged
+ */
+abstract contract ERC4626YieldVaultRoles is
+    ERC4626YieldVaultStorage,
+    AdminSafeguardsUpgradeable // Last, so the storage layout of deployed proxies is unchanged
+{
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /** @dev Records the grant in the role member list */
+    function _grantRole(bytes32 role, address account) internal override {
+        super._grantRole(role, account);
+        _addRoleMember(role, account);
+    }
+
+    /** @dev Records the revocation in the role member list, keeping at least one admin */
+    function _revokeRole(bytes32 role, address account) internal override {
+        _requireNotLastAdmin(role, account);
+        super._revokeRole(role, account);
+        _removeRoleMember(role, account);
+    }
+
+    /** @dev Hands both admin roles over, granting before revoking so the last-admin guard holds */
+    function _transferAdminRoles(address from, address to) internal override {
+        _moveRole(DEFAULT_ADMIN_ROLE, from, to);
+        if (hasRole(ADMIN_ROLE, from)) {
+            _moveRole(ADMIN_ROLE, from, to);
+        }
+    }
+
+    /** @dev Grants a role to `to` before revoking it from `from` */
+    function _moveRole(bytes32 role, address from, address to) internal {
+        _grantRole(role, to);
+        _revokeRole(role, from);
+    }
+
+    /**
+     * @dev Role member lists are reconciled by the admin of the role
+     */
+    function _authorizeRoleMembersSync(bytes32 role) internal view override {
+        _checkRole(getRoleAdmin(role));
+    }
+
+    /**
+     * @dev Role membership as recorded by AccessControl
+     */
+    function _holdsRole(bytes32 role, address account) internal view override returns (bool) {
+        return hasRole(role, account);
+    }
+
+    /**
+     * @dev Unpause, the setters and role management all need one of these roles
+     */
+    function _isAdminRole(bytes32 role) internal pure override returns (bool) {
+        return role == DEFAULT_ADMIN_ROLE || role == ADMIN_ROLE;
+    }
+}
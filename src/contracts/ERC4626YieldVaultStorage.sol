@@ -0,0 +1,1425 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-upgradeable/utils/math/MathUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @title ERC4626YieldVaultStorage
+ * @dev Types, storage, events and errors of ERC4626YieldVault, with the internals its modules share
+ * @notice Inherited by the vault and by every module, which run through delegatecall against the vault's storage.
+ * Declares all vault state, so new variables go here, above the storage gap.
+ */
+abstract contract ERC4626YieldVaultStorage is
+    ERC4626Upgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    AccessControlUpgradeable,
+    UUPSUpgradeable
+{
+    using MathUpgradeable for uint256;
+    using SafeCast for uint256;
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
+    // ============================================================================
+    // TYPES
+    // ============================================================================
+
+    struct NAVSubmission {
+        address oracle;
+        uint256 nav;
+        uint256 totalAssets;
+    }
+
+    struct PendingParameterChange {
+        uint256 value;
+        uint256 executableAt; // Zero when no change is queued
+    }
+
+    struct PendingUpgrade {
+        address implementation;
+        bytes32 codeHash;
+        uint256 executableAt; // Zero when no upgrade is announced
+    }
+
+    struct Strategy {
+        address destination;
+        uint256 allocationCap; // Basis points of totalAssetsManaged
+        uint256 deployed; // Principal currently held by the destination
+        uint256 activeFrom; // Zero when the strategy is not registered
+    }
+
+    enum InvestorTier {
+        None, // Untiered, uses the vault-wide limits
+        Retail,
+        Professional,
+        Institutional
+    }
+
+    struct InvestorProfile {
+        InvestorTier tier;
+        uint64 kycExpiry; // Zero when KYC does not expire
+    }
+
+    struct TierLimits {
+        uint256 maxUserDeposit; // Zero inherits maxUserDeposit
+        uint256 withdrawalCooldown; // Zero inherits withdrawalCooldown
+    }
+
+    struct NAVCheckpoint {
+        uint64 timestamp;
+        uint192 nav; // Post-fee NAV (18 decimals)
+    }
+
+    enum PausableOperation {
+        Deposits,
+        Withdrawals, // Withdrawals, redemptions and the redemption queue
+        NAVUpdates,
+        Treasury // Treasury and strategy asset movements
+    }
+
+    struct OutflowBucket {
+        uint256 usage; // Recorded outflows as of updatedAt
+        uint256 updatedAt;
+    }
+
+    enum BatchWithdrawalStatus {
+        Withdrawn,
+        ZeroShares,
+        InsufficientShares,
+        WithdrawalNotAllowed, // Deposit cooldown, withdrawal rate limit or NAV update delay
+        AccountRestricted, // Frozen owner, zero or frozen receiver, or receiver not whitelisted when restricted
+        InsufficientLiquidity,
+        OutflowLimitReached // The entry does not fit the remaining outflow capacity
+    }
+
+    enum StaleNAVPolicy {
+        Reject, // Every withdrawal path reverts until a fresh NAV is published
+        Queue // Direct withdrawals revert, redemption requests are accepted and fulfilled once NAV is fresh
+    }
+
+    // ============================================================================
+    // CONSTANTS - Security and Bounds Definitions  
+    // ============================================================================
+
+    /**
+     * @dev Maximum allowed NAV value: 1,000,000 tokens (with 18 decimals)
+     * Prevents extreme NAV values that could cause overflow in calculations
+     * Upper bound for Net Asset Value to maintain system stability
+     */
+    uint256 internal constant MAX_NAV_VALUE = 1e24; // Maximum NAV: 1,000,000 (with 18 decimals)
+    
+    /**
+     * @dev Minimum allowed NAV value: 0.000001 tokens (with 18 decimals)  
+     * Prevents NAV from going to zero which would break conversion calculations
+     * Lower bound ensures mathematical operations remain valid
+     */
+    uint256 internal constant MIN_NAV_VALUE = 1e12; // Minimum NAV: 0.000001 (with 18 decimals)
+    
+    /**
+     * @dev Maximum total assets: 1 billion tokens (with 18 decimals)
+     * System-wide limit to prevent overflow in asset calculations
+     * Protects against extreme total asset values
+     * Asset amount limits are written with 18 decimals and scaled to the asset through _toAssetDecimals
+     */
+    uint256 internal constant MAX_TOTAL_ASSETS = 1e27; // Maximum total assets: 1 billion tokens (with 18 decimals)
+    
+    /**
+     * @dev Maximum single deposit: 10 million tokens
+     * Per-transaction limit to prevent individual large deposits
+     * Helps maintain fair access and prevents single-user domination
+     */
+    uint256 internal constant MAX_SINGLE_DEPOSIT = 1e25; // Maximum single deposit: 10 million tokens
+    
+    /**
+     * @dev Maximum total shares that can exist
+     * Prevents share supply from reaching overflow limits
+     * System-wide cap on total share issuance
+     */
+    uint256 internal constant MAX_SHARES_SUPPLY = 1e27; // Maximum total shares that can exist
+
+    /**
+     * @dev Maximum annual management fee: 5% (basis points)
+     * Caps the time-based fee charged on total assets at each NAV update
+     */
+    uint256 internal constant MAX_MANAGEMENT_FEE = 500;
+
+    /**
+     * @dev Maximum performance fee: 30% (basis points)
+     * Caps the share of NAV gains above the high-water mark taken as fees
+     */
+    uint256 internal constant MAX_PERFORMANCE_FEE = 3000;
+
+    uint256 internal constant SECONDS_PER_YEAR = 365 days;
+
+    /**
+     * @dev Maximum oracle submissions per NAV round
+     * Bounds the gas used to sort submissions when computing the median
+     */
+    uint256 internal constant MAX_NAV_SUBMISSIONS = 15;
+
+    /**
+     * @dev Maximum tolerance for oracle agreement: 10% (basis points)
+     */
+    uint256 internal constant MAX_QUORUM_TOLERANCE = 1000;
+
+    /**
+     * @dev Minimum time between NAV updates
+     */
+    uint256 internal constant MIN_NAV_UPDATE_INTERVAL = 6 hours;
+
+    /**
+     * @dev Bounds for the governance delay applied to risk parameter changes
+     * Proxies upgraded from a version without timelock use the default delay
+     */
+    uint256 internal constant DEFAULT_PARAMETER_CHANGE_DELAY = 2 days;
+    uint256 internal constant MIN_PARAMETER_CHANGE_DELAY = 1 hours;
+    uint256 internal constant MAX_PARAMETER_CHANGE_DELAY = 30 days;
+
+    /**
+     * @dev Default wait between announcing and executing an upgrade
+     * Proxies upgraded from a version without upgrade delay use the default
+     */
+    uint256 internal constant DEFAULT_UPGRADE_DELAY = 2 days;
+
+    /**
+     * @dev Upper bound on registered strategies to keep allocation reporting bounded
+     */
+    uint256 internal constant MAX_STRATEGIES = 20;
+
+    /**
+     * @dev Bounds for the rolling window of the outflow circuit breaker
+     */
+    uint256 internal constant MIN_OUTFLOW_WINDOW = 1 hours;
+    uint256 internal constant MAX_OUTFLOW_WINDOW = 30 days;
+
+    /**
+     * @dev Upper bound for maxNAVAge; the lower bound is the minimum NAV update interval
+     */
+    uint256 internal constant MAX_NAV_AGE = 30 days;
+
+    /**
+     * @dev Number of NAV checkpoints kept on-chain
+     * At the minimum update interval this spans 32 days, enough for the 30-day trailing yield
+     */
+    uint256 internal constant NAV_HISTORY_SIZE = 128;
+
+    /**
+     * @dev EIP-712 type hashes for share permits (EIP-2612)
+     * Permit support is implemented inline so it appends to this contract's storage instead of
+     * inserting ERC20PermitUpgradeable storage ahead of it
+     */
+    bytes32 internal constant EIP712_DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 internal constant EIP712_VERSION_HASH = keccak256("1");
+    bytes32 internal constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev EIP-712 type hash of a compliance signer's single-use deposit authorization; binding the caller
+     * and the exact amount stops a watcher of the mempool from submitting the signature with other terms
+     */
+    bytes32 internal constant DEPOSIT_AUTHORIZATION_TYPEHASH = keccak256(
+        "DepositAuthorization(address caller,address receiver,uint256 assets,uint256 deadline,bytes32 nonce)"
+    );
+
+    // ============================================================================
+    // ROLES
+    // ============================================================================
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE");
+    bytes32 public constant COMPLIANCE_SIGNER_ROLE = keccak256("COMPLIANCE_SIGNER_ROLE");
+
+    // ============================================================================
+    // TIMELOCKED PARAMETERS
+    // ============================================================================
+
+    bytes32 public constant PARAM_WITHDRAWAL_COOLDOWN = keccak256("withdrawalCooldown");
+    bytes32 public constant PARAM_MAX_TOTAL_DEPOSITS = keccak256("maxTotalDeposits");
+    bytes32 public constant PARAM_MAX_NAV_CHANGE = keccak256("maxNAVChange");
+    bytes32 public constant PARAM_TREASURY_ADDRESS = keccak256("treasuryAddress");
+    bytes32 public constant PARAM_CHANGE_DELAY = keccak256("parameterChangeDelay");
+    bytes32 public constant PARAM_UPGRADE_DELAY = keccak256("upgradeDelay");
+    bytes32 public constant PARAM_MIN_RESERVE_RATIO = keccak256("minReserveRatio");
+    bytes32 public constant PARAM_MANAGEMENT_FEE = keccak256("managementFee");
+    bytes32 public constant PARAM_PERFORMANCE_FEE = keccak256("performanceFee");
+    bytes32 public constant PARAM_NAV_QUORUM = keccak256("navQuorum");
+    bytes32 public constant PARAM_MAX_USER_DEPOSIT = keccak256("maxUserDeposit");
+    bytes32 public constant PARAM_NAV_UPDATE_DELAY = keccak256("navUpdateDelay");
+    bytes32 public constant PARAM_OUTFLOW_LIMIT = keccak256("outflowLimit");
+
+    // ============================================================================
+    // STRATEGIES
+    // ============================================================================
+
+    /**
+     * @dev Identifier under which withdrawToTreasury and depositFromTreasury track treasuryAddress
+     */
+    bytes32 public constant TREASURY_STRATEGY_ID = keccak256("treasury");
+
+    /**
+     * @dev Redemption requests are aggregated per controller (ERC-7540 requestId 0)
+     */
+    uint256 internal constant REDEEM_REQUEST_ID = 0;
+
+    // ============================================================================
+    // STATE VARIABLES
+    // ============================================================================
+
+    // Core state
+    uint256 public currentNAV; // Net Asset Value (18 decimals, starts at 1e18)
+    uint256 public lastNAVUpdate;
+    uint256 public totalAssetsManaged;
+    address public treasuryAddress;
+
+    // Business logic constraints
+    uint256 public withdrawalCooldown;
+    uint256 public maxUserDeposit;
+    uint256 public maxTotalDeposits;
+
+    // Time constraints - simplified for efficiency
+    mapping(address => uint256) public lastDepositTime;
+    mapping(address => uint256) public lastWithdrawalTime;
+    mapping(address => uint256) public userDeposits;
+
+    // Security enhancements
+    uint256 public maxNAVChange;
+    uint256 public navUpdateDelay;
+    uint256 public lastNAVChangeTime;
+    uint256 public maxTotalAssetsDeviation;
+
+    // Whitelist functionality
+    bool public whitelistEnabled;
+    /// @custom:oz-renamed-from isWhitelisted
+    mapping(address => bool) internal _whitelisted;
+
+    // Asynchronous redemption queue (ERC-7540 style)
+    mapping(address => uint256) public pendingRedeemShares;
+    mapping(address => uint256) public claimableRedeemShares;
+    mapping(address => uint256) public claimableRedeemAssets;
+    uint256 public totalPendingRedeemShares;
+    uint256 public totalClaimableRedeemAssets; // Reserved for claims, excluded from vault liquidity
+
+    // Fee model
+    address public feeRecipient;
+    uint256 public managementFee; // Annual fee on total assets (basis points)
+    uint256 public performanceFee; // Fee on NAV gains above the high-water mark (basis points)
+    uint256 public highWaterMark; // Highest post-fee NAV (18 decimals)
+    uint256 public lastFeeAccrual;
+
+    // Multi-oracle NAV quorum
+    bool public navQuorumEnabled;
+    uint256 public navQuorum; // Agreeing submissions required to finalize a round (M of N)
+    uint256 public navQuorumTolerance; // Max deviation from the round median (basis points)
+    uint256 public navRound;
+    mapping(uint256 => NAVSubmission[]) internal _navSubmissions;
+    mapping(uint256 => mapping(address => bool)) public hasSubmittedNAV;
+
+    // Timelocked governance for risk parameters
+    uint256 public parameterChangeDelay;
+    mapping(bytes32 => PendingParameterChange) public pendingParameterChanges;
+
+    // Two-phase upgrades: announce, wait, execute
+    uint256 public upgradeDelay;
+    PendingUpgrade public pendingUpgrade;
+
+    // Strategy registry; the legacy treasury is tracked under TREASURY_STRATEGY_ID
+    mapping(bytes32 => Strategy) public strategies;
+    bytes32[] internal _strategyIds;
+
+    // Liquidity buffer kept in the vault, in basis points of totalAssetsManaged
+    uint256 public minReserveRatio;
+
+    // Compliance freeze, independent of the whitelist
+    EnumerableSetUpgradeable.AddressSet internal _frozenAccounts;
+
+    // Applies the whitelist to share transfers and withdrawal receivers, separately from deposit gating
+    bool public transferRestrictionEnabled;
+
+    // EIP-2612 permit nonces for vault shares
+    mapping(address => uint256) internal _permitNonces;
+
+    // NAV history ring buffer, indexed by checkpoint number modulo NAV_HISTORY_SIZE
+    mapping(uint256 => NAVCheckpoint) internal _navHistory;
+    uint256 public navCheckpointCount; // Total checkpoints ever written
+
+    // Investor tiers; an expired KYC drops the account to non-whitelisted and untiered
+    mapping(address => InvestorProfile) public investorProfiles;
+    mapping(InvestorTier => TierLimits) public tierLimits;
+
+    // Merkle whitelist; leaves are (account, tier, kycExpiry) and revocation blocks claims
+    bytes32 public whitelistMerkleRoot;
+    mapping(address => bool) public whitelistRevoked;
+    // Root each claimed entry was proven against, zero for admin entries
+    mapping(address => bytes32) public whitelistClaimRoot;
+
+    // Consumed deposit authorization nonces
+    mapping(bytes32 => bool) public authorizationUsed;
+
+    // Per-operation pause flags; the global pause overrides all of them
+    mapping(PausableOperation => bool) public operationPaused;
+
+    // Terminal shutdown; holders claim pro-rata shares of all liquidity returned to the vault
+    bool public isShutdown;
+    uint256 public shutdownTimestamp;
+    uint256 public shutdownTotalShares; // Share supply when the vault was shut down
+    uint256 public totalShutdownPaid; // Pro-rata assets paid out by shutdown claims
+    mapping(address => uint256) public shutdownShares; // Shares burned into each owner's claim
+    mapping(address => uint256) public shutdownPaid;
+
+    // Outflow circuit breaker; recorded outflows decay linearly over the window (token bucket).
+    // Withdrawals and Treasury each draw on their own bucket, so sweeps cannot use up the users' exit capacity.
+    uint256 public outflowLimit; // Max assets leaving per window and bucket, zero disables the breaker
+    uint256 public outflowWindow;
+    mapping(PausableOperation => OutflowBucket) internal _outflowBuckets;
+
+    // Shares always have 18 decimals; zero for 18-decimal assets, including proxies deployed before this field
+    uint8 internal _shareDecimalsOffset;
+
+    // Treasury ledger; outstanding principal is strategies[TREASURY_STRATEGY_ID].deployed
+    uint256 public totalRealizedYield; // Yield returned by the treasury on top of principal
+    uint256 public totalRealizedLoss; // Principal written off at final settlement
+
+    // NAV staleness guard; conversions stop once the NAV is older than maxNAVAge, zero disables the guard
+    uint256 public maxNAVAge;
+    StaleNAVPolicy public staleNAVPolicy;
+
+    // Storage gap for future upgrades; shrink it by the slots of any variable added above.
+    // The original __gap was used up by the variables above. Reusing its name makes the upgrades plugin
+    // compare the two as one gap that moved, so this one keeps its own name.
+    // solhint-disable-next-line var-name-mixedcase
+    uint256[50] private __gap_v2;
+
+    // ============================================================================
+    // EVENTS
+    // ============================================================================
+    event NAVUpdated(
+        uint256 oldNAV,
+        uint256 newNAV,
+        uint256 totalAssets,
+        uint256 timestamp
+    );
+    event TreasuryWithdrawal(
+        address indexed treasury,
+        uint256 amount,
+        uint256 remainingBalance
+    );
+    event TreasuryDeposit(
+        address indexed treasury,
+        uint256 amount,
+        uint256 newBalance,
+        uint256 yieldEarned
+    );
+    event TreasuryReturnRecorded(
+        address indexed treasury,
+        uint256 principal,
+        uint256 yieldEarned,
+        uint256 newBalance,
+        uint256 principalOutstanding
+    );
+    event TreasuryLossRecorded(address indexed treasury, uint256 loss, uint256 totalRealizedLoss);
+    event TreasuryPrincipalSeeded(address indexed admin, uint256 principal, uint256 principalOutstanding);
+    event WithdrawalCooldownUpdated(uint256 oldValue, uint256 newValue);
+    event MaxUserDepositUpdated(uint256 oldValue, uint256 newValue);
+    event MaxTotalDepositsUpdated(uint256 oldValue, uint256 newValue);
+    event MaxNAVChangeUpdated(uint256 oldValue, uint256 newValue);
+    event MinReserveRatioUpdated(uint256 oldValue, uint256 newValue);
+    event NAVUpdateDelayUpdated(uint256 oldValue, uint256 newValue);
+    event SlippageProtectionTriggered(
+        address indexed user,
+        uint256 expectedShares,
+        uint256 actualShares
+    );
+    event BatchWithdrawal(
+        address indexed admin,
+        uint256 totalAssets,
+        uint256 totalShares
+    );
+    event BatchWithdrawalItemProcessed(
+        uint256 indexed index,
+        address indexed owner,
+        address indexed receiver,
+        uint256 shares,
+        uint256 assets,
+        BatchWithdrawalStatus status
+    );
+
+    // Events for overflow monitoring (M-02)
+    event BoundsCheckFailed(
+        address indexed user,
+        string operation,
+        uint256 value,
+        uint256 limit
+    );
+    event ConversionOverflowPrevented(
+        address indexed user,
+        string operation,
+        uint256 inputValue
+    );
+
+    // Missing administrative events (L-01 fix)
+    event TreasuryAddressUpdated(
+        address indexed oldTreasury,
+        address indexed newTreasury,
+        address indexed admin
+    );
+    event UpgradeAuthorized(
+        address indexed admin,
+        address indexed newImplementation,
+        uint256 timestamp
+    );
+    event WithdrawalAttemptDuringCooldown(
+        address indexed user,
+        uint256 attemptedAmount,
+        uint256 remainingCooldownTime
+    );
+    event DepositLimitExceeded(
+        address indexed user,
+        uint256 attemptedAmount,
+        uint256 currentLimit,
+        string limitType
+    );
+    event NAVChangeRejected(
+        address indexed oracle,
+        uint256 proposedNAV,
+        uint256 currentNAV,
+        uint256 changePercentage,
+        uint256 maxAllowedChange
+    );
+
+    // Whitelist events
+    event WhitelistStatusChanged(bool enabled, address indexed admin);
+    event AddressWhitelisted(address indexed account, address indexed admin);
+    event AddressRemovedFromWhitelist(address indexed account, address indexed admin);
+    event WhitelistAccessDenied(address indexed account, string operation);
+    event InvestorProfileUpdated(
+        address indexed account,
+        InvestorTier tier,
+        uint256 kycExpiry,
+        address indexed admin
+    );
+    event TierMaxDepositUpdated(InvestorTier indexed tier, uint256 oldValue, uint256 newValue);
+    event TierWithdrawalCooldownUpdated(InvestorTier indexed tier, uint256 oldValue, uint256 newValue);
+    event WhitelistMerkleRootUpdated(bytes32 oldRoot, bytes32 newRoot, address indexed admin);
+    event WhitelistRevocationUpdated(address indexed account, bool revoked, address indexed admin);
+    event WhitelistClaimed(address indexed account, InvestorTier tier, uint256 kycExpiry, bytes32 indexed root);
+
+    // Compliance events
+    event AccountFrozen(address indexed account, address indexed officer);
+    event AccountUnfrozen(address indexed account, address indexed officer);
+    event TransferRestrictionStatusChanged(bool enabled, address indexed admin);
+
+    // Operation pause events
+    event OperationPaused(PausableOperation indexed operation, address account);
+    event OperationUnpaused(PausableOperation indexed operation, address account);
+
+    // Outflow circuit breaker events
+    event OutflowLimitUpdated(uint256 oldLimit, uint256 newLimit, uint256 oldWindow, uint256 newWindow);
+    event OutflowLimitReached(
+        PausableOperation indexed operation,
+        uint256 attemptedAmount,
+        uint256 usage,
+        uint256 limit
+    );
+
+    // NAV staleness events
+    event NAVStalenessPolicyUpdated(
+        uint256 oldMaxAge,
+        uint256 newMaxAge,
+        StaleNAVPolicy oldPolicy,
+        StaleNAVPolicy newPolicy
+    );
+
+    // Emergency shutdown events
+    event VaultShutdown(
+        address indexed admin,
+        uint256 frozenNAV,
+        uint256 totalShares,
+        uint256 liquidAssets
+    );
+    event ShutdownClaimed(
+        address indexed owner,
+        address indexed caller,
+        uint256 shares,
+        uint256 assets
+    );
+    event DepositAuthorizationUsed(
+        address indexed receiver,
+        bytes32 indexed nonce,
+        address indexed signer,
+        uint256 assets
+    );
+
+    // Redemption queue events
+    event RedeemRequest(
+        address indexed controller,
+        address indexed owner,
+        uint256 indexed requestId,
+        address sender,
+        uint256 shares
+    );
+    event RedeemRequestFulfilled(
+        address indexed controller,
+        uint256 shares,
+        uint256 assets,
+        uint256 nav
+    );
+    event RedeemClaimed(
+        address indexed controller,
+        address indexed receiver,
+        uint256 shares,
+        uint256 assets
+    );
+
+    // Fee events
+    event FeesAccrued(
+        address indexed recipient,
+        uint256 managementFeeAssets,
+        uint256 performanceFeeAssets,
+        uint256 feeShares,
+        uint256 netNAV
+    );
+    event ManagementFeeUpdated(uint256 oldValue, uint256 newValue);
+    event PerformanceFeeUpdated(uint256 oldValue, uint256 newValue);
+    event FeeRecipientUpdated(
+        address indexed oldRecipient,
+        address indexed newRecipient,
+        address indexed admin
+    );
+
+    // Oracle quorum events
+    event NAVSubmitted(
+        uint256 indexed round,
+        address indexed oracle,
+        uint256 nav,
+        uint256 totalAssets
+    );
+    event NAVQuorumReached(
+        uint256 indexed round,
+        uint256 medianNAV,
+        uint256 medianTotalAssets,
+        uint256 agreeingSubmissions,
+        uint256 totalSubmissions
+    );
+    event NAVSubmissionOutlier(
+        uint256 indexed round,
+        address indexed oracle,
+        uint256 nav,
+        uint256 totalAssets,
+        uint256 medianNAV,
+        uint256 medianTotalAssets
+    );
+    event NAVQuorumConfigUpdated(bool enabled, uint256 quorum, uint256 tolerance);
+    event NAVRoundReset(uint256 indexed round, address indexed admin);
+
+    // Parameter timelock events
+    event ParameterChangeQueued(
+        bytes32 indexed parameter,
+        uint256 value,
+        uint256 executableAt,
+        address indexed admin
+    );
+    event ParameterChangeCancelled(bytes32 indexed parameter, uint256 value, address indexed admin);
+    event ParameterChangeExecuted(bytes32 indexed parameter, uint256 value, address indexed admin);
+    event ParameterChangeDelayUpdated(uint256 oldValue, uint256 newValue);
+
+    // Upgrade timelock events
+    event UpgradeAnnounced(
+        address indexed implementation,
+        bytes32 codeHash,
+        uint256 executableAt,
+        address indexed upgrader
+    );
+    event UpgradeVetoed(address indexed implementation, address indexed guardian);
+    event UpgradeDelayUpdated(uint256 oldValue, uint256 newValue);
+
+    // Strategy events
+    event StrategyAdded(
+        bytes32 indexed strategyId,
+        address indexed destination,
+        uint256 allocationCap,
+        uint256 activeFrom
+    );
+    event StrategyRemoved(bytes32 indexed strategyId, address indexed destination);
+    event StrategyAllocationCapUpdated(bytes32 indexed strategyId, uint256 oldValue, uint256 newValue);
+    event StrategyWithdrawal(
+        bytes32 indexed strategyId,
+        address indexed destination,
+        uint256 amount,
+        uint256 deployed
+    );
+    event StrategyDeposit(
+        bytes32 indexed strategyId,
+        address indexed destination,
+        uint256 amount,
+        uint256 deployed,
+        uint256 yieldEarned
+    );
+
+    // ============================================================================
+    // CUSTOM ERRORS
+    // ============================================================================
+
+    error NAVOutOfRange(uint256 currentNAV, uint256 minAllowed, uint256 maxAllowed, string reason);
+    error ConversionOutOfBounds(uint256 inputAmount, uint256 maxAllowed, string operation);
+    error SlippageProtectionFailed(address user, uint256 limit, uint256 actual, string reason);
+    error DepositLimitsExceeded(
+        address user,
+        uint256 attemptedAmount,
+        uint256 currentUserDeposits,
+        uint256 maxUserLimit,
+        uint256 maxSingleDeposit,
+        uint256 maxTotalLimit,
+        string reason
+    );
+    error WithdrawalValidationFailed(
+        address user,
+        uint256 assets,
+        uint256 shares,
+        string reason
+    );
+    error NAVUpdateValidationFailed(
+        uint256 proposedNAV,
+        uint256 currentNAV,
+        uint256 changePercentage,
+        uint256 maxAllowedChange,
+        string reason
+    );
+    error AdminParameterInvalid(
+        string parameter,
+        uint256 proposedValue,
+        uint256 minAllowed,
+        uint256 maxAllowed,
+        string reason
+    );
+
+    // Whitelist errors
+    error WhitelistViolation(address account, string operation);
+    error AccountFrozenViolation(address account, string operation);
+
+    // Pause errors
+    error OperationPauseActive(PausableOperation operation, string reason);
+    error ShutdownClaimInvalid(address owner, string reason);
+    error StaleNAV(uint256 lastUpdate, uint256 maxAge, string reason);
+
+    // Permit errors
+    error PermitValidationFailed(address owner, uint256 deadline, string reason);
+    error DepositAuthorizationInvalid(address receiver, bytes32 nonce, string reason);
+    error WhitelistManagementFailed(address account, string reason);
+
+    // Redemption queue errors
+    error RedeemRequestInvalid(address controller, uint256 shares, string reason);
+
+    // Oracle quorum errors
+    error NAVSubmissionRejected(uint256 round, address oracle, string reason);
+
+    // Parameter timelock errors
+    error ParameterChangeNotReady(bytes32 parameter, uint256 executableAt, string reason);
+
+    // Upgrade timelock errors
+    error UpgradeNotAuthorized(address implementation, uint256 executableAt, string reason);
+
+    // Liquidity errors
+    error InsufficientReserveRatio(uint256 amount, uint256 deployableAssets, uint256 requiredReserve);
+
+    // Strategy errors
+    error StrategyValidationFailed(bytes32 strategyId, uint256 amount, uint256 limit, string reason);
+    error OutflowLimitExceeded(PausableOperation operation, uint256 amount, uint256 available, string reason);
+    error TreasuryReturnInvalid(uint256 principal, uint256 outstanding, string reason);
+
+    // ============================================================================
+    // MODIFIERS
+    // ============================================================================
+
+    /**
+     * @dev Modifier to check if an account is whitelisted when whitelist is enabled
+     * @param account The address to check whitelist status for
+     */
+    modifier onlyWhitelisted(address account) {
+        if (whitelistEnabled && !isWhitelisted(account)) {
+            emit WhitelistAccessDenied(account, "access_restricted_to_whitelisted_accounts");
+            revert WhitelistViolation(account, "account_not_whitelisted");
+        }
+        _;
+    }
+
+    /**
+     * @dev Modifier to check that an operation class is not individually paused
+     * The global pause is checked separately through whenNotPaused
+     * @param operation The operation class being performed
+     */
+    modifier whenOperationNotPaused(PausableOperation operation) {
+        if (operationPaused[operation]) {
+            revert OperationPauseActive(operation, "operation_paused");
+        }
+        _;
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns the total assets under management
+     * @return The total amount of underlying assets managed by the vault
+     */
+    function totalAssets() public view override returns (uint256) {
+        return totalAssetsManaged;
+    }
+
+    /**
+     * @notice Returns whether an account is whitelisted and its KYC has not expired
+     * @dev Merkle-claimed entries also require the root they were claimed under to still be current
+     * @param account The address to check
+     * @return True if the account is whitelisted
+     */
+    function isWhitelisted(address account) public view returns (bool) {
+        return _whitelisted[account] && _isClaimCurrent(account) && _isKYCCurrent(investorProfiles[account]);
+    }
+
+    /**
+     * @notice Returns the tier whose limits apply to an account
+     * @param account The address to check
+     * @return The investor tier, None once the account's KYC has expired or its claim root was rotated out
+     */
+    function getInvestorTier(address account) public view returns (InvestorTier) {
+        InvestorProfile memory profile = investorProfiles[account];
+        return _isClaimCurrent(account) && _isKYCCurrent(profile) ? profile.tier : InvestorTier.None;
+    }
+
+    /**
+     * @notice Returns whether an account is frozen
+     * @param account The address to check
+     * @return True if the account is frozen
+     */
+    function isFrozen(address account) public view returns (bool) {
+        return _frozenAccounts.contains(account);
+    }
+
+    /**
+     * @notice Checks if a user can withdraw based on cooldown and other constraints
+     * @param user The address to check withdrawal eligibility for
+     * @return True if withdrawal is allowed, false otherwise
+     */
+    function canWithdraw(address user) public view returns (bool) {
+        // Check deposit cooldown - primary flash loan protection
+        bool depositCooldownMet = _isDepositCooldownMet(user);
+
+        // Check withdrawal rate limiting (1 minute between withdrawals)
+        bool withdrawalRateLimitMet = lastWithdrawalTime[user] == 0 || 
+            block.timestamp >= lastWithdrawalTime[user] + 1 minutes;
+
+        // Check NAV update delay - prevent front-running
+        bool navDelayMet = block.timestamp >= lastNAVChangeTime + navUpdateDelay;
+
+        return depositCooldownMet && withdrawalRateLimitMet && navDelayMet;
+    }
+
+    /**
+     * @notice Returns whether an operation class is halted, either on its own or by the global pause
+     * @param operation The operation class to check
+     * @return True if the operation class cannot currently run
+     */
+    function isOperationPaused(PausableOperation operation) public view returns (bool) {
+        return paused() || operationPaused[operation];
+    }
+
+    /**
+     * @notice Returns the assets that can still be withdrawn by users in the current outflow window
+     * @return The remaining capacity, type(uint256).max when the circuit breaker is disabled
+     */
+    function availableOutflow() public view returns (uint256) {
+        return _availableOutflow(PausableOperation.Withdrawals);
+    }
+
+    /**
+     * @notice Returns whether the NAV is too old to price deposits and withdrawals
+     * @return True if the staleness guard is enabled and the last NAV update is older than maxNAVAge
+     */
+    function isNAVStale() public view returns (bool) {
+        uint256 maxAge = maxNAVAge;
+        return maxAge != 0 && block.timestamp - _navTimestamp() > maxAge;
+    }
+
+    /**
+     * @notice Returns the timelock identifier of a tier's withdrawal cooldown
+     * @param tier The investor tier
+     * @return The parameter identifier used by executeParameterChange and cancelParameterChange
+     */
+    function tierCooldownParameter(InvestorTier tier) public pure returns (bytes32) {
+        return keccak256(abi.encode(PARAM_WITHDRAWAL_COOLDOWN, tier));
+    }
+
+    /**
+     * @notice Returns the timelock identifier of a tier's per-user deposit limit
+     * @param tier The investor tier
+     * @return The parameter identifier used by executeParameterChange and cancelParameterChange
+     */
+    function tierMaxDepositParameter(InvestorTier tier) public pure returns (bytes32) {
+        return keccak256(abi.encode(PARAM_MAX_USER_DEPOSIT, tier));
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @dev Records an outflow against its operation class's bucket, reverting if it does not fit the remaining
+     * window capacity. The outflow that exhausts the capacity completes and pauses its operation class.
+     */
+    function _recordOutflow(uint256 assets, PausableOperation operation) internal {
+        uint256 limit = outflowLimit;
+        if (limit == 0) return;
+
+        uint256 usage = _currentOutflowUsage(operation);
+        uint256 available = usage < limit ? limit - usage : 0;
+        if (assets > available) {
+            revert OutflowLimitExceeded(operation, assets, available, "outflow_limit_exceeded");
+        }
+        usage += assets;
+        OutflowBucket storage bucket = _outflowBuckets[operation];
+        bucket.usage = usage;
+        bucket.updatedAt = block.timestamp;
+
+        if (usage >= limit) {
+            emit OutflowLimitReached(operation, assets, usage, limit);
+            if (!operationPaused[operation]) {
+                operationPaused[operation] = true;
+                emit OperationPaused(operation, address(this));
+            }
+        }
+    }
+
+    /**
+     * @dev Records a withdrawal-class outflow, see _recordOutflow
+     */
+    function _recordWithdrawalOutflow(uint256 assets) internal {
+        _recordOutflow(assets, PausableOperation.Withdrawals);
+    }
+
+    /**
+     * @dev Emits SlippageProtectionTriggered and reverts when a slippage bound is violated.
+     * The event is rolled back with the revert and only shows up in transaction traces.
+     */
+    function _enforceSlippageBound(bool violated, uint256 limit, uint256 actual, string memory reason) internal {
+        if (violated) {
+            emit SlippageProtectionTriggered(_msgSender(), limit, actual);
+            revert SlippageProtectionFailed(_msgSender(), limit, actual, reason);
+        }
+    }
+
+    /**
+     * @dev Blocks frozen accounts from sending, receiving, minting or burning shares.
+     * In transfer restriction mode both sides of a transfer must be whitelisted; the vault itself is
+     * exempt so shares can be locked for asynchronous redemption.
+     * Transfers move the recipient's deposit time towards the sender's, weighted by the shares received
+     * against the recipient's balance, so fresh shares cannot be redeemed early from another address
+     * and dust cannot restart a seasoned holder's cooldown.
+     */
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        if (from != address(0)) _requireNotFrozen(from, "transfer_from");
+        if (to != address(0)) _requireNotFrozen(to, "transfer_to");
+        if (from != address(0) && to != address(0) && transferRestrictionEnabled) {
+            if (from != address(this) && !isWhitelisted(from)) {
+                revert WhitelistViolation(from, "share_transfer_sender_not_whitelisted");
+            }
+            if (to != address(this) && !isWhitelisted(to)) {
+                revert WhitelistViolation(to, "share_transfer_recipient_not_whitelisted");
+            }
+        }
+        if (from != address(0) && to != address(0) && to != address(this)) {
+            // Only ever move the recipient's deposit time forward, in proportion to the shares received
+            uint256 senderDepositTime = lastDepositTime[from];
+            uint256 recipientDepositTime = lastDepositTime[to];
+            if (senderDepositTime > recipientDepositTime && amount > 0) {
+                lastDepositTime[to] = recipientDepositTime +
+                    (senderDepositTime - recipientDepositTime).mulDiv(amount, balanceOf(to) + amount);
+            }
+        }
+        super._beforeTokenTransfer(from, to, amount);
+    }
+
+    /**
+     * @dev Appends the current NAV to the history ring buffer, overwriting the oldest checkpoint when full
+     */
+    function _recordNAVCheckpoint() internal {
+        NAVCheckpoint storage checkpoint = _navHistory[navCheckpointCount % NAV_HISTORY_SIZE];
+        checkpoint.timestamp = block.timestamp.toUint64();
+        checkpoint.nav = currentNAV.toUint192();
+        navCheckpointCount++;
+    }
+
+    /**
+     * @dev Accrues management and performance fees and mints them as shares to the fee recipient
+     * @param grossNAV The NAV reported by the oracle, before fees
+     * @param newTotalAssets The total assets reported by the oracle
+     * @return netNAV The NAV per share after fee dilution
+     */
+    function _accrueFees(uint256 grossNAV, uint256 newTotalAssets) internal returns (uint256 netNAV) {
+        (uint256 managementFeeAssets, uint256 performanceFeeAssets) = _calculateFees(grossNAV, newTotalAssets);
+        lastFeeAccrual = block.timestamp;
+
+        uint256 feeAssets = managementFeeAssets + performanceFeeAssets;
+        uint256 supply = totalSupply();
+        netNAV = grossNAV;
+
+        // Non-zero fees require a recipient, see _validateFee
+        if (feeAssets > 0 && supply > 0) {
+            // Existing holders absorb the fee: supply * netNAV + fee = supply * grossNAV
+            uint256 navReduction = feeAssets.mulDiv(_conversionScale(), supply, MathUpgradeable.Rounding.Up);
+            if (navReduction >= grossNAV || grossNAV - navReduction < MIN_NAV_VALUE) {
+                revert NAVUpdateValidationFailed(grossNAV, currentNAV, 0, 0, "fees_exceed_nav");
+            }
+            netNAV = grossNAV - navReduction;
+
+            uint256 feeShares = feeAssets.mulDiv(_conversionScale(), netNAV, MathUpgradeable.Rounding.Down);
+            _mint(feeRecipient, feeShares);
+            emit FeesAccrued(feeRecipient, managementFeeAssets, performanceFeeAssets, feeShares, netNAV);
+        }
+
+        if (netNAV > highWaterMark) {
+            highWaterMark = netNAV;
+        }
+    }
+
+    /**
+     * @dev Stores an account's investor tier and KYC expiry
+     */
+    function _setInvestorProfile(address account, InvestorTier tier, uint64 kycExpiry) internal {
+        InvestorProfile storage profile = investorProfiles[account];
+        profile.tier = tier;
+        profile.kycExpiry = kycExpiry;
+    }
+
+    /**
+     * @dev Queues a parameter change, replacing and restarting any change already pending for it
+     * @return executableAt The timestamp from which the change can be executed
+     */
+    function _queueParameterChange(bytes32 parameter, uint256 value) internal returns (uint256 executableAt) {
+        uint256 delay = parameterChangeDelay == 0 ? DEFAULT_PARAMETER_CHANGE_DELAY : parameterChangeDelay;
+        executableAt = block.timestamp + delay;
+        PendingParameterChange storage change = pendingParameterChanges[parameter];
+        change.value = value;
+        change.executableAt = executableAt;
+        emit ParameterChangeQueued(parameter, value, executableAt, _msgSender());
+    }
+
+    /**
+     * @dev Only the announced implementation, with unchanged code, can be installed after its delay.
+     * The announcement is consumed so each announcement authorizes a single upgrade.
+     */
+    function _authorizeUpgrade(
+        address newImplementation
+    ) internal override onlyRole(UPGRADER_ROLE) {
+        PendingUpgrade memory pending = pendingUpgrade;
+        if (pending.executableAt == 0 || pending.implementation != newImplementation) {
+            revert UpgradeNotAuthorized(newImplementation, pending.executableAt, "implementation_not_announced");
+        }
+        if (block.timestamp < pending.executableAt) {
+            revert UpgradeNotAuthorized(newImplementation, pending.executableAt, "delay_not_elapsed");
+        }
+        if (newImplementation.codehash != pending.codeHash) {
+            revert UpgradeNotAuthorized(newImplementation, pending.executableAt, "code_hash_mismatch");
+        }
+
+        delete pendingUpgrade;
+        emit UpgradeAuthorized(
+            _msgSender(),
+            newImplementation,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Reverts once a slippage-protected call's deadline has passed
+     */
+    function _checkSlippageDeadline(uint256 deadline) internal view {
+        if (block.timestamp > deadline) {
+            revert SlippageProtectionFailed(_msgSender(), deadline, block.timestamp, "deadline_expired");
+        }
+    }
+
+    /**
+     * @dev Checks the anti-flash-loan deposit cooldown for a user
+     * @param user The user address to check
+     * @return true if the user never deposited or the cooldown has elapsed
+     */
+    function _isDepositCooldownMet(address user) internal view returns (bool) {
+        return lastDepositTime[user] == 0 ||
+            block.timestamp >= lastDepositTime[user] + _getWithdrawalCooldown(user);
+    }
+
+    /**
+     * @dev Recorded outflows of an operation class after linear decay, fully released once a whole window has passed
+     */
+    function _currentOutflowUsage(PausableOperation operation) internal view returns (uint256) {
+        OutflowBucket memory bucket = _outflowBuckets[operation];
+        uint256 elapsed = block.timestamp - bucket.updatedAt;
+        if (elapsed >= outflowWindow) return 0;
+        uint256 released = outflowLimit.mulDiv(elapsed, outflowWindow);
+        return bucket.usage > released ? bucket.usage - released : 0;
+    }
+
+    /**
+     * @dev Remaining outflow capacity of an operation class, type(uint256).max when the breaker is disabled
+     */
+    function _availableOutflow(PausableOperation operation) internal view returns (uint256) {
+        uint256 limit = outflowLimit;
+        if (limit == 0) return type(uint256).max;
+        uint256 usage = _currentOutflowUsage(operation);
+        return usage < limit ? limit - usage : 0;
+    }
+
+    /**
+     * @dev Returns the deposit cooldown of the account's effective tier
+     */
+    function _getWithdrawalCooldown(address account) internal view returns (uint256) {
+        InvestorTier tier = getInvestorTier(account);
+        if (tier == InvestorTier.None) return withdrawalCooldown;
+        uint256 cooldown = tierLimits[tier].withdrawalCooldown;
+        return cooldown == 0 ? withdrawalCooldown : cooldown;
+    }
+
+    /**
+     * @dev Returns whether an account's whitelist entry is an admin entry or was claimed under the current root
+     */
+    function _isClaimCurrent(address account) internal view returns (bool) {
+        bytes32 claimRoot = whitelistClaimRoot[account];
+        return claimRoot == bytes32(0) || claimRoot == whitelistMerkleRoot;
+    }
+
+    /**
+     * @dev Returns whether the KYC of an investor profile is still current
+     */
+    function _isKYCCurrent(InvestorProfile memory profile) internal view returns (bool) {
+        return profile.kycExpiry == 0 || block.timestamp < profile.kycExpiry;
+    }
+
+    /**
+     * @dev Validates NAV is within bounds to eliminate code duplication
+     */
+    function _validateNAVBounds() internal view {
+        if (currentNAV < MIN_NAV_VALUE || currentNAV > MAX_NAV_VALUE) {
+            revert NAVOutOfRange(currentNAV, MIN_NAV_VALUE, MAX_NAV_VALUE, "nav_bounds_check_failed");
+        }
+    }
+
+    /**
+     * @dev Gets vault balance to eliminate repeated IERC20 calls
+     * Assets reserved for claimable redemptions are excluded as they no longer back shares
+     */
+    function _getVaultBalance() internal view returns (uint256) {
+        uint256 balance = _underlyingAsset().balanceOf(address(this));
+        return balance > totalClaimableRedeemAssets ? balance - totalClaimableRedeemAssets : 0;
+    }
+
+    /**
+     * @dev The underlying asset as a token contract
+     */
+    function _underlyingAsset() internal view returns (IERC20Upgradeable) {
+        return IERC20Upgradeable(asset());
+    }
+
+    // Override conversion functions to use custom NAV logic (M-02 fix)
+    function _convertToShares(
+        uint256 assets,
+        MathUpgradeable.Rounding rounding
+    ) internal view override returns (uint256) {
+        // Pure mathematical conversion using current NAV
+        // Business logic validations are handled in maxDeposit() and _deposit()
+        return assets.mulDiv(_conversionScale(), currentNAV, rounding);
+    }
+
+    function _convertToAssets(
+        uint256 shares,
+        MathUpgradeable.Rounding rounding
+    ) internal view override returns (uint256) {
+        // Pure mathematical conversion using current NAV
+        // Business logic validations are handled in maxWithdraw() and _withdraw()
+        return shares.mulDiv(currentNAV, _conversionScale(), rounding);
+    }
+
+    /**
+     * @dev Offset between the asset's decimals and the 18-decimal shares. See {ERC4626Upgradeable-decimals}.
+     */
+    function _decimalsOffset() internal view override returns (uint8) {
+        return _shareDecimalsOffset;
+    }
+
+    /**
+     * @dev Assets per share-unit scale of the 18-decimal NAV: 1e18 times the share decimals offset
+     */
+    function _conversionScale() internal view returns (uint256) {
+        return 1e18 * 10 ** _shareDecimalsOffset;
+    }
+
+    /**
+     * @dev Converts an amount written with 18 decimals to the asset's decimals
+     */
+    function _toAssetDecimals(uint256 amount) internal view returns (uint256) {
+        return amount / 10 ** _shareDecimalsOffset;
+    }
+
+    /**
+     * @dev Calculates fees owed for a NAV update, in asset terms
+     * @param grossNAV The NAV before fees
+     * @param assetsUnderManagement The total assets the management fee is charged on
+     * @return managementFeeAssets Time-based fee since the last accrual
+     * @return performanceFeeAssets Fee on the gain of grossNAV above the high-water mark
+     */
+    function _calculateFees(
+        uint256 grossNAV,
+        uint256 assetsUnderManagement
+    ) internal view returns (uint256 managementFeeAssets, uint256 performanceFeeAssets) {
+        managementFeeAssets = _managementFeeAssets(assetsUnderManagement);
+
+        // Proxies upgraded from a version without fees start from the current NAV
+        uint256 hwm = highWaterMark == 0 ? currentNAV : highWaterMark;
+        if (performanceFee > 0 && grossNAV > hwm) {
+            performanceFeeAssets = totalSupply().mulDiv(
+                (grossNAV - hwm) * performanceFee,
+                _conversionScale() * 10000
+            );
+        }
+    }
+
+    /**
+     * @dev Time-based management fee on assetsUnderManagement since the last accrual, in asset terms
+     */
+    function _managementFeeAssets(uint256 assetsUnderManagement) internal view returns (uint256) {
+        if (managementFee == 0 || lastFeeAccrual == 0 || block.timestamp <= lastFeeAccrual) return 0;
+        return assetsUnderManagement.mulDiv(
+            managementFee * (block.timestamp - lastFeeAccrual),
+            10000 * SECONDS_PER_YEAR
+        );
+    }
+
+    /**
+     * @dev Reverts if the NAV is too old to price conversions
+     */
+    function _requireFreshNAV() internal view {
+        if (isNAVStale()) {
+            revert StaleNAV(_navTimestamp(), maxNAVAge, "nav_stale");
+        }
+    }
+
+    /**
+     * @dev Time the current NAV was set; the initial NAV dates from deployment, recorded in lastNAVChangeTime
+     */
+    function _navTimestamp() internal view returns (uint256) {
+        uint256 lastUpdate = lastNAVUpdate;
+        return lastUpdate == 0 ? lastNAVChangeTime : lastUpdate;
+    }
+
+    /**
+     * @dev Reverts if the account is frozen
+     */
+    function _requireNotFrozen(address account, string memory operation) internal view {
+        if (_frozenAccounts.contains(account)) {
+            revert AccountFrozenViolation(account, operation);
+        }
+    }
+
+    /**
+     * @dev Reverts if the account may not receive assets leaving the vault
+     */
+    function _validateAssetReceiver(address receiver, string memory operation) internal view {
+        _requireNotFrozen(receiver, operation);
+        if (transferRestrictionEnabled && !isWhitelisted(receiver)) {
+            revert WhitelistViolation(receiver, "receiver_not_whitelisted");
+        }
+    }
+
+    /**
+     * @dev Validates a management or performance fee value against its cap and the fee recipient
+     */
+    function _validateFee(bytes32 parameter, uint256 fee) internal view {
+        bool management = parameter == PARAM_MANAGEMENT_FEE;
+        string memory name = management ? "managementFee" : "performanceFee";
+        uint256 maxFee = management ? MAX_MANAGEMENT_FEE : MAX_PERFORMANCE_FEE;
+        if (fee > maxFee) {
+            revert AdminParameterInvalid(name, fee, 0, maxFee, "fee_exceeds_maximum_allowed");
+        }
+        if (fee > 0 && feeRecipient == address(0)) {
+            revert AdminParameterInvalid(name, fee, 0, maxFee, "fee_recipient_not_set");
+        }
+    }
+
+    /**
+     * @dev Validates the per-user deposit limit against the single deposit maximum
+     */
+    function _validateMaxUserDeposit(uint256 _maxUserDeposit) internal view {
+        // Combined bounds checking for gas optimization
+        uint256 maxSingleDeposit = _toAssetDecimals(MAX_SINGLE_DEPOSIT);
+        if (_maxUserDeposit == 0 || _maxUserDeposit > maxSingleDeposit) {
+            revert AdminParameterInvalid(
+                "maxUserDeposit",
+                _maxUserDeposit,
+                1,
+                maxSingleDeposit,
+                "invalid_user_deposit_limit"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates a tier's per-user deposit limit, where zero falls back to maxUserDeposit
+     */
+    function _validateTierMaxDeposit(uint256 _maxUserDeposit) internal view {
+        uint256 maxSingleDeposit = _toAssetDecimals(MAX_SINGLE_DEPOSIT);
+        if (_maxUserDeposit > maxSingleDeposit) {
+            revert AdminParameterInvalid(
+                "tierMaxDeposit",
+                _maxUserDeposit,
+                0,
+                maxSingleDeposit,
+                "invalid_user_deposit_limit"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates an outflow circuit breaker configuration, the window only matters for a non-zero limit
+     */
+    function _validateOutflowLimit(uint256 _limit, uint256 _window) internal view {
+        uint256 maxTotalAssets = _toAssetDecimals(MAX_TOTAL_ASSETS);
+        if (_limit > maxTotalAssets) {
+            revert AdminParameterInvalid("outflowLimit", _limit, 0, maxTotalAssets, "outflow_limit_exceeds_maximum");
+        }
+        if (_limit > 0 && (_window < MIN_OUTFLOW_WINDOW || _window > MAX_OUTFLOW_WINDOW)) {
+            revert AdminParameterInvalid(
+                "outflowWindow",
+                _window,
+                MIN_OUTFLOW_WINDOW,
+                MAX_OUTFLOW_WINDOW,
+                "window_outside_allowed_range"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates the vault-wide deposit limit against the per-user limit and system maximum
+     */
+    function _validateMaxTotalDeposits(uint256 _maxTotalDeposits) internal view {
+        // Combined bounds checking for gas optimization
+        uint256 maxTotalAssets = _toAssetDecimals(MAX_TOTAL_ASSETS);
+        if (_maxTotalDeposits < maxUserDeposit || _maxTotalDeposits > maxTotalAssets) {
+            revert AdminParameterInvalid(
+                "maxTotalDeposits",
+                _maxTotalDeposits,
+                maxUserDeposit,
+                maxTotalAssets,
+                "invalid_total_deposit_limit"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates a new treasury address
+     */
+    function _validateTreasuryAddress(address _newTreasury) internal view {
+        require(_newTreasury != address(0), "Treasury cannot be zero address");
+        require(_newTreasury != treasuryAddress, "Treasury address unchanged");
+    }
+
+    /**
+     * @dev Validates the withdrawal cooldown bounds
+     */
+    function _validateWithdrawalCooldown(uint256 _cooldown) internal pure {
+        // Combined bounds checking for gas optimization
+        if (_cooldown > 30 days || _cooldown > type(uint48).max) {
+            revert AdminParameterInvalid(
+                "withdrawalCooldown",
+                _cooldown,
+                0,
+                _cooldown > 30 days ? 30 days : type(uint48).max,
+                "cooldown_exceeds_maximum_allowed"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates the delay between NAV updates and withdrawal eligibility
+     */
+    function _validateNAVUpdateDelay(uint256 _navUpdateDelay) internal pure {
+        // Combined bounds checking for gas optimization
+        if (_navUpdateDelay > 24 hours || _navUpdateDelay > type(uint48).max) {
+            revert AdminParameterInvalid(
+                "navUpdateDelay",
+                _navUpdateDelay,
+                0,
+                _navUpdateDelay > 24 hours ? 24 hours : type(uint48).max,
+                "delay_exceeds_maximum_allowed"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates a quorum configuration, the quorum only matters when quorum mode is enabled
+     */
+    function _validateNAVQuorum(bool enabled, uint256 quorum, uint256 tolerance) internal pure {
+        if (enabled && (quorum < 2 || quorum > MAX_NAV_SUBMISSIONS)) {
+            revert AdminParameterInvalid("navQuorum", quorum, 2, MAX_NAV_SUBMISSIONS, "invalid_quorum");
+        }
+        if (tolerance > MAX_QUORUM_TOLERANCE) {
+            revert AdminParameterInvalid(
+                "navQuorumTolerance",
+                tolerance,
+                0,
+                MAX_QUORUM_TOLERANCE,
+                "tolerance_exceeds_maximum_allowed"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates the maximum NAV change per update
+     */
+    function _validateMaxNAVChange(uint256 _maxNAVChange) internal pure {
+        require(_maxNAVChange <= 5000, "Max NAV change too high"); // Max 50%
+    }
+
+    /**
+     * @dev Validates the minimum reserve ratio bounds
+     */
+    function _validateMinReserveRatio(uint256 _minReserveRatio) internal pure {
+        if (_minReserveRatio > 10000) {
+            revert AdminParameterInvalid(
+                "minReserveRatio",
+                _minReserveRatio,
+                0,
+                10000,
+                "reserve_ratio_exceeds_maximum"
+            );
+        }
+    }
+
+    /**
+     * @dev Validates the upgrade delay bounds
+     */
+    function _validateUpgradeDelay(uint256 _delay) internal pure {
+        if (_delay < MIN_PARAMETER_CHANGE_DELAY || _delay > MAX_PARAMETER_CHANGE_DELAY) {
+            revert AdminParameterInvalid(
+                "upgradeDelay",
+                _delay,
+                MIN_PARAMETER_CHANGE_DELAY,
+                MAX_PARAMETER_CHANGE_DELAY,
+                "delay_outside_allowed_range"
+            );
+        }
+    }
+}
@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.21;
+
+import "@openzeppelin/contracts-upgradeable/access/IAccessControlEnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/structs/EnumerableSetUpgradeable.sol";
+
+/**
+ * @title Enumerable Roles
+ * @dev Role member lists for contracts built on AccessControlUpgradeable, listed last among their bases
+ * @notice Members are kept in a namespaced storage slot and the contract has no bases of its own, so adding it
+ * to a deployed proxy changes neither the inheritance linearization nor the storage layout. The inheriting
+ * contract records grants and revocations from its _grantRole and _revokeRole overrides and reports
+ * IAccessControlEnumerable through ERC-165. Holders granted before the upgrade are added through syncRoleMembers.
+ */
+abstract contract EnumerableRolesUpgradeable {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
+    /// @custom:storage-location erc7201:yieldvault.storage.RoleMembers
+    struct RoleMembersStorage {
+        mapping(bytes32 => EnumerableSetUpgradeable.AddressSet) members;
+    }
+
+    /**
+     * @dev keccak256(abi.encode(uint256(keccak256("yieldvault.storage.RoleMembers")) - 1)) & ~bytes32(uint256(0xff))
+     */
+    bytes32 private constant ROLE_MEMBERS_STORAGE_SLOT =
+        0x1ee7ba7257eb56684be369f31f09be276072aacceecb5bfa73d9554d7eed8b00;
+
+    event RoleMembersSynced(bytes32 indexed role, uint256 memberCount);
+
+    /**
+     * @notice Reconciles the member list of a role with the current grants (role admin only)
+     * @dev Adds accounts holding the role and drops accounts that do not, so it is safe to repeat
+     * @param role The role to reconcile
+     * @param accounts The accounts to check, typically the holders granted before enumeration existed
+     */
+    function syncRoleMembers(bytes32 role, address[] calldata accounts) external virtual {
+        _authorizeRoleMembersSync(role);
+
+        EnumerableSetUpgradeable.AddressSet storage members = _roleMembersStorage().members[role];
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (_holdsRole(role, accounts[i])) {
+                members.add(accounts[i]);
+            } else {
+                members.remove(accounts[i]);
+            }
+        }
+        emit RoleMembersSynced(role, members.length());
+    }
+
+    /**
+     * @notice Returns every account that has a role
+     * @param role The role to query
+     */
+    function getRoleMembers(bytes32 role) external view virtual returns (address[] memory) {
+        return _roleMembersStorage().members[role].values();
+    }
+
+    /**
+     * @notice Returns one of the accounts that have a role (IAccessControlEnumerable)
+     * @dev Member order is not guaranteed to be stable across grants and revocations
+     * @param role The role to query
+     * @param index The member index, must be lower than getRoleMemberCount
+     */
+    function getRoleMember(bytes32 role, uint256 index) public view returns (address) {
+        return _roleMembersStorage().members[role].at(index);
+    }
+
+    /**
+     * @notice Returns the number of accounts that have a role (IAccessControlEnumerable)
+     * @param role The role to query
+     */
+    function getRoleMemberCount(bytes32 role) public view returns (uint256) {
+        return _roleMembersStorage().members[role].length();
+    }
+
+    /**
+     * @dev Adds an account to the member list of a role, called after a grant
+     */
+    function _addRoleMember(bytes32 role, address account) internal {
+        _roleMembersStorage().members[role].add(account);
+    }
+
+    /**
+     * @dev Removes an account from the member list of a role, called after a revocation
+     */
+    function _removeRoleMember(bytes32 role, address account) internal {
+        _roleMembersStorage().members[role].remove(account);
+    }
+
+    /**
+     * @dev Reverts unless the caller may reconcile the member list of a role
+     */
+    function _authorizeRoleMembersSync(bytes32 role) internal view virtual;
+
+    /**
+     * @dev Returns whether an account currently holds a role
+     */
+    function _holdsRole(bytes32 role, address account) internal view virtual returns (bool);
+
+    /**
+     * @dev Returns the namespaced member storage
+     */
+    function _roleMembersStorage() private pure returns (RoleMembersStorage storage $) {
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            $.slot := ROLE_MEMBERS_STORAGE_SLOT
+        }
+    }
+}
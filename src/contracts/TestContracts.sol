@@ -1,8 +1,27 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+pragma solidity ^0.8.21;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+
+interface IVault {
+    function deposit(
+        uint256 assets,
+        address receiver
+    ) external returns (uint256 shares);
+    function withdraw(
+        uint256 assets,
+        address receiver,
+        address owner
+    ) external returns (uint256 shares);
+}
 
 /**
  * @title MockERC20
@@ -19,17 +38,173 @@ contract MockERC20 is ERC20 {
         _decimals = decimals_;
     }
 
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function burn(address from, uint256 amount) external {
+        _burn(from, amount);
+    }
+
     function decimals() public view virtual override returns (uint8) {
         return _decimals;
     }
+}
 
-    function mint(address to, uint256 amount) external {
+/**
+ * @title LegacyBaseToken
+ * @dev BaseToken as deployed before permit support and role enumeration, used to test upgrading deployed proxies
+ */
+contract LegacyBaseToken is
+    ERC20Upgradeable,
+    AccessControlUpgradeable,
+    UUPSUpgradeable,
+    PausableUpgradeable
+{
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    uint256[50] private __gap;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(
+        string memory name_,
+        string memory symbol_,
+        address defaultAdmin
+    ) public initializer {
+        __ERC20_init(name_, symbol_);
+        __AccessControl_init();
+        __UUPSUpgradeable_init();
+        __Pausable_init();
+
+        bytes32[4] memory roles = [DEFAULT_ADMIN_ROLE, MINTER_ROLE, UPGRADER_ROLE, PAUSER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], defaultAdmin);
+        }
+
+        _mint(defaultAdmin, 100_000_000 * 10**18);
+    }
+
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) whenNotPaused {
         _mint(to, amount);
     }
 
-    function burn(address from, uint256 amount) external {
-        _burn(from, amount);
+    function burn(uint256 amount) external whenNotPaused {
+        _burn(msg.sender, amount);
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
     }
+
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 amount
+    ) internal override whenNotPaused {
+        super._beforeTokenTransfer(from, to, amount);
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
+}
+
+/**
+ * @title LegacyERC4626YieldVault
+ * @dev ERC4626YieldVault layout before the treasury ledger, used to test upgrading deployed proxies.
+ * Treasury withdrawals are not recorded as outstanding principal.
+ */
+contract LegacyERC4626YieldVault is
+    ERC4626Upgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    AccessControlUpgradeable,
+    UUPSUpgradeable
+{
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    uint256 public currentNAV;
+    uint256 public lastNAVUpdate;
+    uint256 public totalAssetsManaged;
+    address public treasuryAddress;
+
+    uint256 public withdrawalCooldown;
+    uint256 public maxUserDeposit;
+    uint256 public maxTotalDeposits;
+
+    mapping(address => uint256) public lastDepositTime;
+    mapping(address => uint256) public lastWithdrawalTime;
+    mapping(address => uint256) public userDeposits;
+
+    uint256 public maxNAVChange;
+    uint256 public navUpdateDelay;
+    uint256 public lastNAVChangeTime;
+    uint256 public maxTotalAssetsDeviation;
+
+    bool public whitelistEnabled;
+    mapping(address => bool) public isWhitelisted;
+
+    uint256[50] private __gap;
+
+    function initialize(
+        IERC20Upgradeable assetToken,
+        string memory name_,
+        string memory symbol_,
+        address treasury,
+        address defaultAdmin
+    ) public initializer {
+        __ERC20_init(name_, symbol_);
+        __ERC4626_init(assetToken);
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __AccessControl_init();
+        __UUPSUpgradeable_init();
+
+        treasuryAddress = treasury;
+        currentNAV = 1e18;
+        withdrawalCooldown = 24 hours;
+        maxUserDeposit = 100_000e18;
+        maxTotalDeposits = 5_000_000e18;
+        maxNAVChange = 1500;
+        navUpdateDelay = 1 hours;
+        lastNAVChangeTime = block.timestamp;
+        maxTotalAssetsDeviation = 500;
+
+        bytes32[4] memory roles = [DEFAULT_ADMIN_ROLE, ADMIN_ROLE, TREASURY_ROLE, UPGRADER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], defaultAdmin);
+        }
+    }
+
+    function withdrawToTreasury(uint256 amount) external onlyRole(TREASURY_ROLE) {
+        IERC20Upgradeable token = IERC20Upgradeable(asset());
+        token.safeTransfer(treasuryAddress, amount);
+    }
+
+    function totalAssets() public view override returns (uint256) {
+        return totalAssetsManaged;
+    }
+
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal override {
+        super._deposit(caller, receiver, assets, shares);
+        totalAssetsManaged += assets;
+        userDeposits[receiver] += assets;
+        lastDepositTime[receiver] = block.timestamp;
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(UPGRADER_ROLE) {}
 }
 
 /**
@@ -54,15 +229,3 @@ contract TestContract {
         IVault(vault).withdraw(assets, receiver, address(this));
     }
 }
-
-interface IVault {
-    function deposit(
-        uint256 assets,
-        address receiver
-    ) external returns (uint256 shares);
-    function withdraw(
-        uint256 assets,
-        address receiver,
-        address owner
-    ) external returns (uint256 shares);
-}
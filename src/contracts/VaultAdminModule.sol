@@ -0,0 +1,269 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Admin Module
+ * @dev Pausing, upgrade announcements, and whitelist and compliance administration
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultAdminModule is ERC4626YieldVaultStorage {
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - PAUSING
+    // ============================================================================
+
+    /**
+     * @notice Pauses the contract (pauser role only)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause(); // Emits standard Paused(address) event
+    }
+
+    /**
+     * @notice Unpauses the contract (admin role only)  
+     */
+    function unpause() external onlyRole(ADMIN_ROLE) {
+        _unpause(); // Emits standard Unpaused(address) event
+    }
+
+    /**
+     * @notice Pauses a single operation class, leaving the others running (pauser role only)
+     * @dev The global pause stays the master switch and halts every class regardless of these flags
+     * @param operation The operation class to pause
+     */
+    function pauseOperation(PausableOperation operation) external onlyRole(PAUSER_ROLE) {
+        require(!operationPaused[operation], "Operation already paused");
+        operationPaused[operation] = true;
+        emit OperationPaused(operation, _msgSender());
+    }
+
+    /**
+     * @notice Resumes a single operation class (admin role only)
+     * @param operation The operation class to unpause
+     */
+    function unpauseOperation(PausableOperation operation) external onlyRole(ADMIN_ROLE) {
+        require(operationPaused[operation], "Operation not paused");
+        // Treasury returns stay available after shutdown, the other classes remain halted
+        bool resumable = !isShutdown || operation == PausableOperation.Treasury;
+        require(resumable, "Vault is shut down");
+        operationPaused[operation] = false;
+        emit OperationUnpaused(operation, _msgSender());
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - UPGRADE TIMELOCK
+    // ============================================================================
+
+    /**
+     * @notice Queues a new wait between announcing and executing upgrades (admin only)
+     * @dev Goes through the parameter timelock so the window cannot be shortened without notice
+     * @param _delay The new delay in seconds (min 1 hour, max 30 days)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setUpgradeDelay(
+        uint256 _delay
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateUpgradeDelay(_delay);
+        return _queueParameterChange(PARAM_UPGRADE_DELAY, _delay);
+    }
+
+    /**
+     * @notice Announces the next implementation, which can be executed once the upgrade delay has passed
+     * @dev Pins the implementation code hash so the code cannot change between announcement and execution.
+     * A new announcement replaces the previous one and restarts the delay.
+     * @param newImplementation The implementation contract the proxy will be upgraded to
+     */
+    function announceUpgrade(
+        address newImplementation
+    ) external onlyRole(UPGRADER_ROLE) {
+        if (newImplementation.code.length == 0) {
+            revert UpgradeNotAuthorized(newImplementation, 0, "implementation_not_contract");
+        }
+
+        uint256 delay = upgradeDelay == 0 ? DEFAULT_UPGRADE_DELAY : upgradeDelay;
+        uint256 executableAt = block.timestamp + delay;
+        bytes32 codeHash = newImplementation.codehash;
+        pendingUpgrade.implementation = newImplementation;
+        pendingUpgrade.codeHash = codeHash;
+        pendingUpgrade.executableAt = executableAt;
+
+        emit UpgradeAnnounced(newImplementation, codeHash, executableAt, _msgSender());
+    }
+
+    /**
+     * @notice Vetoes the announced upgrade during its waiting window (guardian only)
+     */
+    function vetoUpgrade() external onlyRole(GUARDIAN_ROLE) {
+        address implementation = pendingUpgrade.implementation;
+        if (pendingUpgrade.executableAt == 0) {
+            revert UpgradeNotAuthorized(address(0), 0, "no_pending_upgrade");
+        }
+
+        delete pendingUpgrade;
+        emit UpgradeVetoed(implementation, _msgSender());
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - WHITELIST AND COMPLIANCE
+    // ============================================================================
+
+    /**
+     * @notice Enables or disables the whitelist functionality (admin only)
+     * @param enabled Whether whitelist should be enabled
+     */
+    function setWhitelistEnabled(bool enabled) external onlyRole(ADMIN_ROLE) {
+        whitelistEnabled = enabled;
+        emit WhitelistStatusChanged(enabled, _msgSender());
+    }
+
+    /**
+     * @notice Enables or disables whitelist enforcement on share transfers and withdrawal receivers (admin only)
+     * @dev Independent of whitelistEnabled, which only gates deposit and mint receivers
+     * @param enabled Whether transfer restriction should be enabled
+     */
+    function setTransferRestrictionEnabled(bool enabled) external onlyRole(ADMIN_ROLE) {
+        transferRestrictionEnabled = enabled;
+        emit TransferRestrictionStatusChanged(enabled, _msgSender());
+    }
+
+    /**
+     * @notice Adds an address to the whitelist (admin only)
+     * @dev Also turns a Merkle-claimed entry into an admin entry that root rotations no longer revoke
+     * @param account The address to add to whitelist
+     */
+    function addToWhitelist(address account) external onlyRole(ADMIN_ROLE) {
+        require(account != address(0), "Cannot whitelist zero address");
+        require(!_whitelisted[account] || whitelistClaimRoot[account] != bytes32(0), "Address already whitelisted");
+        
+        _whitelisted[account] = true;
+        delete whitelistClaimRoot[account];
+        emit AddressWhitelisted(account, _msgSender());
+    }
+
+    /**
+     * @notice Removes an address from the whitelist (admin only)
+     * @param account The address to remove from whitelist
+     */
+    function removeFromWhitelist(address account) external onlyRole(ADMIN_ROLE) {
+        require(_whitelisted[account], "Address not whitelisted");
+        
+        _whitelisted[account] = false;
+        delete whitelistClaimRoot[account];
+        delete investorProfiles[account];
+        emit AddressRemovedFromWhitelist(account, _msgSender());
+    }
+
+    /**
+     * @notice Adds multiple addresses to the whitelist in batch (admin only)
+     * @param accounts Array of addresses to add to whitelist
+     */
+    function addMultipleToWhitelist(address[] calldata accounts) external onlyRole(ADMIN_ROLE) {
+        require(accounts.length > 0, "Empty accounts array");
+        require(accounts.length <= 100, "Too many accounts"); // Limit for gas
+        
+        for (uint256 i = 0; i < accounts.length; i++) {
+            address account = accounts[i];
+            require(account != address(0), "Cannot whitelist zero address");
+            
+            if (!_whitelisted[account] || whitelistClaimRoot[account] != bytes32(0)) {
+                _whitelisted[account] = true;
+                delete whitelistClaimRoot[account];
+                emit AddressWhitelisted(account, _msgSender());
+            }
+        }
+    }
+
+    /**
+     * @notice Whitelists an account with an investor tier and KYC expiry (admin only)
+     * @dev Also renews an expired KYC and turns a Merkle-claimed entry into an admin entry.
+     * Removing the account from the whitelist clears its profile.
+     * @param account The investor address
+     * @param tier The investor tier, None for the vault-wide limits
+     * @param kycExpiry Timestamp after which the account is no longer whitelisted, zero for no expiry
+     */
+    function setInvestorProfile(
+        address account,
+        InvestorTier tier,
+        uint64 kycExpiry
+    ) external onlyRole(ADMIN_ROLE) {
+        require(account != address(0), "Cannot whitelist zero address");
+        require(kycExpiry == 0 || kycExpiry > block.timestamp, "KYC expiry in the past");
+
+        if (!_whitelisted[account] || whitelistClaimRoot[account] != bytes32(0)) {
+            _whitelisted[account] = true;
+            delete whitelistClaimRoot[account];
+            emit AddressWhitelisted(account, _msgSender());
+        }
+        _setInvestorProfile(account, tier, kycExpiry);
+        emit InvestorProfileUpdated(account, tier, kycExpiry, _msgSender());
+    }
+
+    /**
+     * @notice Publishes or rotates the Merkle root of self-service whitelist entries (admin only)
+     * @dev Claimed entries only count while the root they were proven against is current, so rotating
+     * revokes accounts missing from the new tree; accounts still in it claim again. Admin entries are
+     * unaffected. A zero root disables claims.
+     * @param root The new Merkle root
+     */
+    function setWhitelistMerkleRoot(bytes32 root) external onlyRole(ADMIN_ROLE) {
+        bytes32 oldRoot = whitelistMerkleRoot;
+        whitelistMerkleRoot = root;
+        emit WhitelistMerkleRootUpdated(oldRoot, root, _msgSender());
+    }
+
+    /**
+     * @notice Revokes or restores an account's ability to claim Merkle whitelist entries (admin only)
+     * @dev Revocation overrides inclusion in any root and removes the account from the whitelist
+     * @param account The account to update
+     * @param revoked Whether the account is revoked
+     */
+    function setWhitelistRevoked(address account, bool revoked) external onlyRole(ADMIN_ROLE) {
+        whitelistRevoked[account] = revoked;
+        if (revoked && _whitelisted[account]) {
+            _whitelisted[account] = false;
+            delete whitelistClaimRoot[account];
+            delete investorProfiles[account];
+            emit AddressRemovedFromWhitelist(account, _msgSender());
+        }
+        emit WhitelistRevocationUpdated(account, revoked, _msgSender());
+    }
+
+    /**
+     * @notice Freezes an account so it can no longer move, receive, redeem or withdraw shares (compliance only)
+     * @param account The address to freeze
+     */
+    function freezeAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        require(account != address(0), "Cannot freeze zero address");
+        require(_frozenAccounts.add(account), "Account already frozen");
+        emit AccountFrozen(account, _msgSender());
+    }
+
+    /**
+     * @notice Lifts the freeze on an account (compliance only)
+     * @param account The address to unfreeze
+     */
+    function unfreezeAccount(address account) external onlyRole(COMPLIANCE_ROLE) {
+        require(_frozenAccounts.remove(account), "Account not frozen");
+        emit AccountUnfrozen(account, _msgSender());
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns all frozen accounts
+     * @dev Unbounded; intended for off-chain reporting
+     * @return The frozen accounts, in no particular order
+     */
+    function getFrozenAccounts() external view returns (address[] memory) {
+        return _frozenAccounts.values();
+    }
+}
@@ -0,0 +1,487 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/MerkleProofUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20PermitUpgradeable.sol";
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Deposit Module
+ * @dev ERC-4626 deposits and mints, share permits, Merkle whitelist claims, signed deposit authorizations and
+ * deposit slippage bounds
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultDepositModule is ERC4626YieldVaultStorage, IERC20PermitUpgradeable {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - PERMIT
+    // ============================================================================
+
+    /**
+     * @notice Approves share spending with an EIP-2612 signature
+     * @param owner The share owner who signed the permit
+     * @param spender The address allowed to spend the shares
+     * @param value The allowance to set
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     */
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external override {
+        if (block.timestamp > deadline) {
+            revert PermitValidationFailed(owner, deadline, "permit_expired");
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TYPEHASH, owner, spender, value, _usePermitNonce(owner), deadline)
+        );
+        address signer = ECDSAUpgradeable.recover(_hashTypedData(structHash), v, r, s);
+        if (signer != owner) {
+            revert PermitValidationFailed(owner, deadline, "invalid_signature");
+        }
+
+        _approve(owner, spender, value);
+    }
+
+    /**
+     * @notice Deposits assets using an EIP-2612 permit on the asset instead of a prior approval
+     * @dev A failed permit is ignored so a front-run permit does not block the deposit; the transfer
+     * still requires a sufficient allowance
+     * @param assets The amount of assets to deposit
+     * @param receiver The address that will receive the shares
+     * @param deadline Deadline of the asset permit
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     * @return shares The amount of shares minted
+     */
+    function depositWithPermit(
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 shares) {
+        _permitAsset(assets, deadline, v, r, s);
+        return deposit(assets, receiver);
+    }
+
+    /**
+     * @notice Mints shares using an EIP-2612 permit on the asset instead of a prior approval
+     * @dev The permit covers maxAssets, which also bounds the assets pulled for the requested shares
+     * @param shares The amount of shares to mint
+     * @param receiver The address that will receive the shares
+     * @param maxAssets The permitted asset amount and the most the caller is willing to pay
+     * @param deadline Deadline of the asset permit
+     * @param v Signature recovery id
+     * @param r Signature r value
+     * @param s Signature s value
+     * @return assets The amount of assets deposited
+     */
+    function mintWithPermit(
+        uint256 shares,
+        address receiver,
+        uint256 maxAssets,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 assets) {
+        require(previewMint(shares) <= maxAssets, "Mint exceeds permitted assets");
+        _permitAsset(maxAssets, deadline, v, r, s);
+        return mint(shares, receiver);
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - MERKLE WHITELIST
+    // ============================================================================
+
+    /**
+     * @notice Whitelists an account included in the published Merkle root
+     * @dev Anyone may submit the claim since the leaf data is published with the root.
+     * Claiming again with a newer root updates the account's tier and KYC expiry.
+     * @param account The account to whitelist
+     * @param tier The investor tier in the account's leaf
+     * @param kycExpiry The KYC expiry in the account's leaf, zero for no expiry
+     * @param proof Merkle proof of the leaf against whitelistMerkleRoot
+     */
+    function claimWhitelist(
+        address account,
+        InvestorTier tier,
+        uint64 kycExpiry,
+        bytes32[] calldata proof
+    ) external {
+        _claimWhitelist(account, tier, kycExpiry, proof);
+    }
+
+    /**
+     * @notice Deposits assets, claiming the receiver's Merkle whitelist entry first if needed
+     * @dev The proof is ignored while the whitelist is disabled or the receiver is already whitelisted
+     * @param assets The amount of assets to deposit
+     * @param receiver The address that will receive the shares
+     * @param tier The investor tier in the receiver's leaf
+     * @param kycExpiry The KYC expiry in the receiver's leaf
+     * @param proof Merkle proof of the receiver's leaf
+     * @return shares The amount of shares minted
+     */
+    function depositWithProof(
+        uint256 assets,
+        address receiver,
+        InvestorTier tier,
+        uint64 kycExpiry,
+        bytes32[] calldata proof
+    ) external returns (uint256 shares) {
+        if (whitelistEnabled && !isWhitelisted(receiver)) _claimWhitelist(receiver, tier, kycExpiry, proof);
+        return deposit(assets, receiver);
+    }
+
+    /**
+     * @notice Mints shares, claiming the receiver's Merkle whitelist entry first if needed
+     * @dev The proof is ignored while the whitelist is disabled or the receiver is already whitelisted
+     * @param shares The amount of shares to mint
+     * @param receiver The address that will receive the shares
+     * @param tier The investor tier in the receiver's leaf
+     * @param kycExpiry The KYC expiry in the receiver's leaf
+     * @param proof Merkle proof of the receiver's leaf
+     * @return assets The amount of assets deposited
+     */
+    function mintWithProof(
+        uint256 shares,
+        address receiver,
+        InvestorTier tier,
+        uint64 kycExpiry,
+        bytes32[] calldata proof
+    ) external returns (uint256 assets) {
+        if (whitelistEnabled && !isWhitelisted(receiver)) _claimWhitelist(receiver, tier, kycExpiry, proof);
+        return mint(shares, receiver);
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - DEPOSIT AUTHORIZATION
+    // ============================================================================
+
+    /**
+     * @notice Deposits assets under a single-use EIP-712 authorization from a compliance signer
+     * @dev The authorization replaces the whitelist check for this deposit only; freezes, pauses and
+     * deposit limits still apply. It is only valid when submitted by the signed caller for the signed amount.
+     * @param assets The amount of assets to deposit, as signed
+     * @param receiver The address that will receive the shares, as signed
+     * @param deadline Timestamp after which the authorization expires
+     * @param nonce Unique authorization identifier chosen by the signer
+     * @param signature EIP-712 signature of a COMPLIANCE_SIGNER_ROLE holder
+     * @return shares The amount of shares minted
+     */
+    function depositWithAuthorization(
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        bytes32 nonce,
+        bytes calldata signature
+    ) external returns (uint256 shares) {
+        if (block.timestamp > deadline) {
+            revert DepositAuthorizationInvalid(receiver, nonce, "authorization_expired");
+        }
+        if (authorizationUsed[nonce]) {
+            revert DepositAuthorizationInvalid(receiver, nonce, "authorization_used");
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(DEPOSIT_AUTHORIZATION_TYPEHASH, _msgSender(), receiver, assets, deadline, nonce)
+        );
+        address signer = ECDSAUpgradeable.recover(_hashTypedData(structHash), signature);
+        if (!hasRole(COMPLIANCE_SIGNER_ROLE, signer)) {
+            revert DepositAuthorizationInvalid(receiver, nonce, "invalid_signer");
+        }
+
+        authorizationUsed[nonce] = true;
+        emit DepositAuthorizationUsed(receiver, nonce, signer, assets);
+
+        require(assets <= _maxDepositWithoutWhitelist(receiver), "ERC4626: deposit more than max");
+        shares = previewDeposit(assets);
+        _deposit(_msgSender(), receiver, assets, shares);
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - SLIPPAGE PROTECTION
+    // ============================================================================
+
+    /**
+     * @notice Deposits assets, reverting if fewer than minShares are minted or the deadline passed
+     * @param assets The amount of assets to deposit
+     * @param receiver The address that will receive the shares
+     * @param minShares The minimum amount of shares to receive
+     * @param deadline Timestamp after which the transaction reverts
+     * @return shares The amount of shares minted
+     */
+    function depositWithMinShares(
+        uint256 assets,
+        address receiver,
+        uint256 minShares,
+        uint256 deadline
+    ) external returns (uint256 shares) {
+        _checkSlippageDeadline(deadline);
+        shares = deposit(assets, receiver);
+        _enforceSlippageBound(shares < minShares, minShares, shares, "insufficient_shares_out");
+    }
+
+    /**
+     * @notice Mints shares, reverting if more than maxAssets are pulled or the deadline passed
+     * @param shares The amount of shares to mint
+     * @param receiver The address that will receive the shares
+     * @param maxAssets The maximum amount of assets to pay
+     * @param deadline Timestamp after which the transaction reverts
+     * @return assets The amount of assets deposited
+     */
+    function mintWithMaxAssets(
+        uint256 shares,
+        address receiver,
+        uint256 maxAssets,
+        uint256 deadline
+    ) external returns (uint256 assets) {
+        _checkSlippageDeadline(deadline);
+        assets = mint(shares, receiver);
+        _enforceSlippageBound(assets > maxAssets, maxAssets, assets, "excessive_assets_in");
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns the EIP-712 domain separator used for share permits
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view override returns (bytes32) {
+        return _domainSeparator();
+    }
+
+    // ============================================================================
+    // PUBLIC FUNCTIONS - ERC4626 INTERFACE
+    // ============================================================================
+
+    /** @dev See {IERC4626-deposit}. Override to add whitelist check */
+    function deposit(
+        uint256 assets,
+        address receiver
+    ) public virtual override onlyWhitelisted(receiver) returns (uint256) {
+        return super.deposit(assets, receiver);
+    }
+
+    /** @dev See {IERC4626-mint}. Override to add whitelist check */
+    function mint(
+        uint256 shares,
+        address receiver
+    ) public virtual override onlyWhitelisted(receiver) returns (uint256) {
+        return super.mint(shares, receiver);
+    }
+
+    // ============================================================================
+    // PUBLIC VIEW FUNCTIONS
+    // ============================================================================
+
+    /** @dev See {IERC4626-maxDeposit}. */
+    function maxDeposit(
+        address receiver
+    ) public view override returns (uint256) {
+        // Check whitelist if enabled
+        if (whitelistEnabled && !isWhitelisted(receiver)) return 0;
+        return _maxDepositWithoutWhitelist(receiver);
+    }
+
+    /**
+     * @notice Returns the maximum number of shares that can be minted for a receiver
+     * @param receiver The address that would receive the shares
+     * @return The maximum number of shares that can be minted
+     */
+    function maxMint(address receiver) public view override returns (uint256) {
+        uint256 maxAssets = maxDeposit(receiver);
+        
+        // ERC-4626 compliance: Return type(uint256).max if no effective limits
+        if (maxAssets == type(uint256).max) {
+            return type(uint256).max;
+        }
+        
+        return
+            maxAssets == 0
+                ? 0
+                : _convertToShares(maxAssets, MathUpgradeable.Rounding.Down);
+    }
+
+    /**
+     * @notice Returns the current permit nonce of an owner
+     * @param owner The share owner
+     * @return The nonce the next permit signature must use
+     */
+    function nonces(address owner) public view override returns (uint256) {
+        return _permitNonces[owner];
+    }
+
+    /**
+     * @notice Checks if an address can deposit (considering whitelist if enabled)
+     * @param account The address to check
+     * @return True if the address can deposit, false otherwise
+     */
+    function canDeposit(address account) public view returns (bool) {
+        if (isOperationPaused(PausableOperation.Deposits) || isNAVStale()) return false;
+        if (whitelistEnabled && !isWhitelisted(account)) return false;
+        if (isFrozen(account)) return false;
+        return userDeposits[account] < _getUserDepositLimit(account);
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    // Override deposit to add business logic (M-02 fix)
+    function _deposit(
+        address caller,
+        address receiver,
+        uint256 assets,
+        uint256 shares
+    ) internal override nonReentrant whenNotPaused whenOperationNotPaused(PausableOperation.Deposits) {
+        _requireFreshNAV();
+        uint256 userLimit = _getUserDepositLimit(receiver);
+        uint256 maxSingleDeposit = _toAssetDecimals(MAX_SINGLE_DEPOSIT);
+        if (
+            assets > maxSingleDeposit ||
+            shares > MAX_SHARES_SUPPLY ||
+            userDeposits[receiver] > userLimit ||
+            userDeposits[receiver] > userLimit - assets ||
+            totalAssetsManaged > maxTotalDeposits - assets
+        ) {
+            revert DepositLimitsExceeded(
+                receiver,
+                assets,
+                userDeposits[receiver],
+                userLimit,
+                maxSingleDeposit,
+                maxTotalDeposits,
+                "deposit_limits_validation_failed"
+            );
+        }
+
+        super._deposit(caller, receiver, assets, shares);
+
+        // Update our tracking 
+        totalAssetsManaged += assets;
+        userDeposits[receiver] += assets;
+        lastDepositTime[receiver] = block.timestamp;
+    }
+
+    /**
+     * @dev Consumes the caller's asset permit, ignoring failures such as an already used signature
+     */
+    function _permitAsset(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        // solhint-disable-next-line no-empty-blocks
+        try IERC20PermitUpgradeable(asset()).permit(_msgSender(), address(this), value, deadline, v, r, s) {
+        } catch {}
+    }
+
+    /**
+     * @dev Returns the current nonce of an owner and increments it
+     */
+    function _usePermitNonce(address owner) internal returns (uint256 current) {
+        current = _permitNonces[owner];
+        _permitNonces[owner] = current + 1;
+    }
+
+    /**
+     * @dev Verifies a Merkle whitelist leaf and stores the account's whitelist entry and profile
+     */
+    function _claimWhitelist(
+        address account,
+        InvestorTier tier,
+        uint64 kycExpiry,
+        bytes32[] calldata proof
+    ) internal {
+        bytes32 root = whitelistMerkleRoot;
+        if (root == bytes32(0)) revert WhitelistViolation(account, "merkle_whitelist_inactive");
+        if (whitelistRevoked[account]) revert WhitelistViolation(account, "whitelist_access_revoked");
+        if (kycExpiry != 0 && kycExpiry <= block.timestamp) revert WhitelistViolation(account, "kyc_expired");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, tier, kycExpiry))));
+        if (!MerkleProofUpgradeable.verifyCalldata(proof, root, leaf)) {
+            revert WhitelistViolation(account, "invalid_merkle_proof");
+        }
+
+        _whitelisted[account] = true;
+        whitelistClaimRoot[account] = root;
+        _setInvestorProfile(account, tier, kycExpiry);
+        emit WhitelistClaimed(account, tier, kycExpiry, root);
+    }
+
+    /**
+     * @dev Deposit capacity of a receiver under pause, freeze and deposit limits, ignoring the whitelist
+     */
+    function _maxDepositWithoutWhitelist(address receiver) internal view returns (uint256) {
+        if (isOperationPaused(PausableOperation.Deposits) || isNAVStale()) return 0;
+        if (isFrozen(receiver)) return 0;
+
+        // ERC-4626 compliance: Return type(uint256).max if no effective limits
+        uint256 userLimit = _getUserDepositLimit(receiver);
+        if (
+            userLimit >= _toAssetDecimals(MAX_SINGLE_DEPOSIT) &&
+            maxTotalDeposits >= _toAssetDecimals(MAX_TOTAL_ASSETS)
+        ) {
+            return type(uint256).max;
+        }
+
+        // Calculate remaining limits for this receiver
+        uint256 remainingUserLimit = userLimit > userDeposits[receiver]
+            ? userLimit - userDeposits[receiver]
+            : 0;
+        uint256 remainingVaultLimit = maxTotalDeposits > totalAssetsManaged
+            ? maxTotalDeposits - totalAssetsManaged
+            : 0;
+
+        return
+            remainingUserLimit < remainingVaultLimit
+                ? remainingUserLimit
+                : remainingVaultLimit;
+    }
+
+    /**
+     * @dev Returns the per-user deposit cap of the account's effective tier
+     */
+    function _getUserDepositLimit(address account) internal view returns (uint256) {
+        InvestorTier tier = getInvestorTier(account);
+        if (tier == InvestorTier.None) return maxUserDeposit;
+        uint256 limit = tierLimits[tier].maxUserDeposit;
+        return limit == 0 ? maxUserDeposit : limit;
+    }
+
+    /**
+     * @dev Builds the EIP-712 domain separator from the current share name and chain
+     */
+    function _domainSeparator() internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes(name())),
+                EIP712_VERSION_HASH,
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of a struct hash under the vault domain
+     */
+    function _hashTypedData(bytes32 structHash) internal view returns (bytes32) {
+        return ECDSAUpgradeable.toTypedDataHash(_domainSeparator(), structHash);
+    }
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Fee Module
+ * @dev Management and performance fee settings, accrued fees, and the NAV history and trailing APY views
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultFeeModule is ERC4626YieldVaultStorage {
+    using SafeCast for uint256;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - FEES
+    // ============================================================================
+
+    /**
+     * @notice Queues a new annual management fee charged at each NAV update (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed. Fees accrued
+     * until then are charged at the old rate when the change executes.
+     * @param _managementFee The new management fee in basis points (max 500 = 5%)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setManagementFee(
+        uint256 _managementFee
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateFee(PARAM_MANAGEMENT_FEE, _managementFee);
+        return _queueParameterChange(PARAM_MANAGEMENT_FEE, _managementFee);
+    }
+
+    /**
+     * @notice Queues a new performance fee charged on gains above the high-water mark (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _performanceFee The new performance fee in basis points (max 3000 = 30%)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setPerformanceFee(
+        uint256 _performanceFee
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateFee(PARAM_PERFORMANCE_FEE, _performanceFee);
+        return _queueParameterChange(PARAM_PERFORMANCE_FEE, _performanceFee);
+    }
+
+    /**
+     * @notice Sets the address that receives fee shares (admin only)
+     * @param _feeRecipient The new fee recipient (cannot be zero address)
+     */
+    function setFeeRecipient(
+        address _feeRecipient
+    ) external onlyRole(ADMIN_ROLE) {
+        require(_feeRecipient != address(0), "Fee recipient cannot be zero address");
+
+        address oldRecipient = feeRecipient;
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(oldRecipient, _feeRecipient, _msgSender());
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns the retained NAV checkpoints, oldest first
+     * @dev A checkpoint is written at initialization and on every NAV update, up to the last 128
+     * @return history The checkpoints in chronological order
+     */
+    function getNAVHistory() external view returns (NAVCheckpoint[] memory history) {
+        uint256 count = navCheckpointCount;
+        uint256 length = count < NAV_HISTORY_SIZE ? count : NAV_HISTORY_SIZE;
+        history = new NAVCheckpoint[](length);
+        for (uint256 i = 0; i < length; i++) {
+            history[i] = _navCheckpoint(count - length + i);
+        }
+    }
+
+    /**
+     * @notice Returns the realised annualised yield over the trailing 7 and 30 days
+     * @return apy7d Trailing 7-day yield in basis points
+     * @return apy30d Trailing 30-day yield in basis points
+     */
+    function getTrailingAPYs() external view returns (int256 apy7d, int256 apy30d) {
+        apy7d = getTrailingAPY(7 days);
+        apy30d = getTrailingAPY(30 days);
+    }
+
+    /**
+     * @notice Returns the fees a NAV update reporting grossNAV would charge now
+     * @dev currentNAV is already net of the fees charged at the last update and never exceeds the high-water
+     * mark, so the performance fee is previewed against the pre-fee NAV the oracle is about to report
+     * @param grossNAV The pre-fee NAV per share to preview (18 decimals)
+     * @return accruedManagementFee Management fee accrued on current total assets (in assets)
+     * @return accruedPerformanceFee Performance fee on grossNAV above the high-water mark (in assets)
+     * @return currentHighWaterMark The NAV above which performance fees are charged
+     * @return recipient The address that will receive the fee shares
+     */
+    function getAccruedFees(uint256 grossNAV) public view returns (
+        uint256 accruedManagementFee,
+        uint256 accruedPerformanceFee,
+        uint256 currentHighWaterMark,
+        address recipient
+    ) {
+        (accruedManagementFee, accruedPerformanceFee) = _calculateFees(grossNAV, totalAssetsManaged);
+        currentHighWaterMark = highWaterMark == 0 ? currentNAV : highWaterMark;
+        recipient = feeRecipient;
+    }
+
+    /**
+     * @notice Returns the realised annualised yield over a trailing window
+     * @dev Compares the latest checkpoint with the newest one at least `window` older, or with the oldest
+     * retained checkpoint when the history is shorter. Uses simple annualisation of the post-fee NAV.
+     * @param window The trailing period in seconds
+     * @return apy Annualised yield in basis points, negative if the NAV fell, zero without two checkpoints
+     */
+    function getTrailingAPY(uint256 window) public view returns (int256 apy) {
+        uint256 count = navCheckpointCount;
+        if (count < 2) return 0;
+
+        uint256 oldest = count > NAV_HISTORY_SIZE ? count - NAV_HISTORY_SIZE : 0;
+        NAVCheckpoint memory latest = _navCheckpoint(count - 1);
+        NAVCheckpoint memory base = _navCheckpoint(oldest);
+        for (uint256 i = count - 1; i > oldest; i--) {
+            NAVCheckpoint memory checkpoint = _navCheckpoint(i - 1);
+            if (uint256(checkpoint.timestamp) + window <= latest.timestamp) {
+                base = checkpoint;
+                break;
+            }
+        }
+
+        uint256 elapsed = latest.timestamp - base.timestamp;
+        if (elapsed == 0) return 0;
+
+        int256 navChange = uint256(latest.nav).toInt256() - uint256(base.nav).toInt256();
+        return (navChange * 10000 * SECONDS_PER_YEAR.toInt256()) / (uint256(base.nav) * elapsed).toInt256();
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @dev The NAV checkpoint with the given number, read from its slot in the history ring buffer
+     */
+    function _navCheckpoint(uint256 index) internal view returns (NAVCheckpoint memory) {
+        return _navHistory[index % NAV_HISTORY_SIZE];
+    }
+}
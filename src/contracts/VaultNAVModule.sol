@@ -0,0 +1,359 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title NAV Module
+ * @dev NAV updates, the multi-oracle quorum and the NAV staleness policy
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultNAVModule is ERC4626YieldVaultStorage {
+    using MathUpgradeable for uint256;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - NAV UPDATES
+    // ============================================================================
+
+    /**
+     * @notice Updates the Net Asset Value and total assets (oracle only)
+     * @dev Disabled while quorum mode is active, use submitNAV instead
+     * @param newNAV The new NAV value (cannot be zero)
+     * @param newTotalAssets The new total assets amount
+     */
+    function updateNAV(
+        uint256 newNAV,
+        uint256 newTotalAssets
+    ) external onlyRole(ORACLE_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.NAVUpdates) {
+        if (navQuorumEnabled) {
+            revert NAVUpdateValidationFailed(newNAV, currentNAV, 0, 0, "quorum_mode_active");
+        }
+        _updateNAV(newNAV, newTotalAssets);
+    }
+
+    /**
+     * @notice Submits a NAV observation for the current quorum round (oracle only)
+     * @dev The round finalizes at the median once navQuorum submissions agree within navQuorumTolerance
+     * @param newNAV The observed NAV value
+     * @param newTotalAssets The observed total assets amount
+     * @return finalized True if this submission completed the round and updated the NAV
+     */
+    function submitNAV(
+        uint256 newNAV,
+        uint256 newTotalAssets
+    ) external onlyRole(ORACLE_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.NAVUpdates)
+        returns (bool finalized)
+    {
+        uint256 round = navRound;
+        address oracle = _msgSender();
+
+        if (!navQuorumEnabled) {
+            revert NAVSubmissionRejected(round, oracle, "quorum_mode_inactive");
+        }
+        if (block.timestamp < lastNAVUpdate + MIN_NAV_UPDATE_INTERVAL) {
+            revert NAVSubmissionRejected(round, oracle, "update_too_frequent");
+        }
+        if (hasSubmittedNAV[round][oracle]) {
+            revert NAVSubmissionRejected(round, oracle, "already_submitted");
+        }
+        if (_navSubmissions[round].length >= MAX_NAV_SUBMISSIONS) {
+            revert NAVSubmissionRejected(round, oracle, "round_full");
+        }
+
+        hasSubmittedNAV[round][oracle] = true;
+        NAVSubmission storage submission = _navSubmissions[round].push();
+        submission.oracle = oracle;
+        submission.nav = newNAV;
+        submission.totalAssets = newTotalAssets;
+        emit NAVSubmitted(round, oracle, newNAV, newTotalAssets);
+
+        if (_navSubmissions[round].length >= navQuorum) {
+            finalized = _tryFinalizeNAVRound(round);
+        }
+    }
+
+    /**
+     * @notice Discards a quorum round that cannot finalize, e.g. when its median fails validation (admin only)
+     */
+    function resetNAVRound() external onlyRole(ADMIN_ROLE) {
+        emit NAVRoundReset(navRound, _msgSender());
+        navRound++;
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - QUORUM AND STALENESS
+    // ============================================================================
+
+    /**
+     * @notice Queues a new multi-oracle quorum configuration for NAV updates (admin only)
+     * @dev Takes effect through executeParameterChange(PARAM_NAV_QUORUM) once the governance delay has passed,
+     * and then discards submissions of the round in progress. The queued value is tolerance << 128 | quorum,
+     * with a zero quorum when quorum mode is disabled.
+     * @param enabled Whether NAV updates require an oracle quorum
+     * @param quorum The number of agreeing submissions required (min 2, max 15), ignored when disabled
+     * @param tolerance The max deviation from the round median in basis points (max 1000 = 10%)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setNAVQuorum(
+        bool enabled,
+        uint256 quorum,
+        uint256 tolerance
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateNAVQuorum(enabled, quorum, tolerance);
+        return _queueParameterChange(PARAM_NAV_QUORUM, (tolerance << 128) | (enabled ? quorum : 0));
+    }
+
+    /**
+     * @notice Configures the NAV staleness guard (admin only)
+     * @dev Once the last NAV update is older than maxNAVAge, deposits and direct withdrawals revert and
+     * maxDeposit, maxMint, maxWithdraw and maxRedeem return zero. Redemption requests follow the policy,
+     * fulfilments wait for a fresh NAV, and already fulfilled claims stay available.
+     * @param _maxNAVAge Maximum NAV age in seconds (6 hours to 30 days), zero disables the guard
+     * @param _policy Whether withdrawals on a stale NAV are rejected or routed to the redemption queue
+     */
+    function setNAVStalenessPolicy(uint256 _maxNAVAge, StaleNAVPolicy _policy) external onlyRole(ADMIN_ROLE) {
+        // A shorter age would let the NAV go stale before the next update is allowed
+        if (_maxNAVAge != 0 && (_maxNAVAge < MIN_NAV_UPDATE_INTERVAL || _maxNAVAge > MAX_NAV_AGE)) {
+            revert AdminParameterInvalid(
+                "maxNAVAge",
+                _maxNAVAge,
+                MIN_NAV_UPDATE_INTERVAL,
+                MAX_NAV_AGE,
+                "nav_age_outside_allowed_range"
+            );
+        }
+
+        emit NAVStalenessPolicyUpdated(maxNAVAge, _maxNAVAge, staleNAVPolicy, _policy);
+        maxNAVAge = _maxNAVAge;
+        staleNAVPolicy = _policy;
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns the oracle submissions recorded for a quorum round
+     * @param round The round to query
+     * @return The submissions in the order they were received
+     */
+    function getNAVSubmissions(uint256 round) external view returns (NAVSubmission[] memory) {
+        return _navSubmissions[round];
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @dev Validates and applies a NAV update from either the single oracle or a finalized quorum round
+     */
+    function _updateNAV(uint256 newNAV, uint256 newTotalAssets) internal {
+        // Basic validation first
+        uint256 maxTotalAssets = _toAssetDecimals(MAX_TOTAL_ASSETS);
+        if (
+            newNAV == 0 ||
+            newTotalAssets > maxTotalAssets ||
+            block.timestamp < lastNAVUpdate + MIN_NAV_UPDATE_INTERVAL
+        ) {
+            if (newNAV == 0) {
+                revert NAVUpdateValidationFailed(newNAV, currentNAV, 0, 0, "nav_must_be_positive");
+            }
+            if (newTotalAssets > maxTotalAssets) {
+                revert NAVUpdateValidationFailed(newNAV, currentNAV, 0, 0, "total_assets_exceed_maximum");
+            }
+            revert NAVUpdateValidationFailed(newNAV, currentNAV, 0, 0, "update_too_frequent");
+        }
+
+        // Calculate NAV change percentage once (eliminates 3 duplicate calculations)
+        uint256 changePercentage = _calculateNAVChangePercentage(newNAV);
+
+        // Consolidated validation with helper functions
+        _validateConsolidatedNAVUpdate(newNAV, newTotalAssets, changePercentage);
+
+        // Update state, minting fee shares dilutes holders into the post-fee NAV
+        uint256 oldNAV = currentNAV;
+        currentNAV = _accrueFees(newNAV, newTotalAssets);
+        totalAssetsManaged = newTotalAssets;
+        lastNAVUpdate = block.timestamp;
+        _recordNAVCheckpoint();
+
+        // Track significant changes for front-running protection
+        if (changePercentage > 100) {
+            // More than 1% change
+            lastNAVChangeTime = block.timestamp;
+        }
+
+        emit NAVUpdated(oldNAV, currentNAV, newTotalAssets, block.timestamp);
+    }
+
+    /**
+     * @dev Finalizes a quorum round if enough submissions agree with the median
+     * @param round The round to evaluate
+     * @return True if the round was finalized and the NAV updated
+     */
+    function _tryFinalizeNAVRound(uint256 round) internal returns (bool) {
+        NAVSubmission[] memory submissions = _navSubmissions[round];
+        uint256 count = submissions.length;
+        uint256[] memory navs = new uint256[](count);
+        uint256[] memory assets = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            navs[i] = submissions[i].nav;
+            assets[i] = submissions[i].totalAssets;
+        }
+        uint256 medianNAV = _median(navs);
+        uint256 medianAssets = _median(assets);
+
+        uint256 agreeing = 0;
+        for (uint256 i = 0; i < count; i++) {
+            if (_agreesWithMedian(submissions[i], medianNAV, medianAssets)) {
+                agreeing++;
+            }
+        }
+        if (agreeing < navQuorum) {
+            return false;
+        }
+
+        for (uint256 i = 0; i < count; i++) {
+            if (!_agreesWithMedian(submissions[i], medianNAV, medianAssets)) {
+                emit NAVSubmissionOutlier(
+                    round,
+                    submissions[i].oracle,
+                    submissions[i].nav,
+                    submissions[i].totalAssets,
+                    medianNAV,
+                    medianAssets
+                );
+            }
+        }
+
+        navRound = round + 1;
+        emit NAVQuorumReached(round, medianNAV, medianAssets, agreeing, count);
+        _updateNAV(medianNAV, medianAssets);
+        return true;
+    }
+
+    /**
+     * @dev Consolidated validation for NAV updates - combines multiple checks for gas efficiency
+     */
+    function _validateConsolidatedNAVUpdate(
+        uint256 newNAV,
+        uint256 newTotalAssets,
+        uint256 changePercentage
+    ) internal view {
+        // Combined NAV bounds and change validation
+        if (
+            newNAV < MIN_NAV_VALUE ||
+            newNAV > MAX_NAV_VALUE ||
+            (currentNAV > 0 && changePercentage > maxNAVChange)
+        ) {
+            revert NAVUpdateValidationFailed(
+                newNAV,
+                currentNAV,
+                changePercentage,
+                maxNAVChange,
+                newNAV < MIN_NAV_VALUE || newNAV > MAX_NAV_VALUE 
+                    ? "nav_outside_bounds" 
+                    : "nav_change_too_large"
+            );
+        }
+
+        // Combined total assets validation
+        uint256 vaultBalance = _getVaultBalance();
+        if (maxTotalAssetsDeviation > 10000) {
+            revert NAVUpdateValidationFailed(newNAV, currentNAV, changePercentage, 0, "assets_validation_failed");
+        }
+
+        // Validate total assets deviation
+        if (totalAssetsManaged > 0) {
+            uint256 maxDeviation = totalAssetsManaged.mulDiv(
+                maxTotalAssetsDeviation,
+                10000,
+                MathUpgradeable.Rounding.Up
+            );
+            uint256 maxAllowedAssets = totalAssetsManaged > type(uint256).max - maxDeviation
+                ? type(uint256).max
+                : totalAssetsManaged + maxDeviation;
+
+            if (newTotalAssets < vaultBalance || newTotalAssets > maxAllowedAssets) {
+                revert NAVUpdateValidationFailed(newNAV, currentNAV, changePercentage, 0, 
+                "total_assets_deviation_exceeded");
+            }
+        }
+
+        // Validate conversion overflows
+        if (newTotalAssets > 0 && totalSupply() > 0) {
+            uint256 testAssets = _toAssetDecimals(1e18); // 1 token
+            uint256 scale = _conversionScale();
+            if (
+                testAssets > type(uint256).max / scale ||
+                testAssets.mulDiv(scale, newNAV, MathUpgradeable.Rounding.Down) == 0
+            ) {
+                revert NAVUpdateValidationFailed(newNAV, currentNAV, changePercentage, 0, "conversion_overflow_risk");
+            }
+
+            uint256 testShares = 1e18; // 1 share
+            if (testShares > type(uint256).max / newNAV) {
+                revert NAVUpdateValidationFailed(newNAV, currentNAV, changePercentage, 0, "conversion_overflow_risk");
+            }
+        }
+    }
+
+    /**
+     * @dev Calculate NAV change percentage (eliminates code duplication)
+     * @param newNAV The proposed new NAV value
+     * @return changePercentage The percentage change in basis points
+     */
+    function _calculateNAVChangePercentage(
+        uint256 newNAV
+    ) internal view returns (uint256) {
+        if (currentNAV == 0) return 0;
+        return
+            newNAV > currentNAV
+                ? ((newNAV - currentNAV) * 10000) / currentNAV
+                : ((currentNAV - newNAV) * 10000) / currentNAV;
+    }
+
+    /**
+     * @dev Checks whether a quorum submission is within tolerance of the round medians
+     */
+    function _agreesWithMedian(
+        NAVSubmission memory submission,
+        uint256 medianNAV,
+        uint256 medianAssets
+    ) internal view returns (bool) {
+        return _isWithinTolerance(submission.nav, medianNAV) &&
+            _isWithinTolerance(submission.totalAssets, medianAssets);
+    }
+
+    /**
+     * @dev Checks that value deviates from median by at most navQuorumTolerance basis points
+     */
+    function _isWithinTolerance(uint256 value, uint256 median) internal view returns (bool) {
+        uint256 deviation = value > median ? value - median : median - value;
+        return deviation * 10000 <= median * navQuorumTolerance;
+    }
+
+    /**
+     * @dev Returns the median of a small array, averaging the middle pair for even lengths
+     * Sorts in place with insertion sort, input length is bounded by MAX_NAV_SUBMISSIONS
+     */
+    function _median(uint256[] memory values) internal pure returns (uint256) {
+        uint256 length = values.length;
+        for (uint256 i = 1; i < length; i++) {
+            uint256 key = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > key) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = key;
+        }
+        uint256 mid = length / 2;
+        return length % 2 == 1 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+    }
+}
@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Parameter Module
+ * @dev Parameter change timelock, which applies the changes the other modules queue
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultParameterModule is ERC4626YieldVaultStorage {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - PARAMETER TIMELOCK
+    // ============================================================================
+
+    /**
+     * @notice Queues a new governance delay for risk parameter changes (admin only)
+     * @dev The delay itself is timelocked so it cannot be shortened without notice
+     * @param _delay The new delay in seconds (min 1 hour, max 30 days)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setParameterChangeDelay(
+        uint256 _delay
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateParameterChangeDelay(_delay);
+        return _queueParameterChange(PARAM_CHANGE_DELAY, _delay);
+    }
+
+    /**
+     * @notice Applies a queued parameter change once its delay has passed (admin only)
+     * @dev Values are validated again as other parameters may have changed in the meantime
+     * @param parameter The parameter identifier, one of the PARAM_* constants
+     */
+    function executeParameterChange(
+        bytes32 parameter
+    ) external onlyRole(ADMIN_ROLE) {
+        PendingParameterChange memory pending = pendingParameterChanges[parameter];
+        if (pending.executableAt == 0) {
+            revert ParameterChangeNotReady(parameter, 0, "no_pending_change");
+        }
+        if (block.timestamp < pending.executableAt) {
+            revert ParameterChangeNotReady(parameter, pending.executableAt, "delay_not_elapsed");
+        }
+
+        delete pendingParameterChanges[parameter];
+        _applyParameterChange(parameter, pending.value);
+        emit ParameterChangeExecuted(parameter, pending.value, _msgSender());
+    }
+
+    /**
+     * @notice Cancels a queued parameter change during its delay window (admin only)
+     * @param parameter The parameter identifier, one of the PARAM_* constants
+     */
+    function cancelParameterChange(
+        bytes32 parameter
+    ) external onlyRole(ADMIN_ROLE) {
+        PendingParameterChange memory pending = pendingParameterChanges[parameter];
+        if (pending.executableAt == 0) {
+            revert ParameterChangeNotReady(parameter, 0, "no_pending_change");
+        }
+
+        delete pendingParameterChanges[parameter];
+        emit ParameterChangeCancelled(parameter, pending.value, _msgSender());
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @dev Charges the fees accrued since the last accrual against the current NAV, without an oracle update
+     */
+    function _accrueFeesAtCurrentNAV() internal {
+        uint256 oldNAV = currentNAV;
+        currentNAV = _accrueFees(oldNAV, totalAssetsManaged);
+        if (currentNAV != oldNAV) {
+            _recordNAVCheckpoint();
+            emit NAVUpdated(oldNAV, currentNAV, totalAssetsManaged, block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Validates and applies a timelocked parameter change, emitting the parameter's own event
+     */
+    function _applyParameterChange(bytes32 parameter, uint256 value) internal {
+        uint256 oldValue;
+        if (parameter == PARAM_TREASURY_ADDRESS) {
+            address newTreasury = address(uint160(value));
+            _validateTreasuryAddress(newTreasury);
+            address oldTreasury = treasuryAddress;
+            treasuryAddress = newTreasury;
+            emit TreasuryAddressUpdated(oldTreasury, newTreasury, _msgSender());
+        } else if (parameter == PARAM_CHANGE_DELAY) {
+            _validateParameterChangeDelay(value);
+            oldValue = parameterChangeDelay;
+            parameterChangeDelay = value;
+            emit ParameterChangeDelayUpdated(oldValue, value);
+        } else if (parameter == PARAM_UPGRADE_DELAY) {
+            _validateUpgradeDelay(value);
+            oldValue = upgradeDelay;
+            upgradeDelay = value;
+            emit UpgradeDelayUpdated(oldValue, value);
+        } else if (parameter == PARAM_MANAGEMENT_FEE || parameter == PARAM_PERFORMANCE_FEE) {
+            _applyFeeChange(parameter, value);
+        } else if (parameter == PARAM_NAV_QUORUM) {
+            _applyNAVQuorum(value);
+        } else {
+            _applyLimitChange(parameter, value);
+        }
+    }
+
+    /**
+     * @dev Applies a timelocked fee rate after charging the fees accrued so far at the old rates
+     */
+    function _applyFeeChange(bytes32 parameter, uint256 value) internal {
+        _validateFee(parameter, value);
+        _accrueFeesAtCurrentNAV();
+
+        uint256 oldValue;
+        if (parameter == PARAM_MANAGEMENT_FEE) {
+            oldValue = managementFee;
+            managementFee = value;
+            emit ManagementFeeUpdated(oldValue, value);
+        } else {
+            oldValue = performanceFee;
+            performanceFee = value;
+            emit PerformanceFeeUpdated(oldValue, value);
+        }
+    }
+
+    /**
+     * @dev Applies a timelocked quorum configuration, discarding submissions of the round in progress
+     */
+    function _applyNAVQuorum(uint256 value) internal {
+        uint256 quorum = uint128(value);
+        uint256 tolerance = value >> 128;
+        _validateNAVQuorum(quorum != 0, quorum, tolerance);
+
+        navQuorumEnabled = quorum != 0;
+        navQuorum = quorum;
+        navQuorumTolerance = tolerance;
+        navRound++;
+        emit NAVQuorumConfigUpdated(quorum != 0, quorum, tolerance);
+    }
+
+    /**
+     * @dev Applies a timelocked deposit, withdrawal or NAV limit, including per-tier withdrawal cooldowns
+     */
+    function _applyLimitChange(bytes32 parameter, uint256 value) internal {
+        uint256 oldValue;
+        if (parameter == PARAM_WITHDRAWAL_COOLDOWN) {
+            _validateWithdrawalCooldown(value);
+            oldValue = withdrawalCooldown;
+            withdrawalCooldown = value;
+            emit WithdrawalCooldownUpdated(oldValue, value);
+        } else if (parameter == PARAM_MAX_TOTAL_DEPOSITS) {
+            _validateMaxTotalDeposits(value);
+            oldValue = maxTotalDeposits;
+            maxTotalDeposits = value;
+            emit MaxTotalDepositsUpdated(oldValue, value);
+        } else if (parameter == PARAM_MAX_NAV_CHANGE) {
+            _validateMaxNAVChange(value);
+            oldValue = maxNAVChange;
+            maxNAVChange = value;
+            emit MaxNAVChangeUpdated(oldValue, value);
+        } else if (parameter == PARAM_MIN_RESERVE_RATIO) {
+            _validateMinReserveRatio(value);
+            oldValue = minReserveRatio;
+            minReserveRatio = value;
+            emit MinReserveRatioUpdated(oldValue, value);
+        } else if (parameter == PARAM_MAX_USER_DEPOSIT) {
+            _validateMaxUserDeposit(value);
+            oldValue = maxUserDeposit;
+            maxUserDeposit = value;
+            emit MaxUserDepositUpdated(oldValue, value);
+        } else if (parameter == PARAM_NAV_UPDATE_DELAY) {
+            _validateNAVUpdateDelay(value);
+            oldValue = navUpdateDelay;
+            navUpdateDelay = value;
+            emit NAVUpdateDelayUpdated(oldValue, value);
+        } else if (parameter == PARAM_OUTFLOW_LIMIT) {
+            _applyOutflowLimit(value);
+        } else {
+            _applyTierLimitChange(parameter, value);
+        }
+    }
+
+    /**
+     * @dev Applies a timelocked per-tier limit, keyed by tierCooldownParameter or tierMaxDepositParameter
+     */
+    function _applyTierLimitChange(bytes32 parameter, uint256 value) internal {
+        uint8 index = uint8(InvestorTier.Retail);
+        while (
+            tierCooldownParameter(InvestorTier(index)) != parameter &&
+            tierMaxDepositParameter(InvestorTier(index)) != parameter
+        ) {
+            index++;
+        }
+        InvestorTier tier = InvestorTier(index);
+
+        uint256 oldValue;
+        if (parameter == tierCooldownParameter(tier)) {
+            _validateWithdrawalCooldown(value);
+            oldValue = tierLimits[tier].withdrawalCooldown;
+            tierLimits[tier].withdrawalCooldown = value;
+            emit TierWithdrawalCooldownUpdated(tier, oldValue, value);
+        } else {
+            _validateTierMaxDeposit(value);
+            oldValue = tierLimits[tier].maxUserDeposit;
+            tierLimits[tier].maxUserDeposit = value;
+            emit TierMaxDepositUpdated(tier, oldValue, value);
+        }
+    }
+
+    /**
+     * @dev Records an outflow bucket's decayed usage as of now
+     */
+    function _settleOutflowBucket(PausableOperation operation) internal {
+        OutflowBucket storage bucket = _outflowBuckets[operation];
+        bucket.usage = outflowLimit == 0 ? 0 : _currentOutflowUsage(operation);
+        bucket.updatedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Applies a timelocked outflow circuit breaker configuration
+     */
+    function _applyOutflowLimit(uint256 value) internal {
+        uint256 limit = uint128(value);
+        uint256 window = value >> 128;
+        _validateOutflowLimit(limit, window);
+
+        // Settle the decay of each bucket at the old rate before it changes
+        PausableOperation[2] memory buckets = [PausableOperation.Withdrawals, PausableOperation.Treasury];
+        for (uint256 i = 0; i < buckets.length; i++) {
+            _settleOutflowBucket(buckets[i]);
+        }
+
+        emit OutflowLimitUpdated(outflowLimit, limit, outflowWindow, window);
+        outflowLimit = limit;
+        outflowWindow = window;
+    }
+
+    /**
+     * @dev Validates the governance delay bounds
+     */
+    function _validateParameterChangeDelay(uint256 _delay) internal pure {
+        if (_delay < MIN_PARAMETER_CHANGE_DELAY || _delay > MAX_PARAMETER_CHANGE_DELAY) {
+            revert AdminParameterInvalid(
+                "parameterChangeDelay",
+                _delay,
+                MIN_PARAMETER_CHANGE_DELAY,
+                MAX_PARAMETER_CHANGE_DELAY,
+                "delay_outside_allowed_range"
+            );
+        }
+    }
+}
@@ -0,0 +1,544 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Redemption Module
+ * @dev Asynchronous redemption queue, emergency shutdown and batch withdrawals
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultRedemptionModule is ERC4626YieldVaultStorage {
+    using MathUpgradeable for uint256;
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - ASYNCHRONOUS REDEMPTION QUEUE
+    // ============================================================================
+
+    /**
+     * @notice Requests an asynchronous redemption by locking shares in the vault
+     * @dev Shares are priced at the NAV in force when the request is fulfilled, not at request time
+     * @param shares The amount of shares to lock
+     * @param controller The address that controls the request and claims the assets
+     * @param owner The address that owns the shares being locked
+     * @return requestId Always 0, requests are aggregated per controller
+     */
+    function requestRedeem(
+        uint256 shares,
+        address controller,
+        address owner
+    ) external nonReentrant whenNotPaused whenOperationNotPaused(PausableOperation.Withdrawals)
+        returns (uint256 requestId)
+    {
+        if (shares == 0 || controller == address(0)) {
+            revert RedeemRequestInvalid(controller, shares, "invalid_redeem_request");
+        }
+        if (!_isDepositCooldownMet(owner)) {
+            revert WithdrawalValidationFailed(owner, 0, shares, "deposit_cooldown_active");
+        }
+        // Requests only price at fulfilment, so the queue policy keeps accepting them on a stale NAV
+        if (staleNAVPolicy == StaleNAVPolicy.Reject) {
+            _requireFreshNAV();
+        }
+
+        address caller = _msgSender();
+        _requireNotFrozen(caller, "request_redeem");
+        _requireNotFrozen(controller, "request_redeem");
+        if (caller != owner) {
+            _spendAllowance(owner, caller, shares);
+        }
+
+        // Locked shares stay in supply until fulfilment burns them
+        _transfer(owner, address(this), shares);
+        pendingRedeemShares[controller] += shares;
+        totalPendingRedeemShares += shares;
+
+        uint256 assets = _convertToAssets(shares, MathUpgradeable.Rounding.Down);
+        userDeposits[owner] = userDeposits[owner] > assets ? userDeposits[owner] - assets : 0;
+
+        emit RedeemRequest(controller, owner, REDEEM_REQUEST_ID, caller, shares);
+        return REDEEM_REQUEST_ID;
+    }
+
+    /**
+     * @notice Fulfils a pending redemption request at the current NAV (treasury role only)
+     * @dev Typically called after liquidity has been returned through depositFromTreasury
+     * @param controller The controller whose pending request is fulfilled
+     * @param shares The amount of pending shares to fulfil
+     * @return assets The amount of assets reserved for the controller to claim
+     */
+    function fulfillRedeem(
+        address controller,
+        uint256 shares
+    )
+        external
+        onlyRole(TREASURY_ROLE)
+        nonReentrant
+        whenNotPaused
+        whenOperationNotPaused(PausableOperation.Withdrawals)
+        returns (uint256 assets)
+    {
+        if (shares == 0 || shares > pendingRedeemShares[controller]) {
+            revert RedeemRequestInvalid(controller, shares, "exceeds_pending_request");
+        }
+        _requireFreshNAV();
+
+        assets = convertToAssets(shares);
+        if (assets > _getVaultBalance()) {
+            revert WithdrawalValidationFailed(controller, assets, shares, "insufficient_vault_liquidity");
+        }
+        // Claims settle assets already counted here, so they do not draw on the breaker again
+        _recordWithdrawalOutflow(assets);
+
+        pendingRedeemShares[controller] -= shares;
+        totalPendingRedeemShares -= shares;
+        claimableRedeemShares[controller] += shares;
+        claimableRedeemAssets[controller] += assets;
+        totalClaimableRedeemAssets += assets;
+
+        _burn(address(this), shares);
+        totalAssetsManaged -= assets;
+
+        emit RedeemRequestFulfilled(controller, shares, assets, currentNAV);
+    }
+
+    /**
+     * @notice Claims assets from a fulfilled redemption request (controller only)
+     * @param shares The amount of claimable shares to settle
+     * @param receiver The address that will receive the assets
+     * @param controller The controller of the request, must be the caller
+     * @return assets The amount of assets transferred to the receiver
+     */
+    function claimRedeem(
+        uint256 shares,
+        address receiver,
+        address controller
+    ) external nonReentrant whenNotPaused whenOperationNotPaused(PausableOperation.Withdrawals)
+        returns (uint256 assets)
+    {
+        if (_msgSender() != controller) {
+            revert RedeemRequestInvalid(controller, shares, "caller_not_controller");
+        }
+        uint256 claimableShares = claimableRedeemShares[controller];
+        if (shares == 0 || shares > claimableShares) {
+            revert RedeemRequestInvalid(controller, shares, "exceeds_claimable_request");
+        }
+        _requireNotFrozen(controller, "claim_redeem");
+        _validateAssetReceiver(receiver, "claim_redeem");
+
+        // Pro-rata share of the assets fixed at fulfilment
+        assets = claimableRedeemAssets[controller].mulDiv(shares, claimableShares);
+        claimableRedeemShares[controller] = claimableShares - shares;
+        claimableRedeemAssets[controller] -= assets;
+        totalClaimableRedeemAssets -= assets;
+
+        _underlyingAsset().safeTransfer(receiver, assets);
+        emit RedeemClaimed(controller, receiver, shares, assets);
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - EMERGENCY SHUTDOWN
+    // ============================================================================
+
+    /**
+     * @notice Permanently shuts the vault down (admin role only)
+     * @dev Freezes the NAV and stops deposits, regular withdrawals, the redemption queue and
+     * deployments to the treasury or strategies. Returns from the treasury and strategies stay open
+     * and every holder redeems through claimShutdownAssets instead. There is no way back.
+     */
+    function activateShutdown() external onlyRole(ADMIN_ROLE) {
+        require(!isShutdown, "Vault already shut down");
+        isShutdown = true;
+        shutdownTimestamp = block.timestamp;
+        shutdownTotalShares = totalSupply();
+
+        address admin = _msgSender();
+        PausableOperation[3] memory halted = [
+            PausableOperation.Deposits,
+            PausableOperation.Withdrawals,
+            PausableOperation.NAVUpdates
+        ];
+        for (uint256 i = 0; i < halted.length; i++) {
+            if (!operationPaused[halted[i]]) {
+                operationPaused[halted[i]] = true;
+                emit OperationPaused(halted[i], admin);
+            }
+        }
+
+        emit VaultShutdown(admin, currentNAV, shutdownTotalShares, _getVaultBalance());
+    }
+
+    /**
+     * @notice Pays an owner's pro-rata share of the assets returned to the vault since shutdown
+     * @dev Permissionless: anyone can trigger the claim, assets always go to the owner. The owner's shares,
+     * including shares locked in a pending redemption, are burned into the claim on first use. Entitlement is
+     * claimed shares / shutdownTotalShares of everything the vault has held since shutdown, so the order of
+     * claims does not matter and owners can claim again as the treasury and strategies return assets.
+     * Redemptions fulfilled before shutdown are paid out in full. Pro-rata payouts are capped at the
+     * remaining outflow capacity and the rest stays claimable.
+     * @param owner The share owner (or redemption controller) being paid out
+     * @return assets The amount of assets transferred to the owner
+     */
+    function claimShutdownAssets(address owner) external nonReentrant whenNotPaused returns (uint256 assets) {
+        if (!isShutdown) {
+            revert ShutdownClaimInvalid(owner, "vault_not_shutdown");
+        }
+        _requireNotFrozen(owner, "shutdown_claim");
+
+        uint256 shares = _lockShutdownShares(owner);
+        uint256 proRataAssets = _shutdownEntitlement(owner) - shutdownPaid[owner];
+        uint256 reservedAssets = claimableRedeemAssets[owner];
+        if (proRataAssets + reservedAssets == 0) {
+            revert ShutdownClaimInvalid(owner, "nothing_to_claim");
+        }
+
+        // Pro-rata payouts above the remaining outflow capacity stay claimable for later;
+        // reserved redemption assets were recorded when the request was fulfilled
+        uint256 available = availableOutflow();
+        if (proRataAssets > available) {
+            if (available == 0 && reservedAssets == 0) {
+                revert OutflowLimitExceeded(PausableOperation.Withdrawals, proRataAssets, 0, "outflow_limit_exceeded");
+            }
+            proRataAssets = available;
+        }
+        if (proRataAssets > 0) {
+            _recordWithdrawalOutflow(proRataAssets);
+        }
+        assets = proRataAssets + reservedAssets;
+
+        shutdownPaid[owner] += proRataAssets;
+        totalShutdownPaid += proRataAssets;
+        totalAssetsManaged = totalAssetsManaged > proRataAssets ? totalAssetsManaged - proRataAssets : 0;
+        if (reservedAssets > 0) {
+            claimableRedeemShares[owner] = 0;
+            claimableRedeemAssets[owner] = 0;
+            totalClaimableRedeemAssets -= reservedAssets;
+        }
+
+        _underlyingAsset().safeTransfer(owner, assets);
+        emit ShutdownClaimed(owner, _msgSender(), shares, assets);
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - BATCH WITHDRAWALS
+    // ============================================================================
+
+    /**
+     * @notice Performs batch withdrawals for multiple users (admin only)
+     * @param owners Array of share owners
+     * @param receivers Array of addresses to receive the assets
+     * @param emergency If true, bypasses pause state for emergency situations; the outflow limit still applies
+     */
+    function batchWithdraw(
+        address[] calldata owners,
+        address[] calldata receivers,
+        bool emergency
+    ) external onlyRole(ADMIN_ROLE) nonReentrant {
+        // Shutdown pays holders pro-rata through claimShutdownAssets instead
+        require(!isShutdown, "Vault is shut down");
+
+        // Emergency mode bypasses pause state
+        if (!emergency) {
+            require(!paused(), "Contract is paused");
+            require(!_withdrawalsPaused(), "Withdrawals are paused");
+            _requireFreshNAV();
+        }
+
+        _validateBatchInputs(owners, receivers);
+
+        uint256 totalAssetsWithdrawn = 0;
+        uint256 totalSharesBurned = 0;
+
+        // Emergency mode bypasses the liquidity pre-check for speed and records its outflow once paid
+        if (!emergency) {
+            uint256 totalAssetsNeeded = _validateBatchLiquidity(owners);
+            _recordWithdrawalOutflow(totalAssetsNeeded);
+        }
+
+        // Process each withdrawal
+        for (uint256 i = 0; i < owners.length; i++) {
+            (uint256 assets, uint256 shares) = _processBatchWithdrawal(
+                owners[i],
+                receivers[i],
+                emergency
+            );
+
+            totalAssetsWithdrawn += assets;
+            totalSharesBurned += shares;
+        }
+
+        // Update vault state
+        totalAssetsManaged -= totalAssetsWithdrawn;
+        if (emergency) {
+            _recordWithdrawalOutflow(totalAssetsWithdrawn);
+        }
+
+        // Liquidity sufficiency check (only for non-emergency)
+        if (!emergency) {
+            uint256 vaultBalance = _getVaultBalance();
+            require(
+                totalAssetsWithdrawn <= vaultBalance,
+                "Insufficient vault liquidity for batch withdrawal"
+            );
+        }
+
+        emit BatchWithdrawal(
+            _msgSender(),
+            totalAssetsWithdrawn,
+            totalSharesBurned
+        );
+    }
+
+    /**
+     * @notice Withdraws a given share amount per owner, skipping entries that cannot be processed (admin only)
+     * @dev Skipped entries do not revert the batch. Every entry emits BatchWithdrawalItemProcessed with its
+     * outcome, and entries are paid in order until the vault's liquidity runs out.
+     * @param owners Array of share owners
+     * @param receivers Array of addresses to receive the assets
+     * @param shares Array of share amounts to redeem per owner
+     * @return results The outcome of each entry
+     */
+    function batchWithdrawPartial(
+        address[] calldata owners,
+        address[] calldata receivers,
+        uint256[] calldata shares
+    )
+        external
+        onlyRole(ADMIN_ROLE)
+        nonReentrant
+        whenNotPaused
+        whenOperationNotPaused(PausableOperation.Withdrawals)
+        returns (BatchWithdrawalStatus[] memory results)
+    {
+        _validateBatchInputs(owners, receivers);
+        require(shares.length == owners.length, "Array length mismatch");
+        _requireFreshNAV();
+
+        results = new BatchWithdrawalStatus[](owners.length);
+        uint256 availableAssets = _getVaultBalance();
+        uint256 totalAssetsWithdrawn = 0;
+        uint256 totalSharesBurned = 0;
+
+        for (uint256 i = 0; i < owners.length; i++) {
+            uint256 assets = convertToAssets(shares[i]);
+            BatchWithdrawalStatus status = _batchWithdrawalStatus(
+                owners[i],
+                receivers[i],
+                shares[i],
+                assets > availableAssets
+            );
+            if (status == BatchWithdrawalStatus.Withdrawn) {
+                status = _reserveBatchOutflow(assets);
+            }
+
+            if (status == BatchWithdrawalStatus.Withdrawn) {
+                _settleBatchWithdrawal(owners[i], receivers[i], assets, shares[i]);
+                availableAssets -= assets;
+                totalAssetsWithdrawn += assets;
+                totalSharesBurned += shares[i];
+            } else {
+                assets = 0;
+            }
+
+            results[i] = status;
+            emit BatchWithdrawalItemProcessed(i, owners[i], receivers[i], shares[i], assets, status);
+        }
+
+        totalAssetsManaged -= totalAssetsWithdrawn;
+        emit BatchWithdrawal(_msgSender(), totalAssetsWithdrawn, totalSharesBurned);
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns what claimShutdownAssets would currently pay an owner
+     * @param owner The share owner (or redemption controller)
+     * @return assets The assets the owner can claim now, zero before shutdown
+     */
+    function previewShutdownClaim(address owner) external view returns (uint256 assets) {
+        if (!isShutdown) return 0;
+        assets = claimableRedeemAssets[owner];
+        uint256 shares = shutdownShares[owner] + balanceOf(owner) + pendingRedeemShares[owner];
+        if (shares > 0) {
+            uint256 returnedAssets = _getVaultBalance() + totalShutdownPaid;
+            uint256 proRataAssets = returnedAssets.mulDiv(shares, shutdownTotalShares) - shutdownPaid[owner];
+            assets += proRataAssets.min(availableOutflow());
+        }
+    }
+
+    /**
+     * @notice Returns the shares of a controller still waiting for fulfilment (ERC-7540)
+     * @param controller The controller of the request
+     * @return The amount of pending shares
+     */
+    function pendingRedeemRequest(uint256, address controller) external view returns (uint256) {
+        return pendingRedeemShares[controller];
+    }
+
+    /**
+     * @notice Returns the shares of a controller fulfilled and ready to claim (ERC-7540)
+     * @param controller The controller of the request
+     * @return The amount of claimable shares
+     */
+    function claimableRedeemRequest(uint256, address controller) external view returns (uint256) {
+        return claimableRedeemShares[controller];
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @dev Records a partial batch entry's outflow, skipping it once withdrawals are paused or the capacity
+     * is used up instead of reverting the whole batch
+     */
+    function _reserveBatchOutflow(uint256 assets) internal returns (BatchWithdrawalStatus) {
+        if (_withdrawalsPaused() || assets > availableOutflow()) {
+            return BatchWithdrawalStatus.OutflowLimitReached;
+        }
+        _recordWithdrawalOutflow(assets);
+        return BatchWithdrawalStatus.Withdrawn;
+    }
+
+    /**
+     * @dev Burns the shares an owner holds or has locked in a pending redemption into their shutdown claim
+     */
+    function _lockShutdownShares(address owner) internal returns (uint256 shares) {
+        uint256 heldShares = balanceOf(owner);
+        uint256 pendingShares = pendingRedeemShares[owner];
+        if (heldShares > 0) {
+            _burn(owner, heldShares);
+        }
+        if (pendingShares > 0) {
+            pendingRedeemShares[owner] = 0;
+            totalPendingRedeemShares -= pendingShares;
+            _burn(address(this), pendingShares);
+        }
+        shares = heldShares + pendingShares;
+        if (shares > 0) {
+            shutdownShares[owner] += shares;
+            userDeposits[owner] = 0;
+        }
+    }
+
+    /**
+     * @dev Internal helper to process individual batch withdrawal
+     */
+    function _processBatchWithdrawal(
+        address owner,
+        address receiver,
+        bool emergency
+    ) internal returns (uint256 assets, uint256 shares) {
+        shares = balanceOf(owner);
+        if (shares == 0) return (0, 0);
+
+        assets = convertToAssets(shares);
+
+        // Non-emergency requires withdrawal eligibility check
+        if (!emergency) {
+            require(canWithdraw(owner), "Withdrawal not allowed");
+        }
+
+        _validateAssetReceiver(receiver, "batch_withdraw");
+        _settleBatchWithdrawal(owner, receiver, assets, shares);
+    }
+
+    /**
+     * @dev Burns an owner's shares and pays the assets for a batch withdrawal entry
+     */
+    function _settleBatchWithdrawal(address owner, address receiver, uint256 assets, uint256 shares) internal {
+        _burn(owner, shares);
+        _underlyingAsset().safeTransfer(receiver, assets);
+
+        // Update user tracking
+        if (userDeposits[owner] >= assets) {
+            userDeposits[owner] -= assets;
+        } else {
+            userDeposits[owner] = 0;
+        }
+
+        lastWithdrawalTime[owner] = block.timestamp;
+
+        emit Withdraw(_msgSender(), receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev An owner's pro-rata share of every asset the vault has held since shutdown, paid or not.
+     * Fulfilled redemptions are reserved separately and not included.
+     */
+    function _shutdownEntitlement(address owner) internal view returns (uint256) {
+        if (shutdownShares[owner] == 0) return 0;
+        uint256 returnedAssets = _getVaultBalance() + totalShutdownPaid;
+        return returnedAssets.mulDiv(shutdownShares[owner], shutdownTotalShares, MathUpgradeable.Rounding.Down);
+    }
+
+    /**
+     * @dev Whether the withdrawal operation class is paused on its own, regardless of the global pause
+     */
+    function _withdrawalsPaused() internal view returns (bool) {
+        return operationPaused[PausableOperation.Withdrawals];
+    }
+
+    /**
+     * @dev Internal helper to validate batch liquidity requirements
+     */
+    function _validateBatchLiquidity(address[] calldata owners) internal view returns (uint256 totalAssetsNeeded) {
+        uint256 vaultBalance = _getVaultBalance();
+
+        for (uint256 i = 0; i < owners.length; i++) {
+            uint256 shares = balanceOf(owners[i]);
+            if (shares > 0) {
+                totalAssetsNeeded += convertToAssets(shares);
+            }
+        }
+
+        require(
+            totalAssetsNeeded <= vaultBalance,
+            "Insufficient vault liquidity"
+        );
+    }
+
+    /**
+     * @dev Outcome of a partial batch withdrawal entry, checked in order so each entry reports its first failure
+     */
+    function _batchWithdrawalStatus(
+        address owner,
+        address receiver,
+        uint256 shares,
+        bool exceedsLiquidity
+    ) internal view returns (BatchWithdrawalStatus) {
+        if (shares == 0) return BatchWithdrawalStatus.ZeroShares;
+        if (shares > balanceOf(owner)) return BatchWithdrawalStatus.InsufficientShares;
+        if (!canWithdraw(owner)) return BatchWithdrawalStatus.WithdrawalNotAllowed;
+        if (
+            receiver == address(0) ||
+            isFrozen(owner) ||
+            isFrozen(receiver) ||
+            (transferRestrictionEnabled && !isWhitelisted(receiver))
+        ) {
+            return BatchWithdrawalStatus.AccountRestricted;
+        }
+        if (exceedsLiquidity) return BatchWithdrawalStatus.InsufficientLiquidity;
+        return BatchWithdrawalStatus.Withdrawn;
+    }
+
+    /**
+     * @dev Internal helper to validate batch input parameters
+     */
+    function _validateBatchInputs(
+        address[] calldata owners,
+        address[] calldata receivers
+    ) internal pure {
+        require(owners.length == receivers.length, "Array length mismatch");
+        require(owners.length > 0, "Empty arrays");
+        require(owners.length <= 50, "Too many operations"); // Reduced from 100
+    }
+}
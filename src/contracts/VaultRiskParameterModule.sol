@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Risk Parameter Module
+ * @dev Risk parameter setters, which queue their changes behind the parameter change timelock
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultRiskParameterModule is ERC4626YieldVaultStorage {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - RISK PARAMETERS
+    // ============================================================================
+
+    /**
+     * @notice Queues a new withdrawal cooldown period (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _cooldown The new cooldown period in seconds (max 30 days)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setWithdrawalCooldown(
+        uint256 _cooldown
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateWithdrawalCooldown(_cooldown);
+        return _queueParameterChange(PARAM_WITHDRAWAL_COOLDOWN, _cooldown);
+    }
+
+    /**
+     * @notice Queues a new maximum deposit amount per user (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _maxUserDeposit The new maximum deposit amount per user
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setMaxUserDeposit(
+        uint256 _maxUserDeposit
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateMaxUserDeposit(_maxUserDeposit);
+        return _queueParameterChange(PARAM_MAX_USER_DEPOSIT, _maxUserDeposit);
+    }
+
+    /**
+     * @notice Queues a new outflow circuit breaker configuration (admin only)
+     * @dev Caps assets leaving through withdrawals, redemptions, batch withdrawals and treasury or strategy
+     * deployments, redemption fulfilments and shutdown claims over a rolling window. Treasury and strategy
+     * deployments have their own bucket, so they never reduce what users can withdraw. Outflows larger than the
+     * remaining capacity revert, and maxWithdraw and maxRedeem are capped at it. The outflow that exhausts the
+     * cap pauses the affected operation class until an admin unpauses it, which emergency batch withdrawals
+     * bypass while still counting against the cap.
+     * Takes effect through executeParameterChange(PARAM_OUTFLOW_LIMIT) once the governance delay has passed;
+     * the queued value is _window << 128 | _limit.
+     * @param _limit Maximum assets leaving per window and bucket, zero disables the breaker
+     * @param _window Window length in seconds (1 hour to 30 days)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setOutflowLimit(uint256 _limit, uint256 _window) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateOutflowLimit(_limit, _window);
+        // The window is dropped when the breaker is disabled
+        return _queueParameterChange(PARAM_OUTFLOW_LIMIT, ((_limit == 0 ? 0 : _window) << 128) | _limit);
+    }
+
+    /**
+     * @notice Queues a new maximum deposit amount per user of an investor tier (admin only)
+     * @dev Takes effect through executeParameterChange(tierMaxDepositParameter(tier)) once the delay has passed
+     * @param tier The investor tier
+     * @param _maxUserDeposit The new per-user limit, zero to use maxUserDeposit
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setTierMaxDeposit(
+        InvestorTier tier,
+        uint256 _maxUserDeposit
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        require(tier != InvestorTier.None, "Invalid investor tier");
+        _validateTierMaxDeposit(_maxUserDeposit);
+        return _queueParameterChange(tierMaxDepositParameter(tier), _maxUserDeposit);
+    }
+
+    /**
+     * @notice Queues a new withdrawal cooldown for an investor tier (admin only)
+     * @dev Takes effect through executeParameterChange(tierCooldownParameter(tier)) once the delay has passed
+     * @param tier The investor tier
+     * @param _cooldown The new cooldown in seconds (max 30 days), zero to use withdrawalCooldown
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setTierWithdrawalCooldown(
+        InvestorTier tier,
+        uint256 _cooldown
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        require(tier != InvestorTier.None, "Invalid investor tier");
+        _validateWithdrawalCooldown(_cooldown);
+        return _queueParameterChange(tierCooldownParameter(tier), _cooldown);
+    }
+
+    /**
+     * @notice Queues a new maximum total deposits limit (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _maxTotalDeposits The new maximum total deposit amount
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setMaxTotalDeposits(
+        uint256 _maxTotalDeposits
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateMaxTotalDeposits(_maxTotalDeposits);
+        return _queueParameterChange(PARAM_MAX_TOTAL_DEPOSITS, _maxTotalDeposits);
+    }
+
+    /**
+     * @notice Queues a new maximum NAV change per update (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _maxNAVChange The new maximum NAV change in basis points (max 5000 = 50%)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setMaxNAVChange(
+        uint256 _maxNAVChange
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateMaxNAVChange(_maxNAVChange);
+        return _queueParameterChange(PARAM_MAX_NAV_CHANGE, _maxNAVChange);
+    }
+
+    /**
+     * @notice Queues a new delay between NAV updates and withdrawal eligibility (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _navUpdateDelay The new NAV update delay in seconds (max 24 hours)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setNAVUpdateDelay(
+        uint256 _navUpdateDelay
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateNAVUpdateDelay(_navUpdateDelay);
+        return _queueParameterChange(PARAM_NAV_UPDATE_DELAY, _navUpdateDelay);
+    }
+
+    /**
+     * @notice Queues a new treasury address for fund withdrawals (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _newTreasury The new treasury address (cannot be zero address)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setTreasuryAddress(
+        address _newTreasury
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateTreasuryAddress(_newTreasury);
+        return _queueParameterChange(PARAM_TREASURY_ADDRESS, uint256(uint160(_newTreasury)));
+    }
+
+    /**
+     * @notice Queues a new minimum liquidity reserve ratio (admin only)
+     * @dev Takes effect through executeParameterChange once the governance delay has passed
+     * @param _minReserveRatio The new reserve in basis points of totalAssetsManaged (max 10000 = 100%)
+     * @return The timestamp from which executeParameterChange can apply the change
+     */
+    function setMinReserveRatio(
+        uint256 _minReserveRatio
+    ) external onlyRole(ADMIN_ROLE) returns (uint256) {
+        _validateMinReserveRatio(_minReserveRatio);
+        return _queueParameterChange(PARAM_MIN_RESERVE_RATIO, _minReserveRatio);
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultRoles.sol";
+
+/**
+ * @title Role Module
+ * @dev Admin handovers and role member syncing for ERC4626YieldVault
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultRoleModule is ERC4626YieldVaultRoles {
+    constructor() {
+        _disableInitializers();
+    }
+}
@@ -0,0 +1,425 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Treasury Module
+ * @dev Treasury and strategy deployments, the strategy registry and the asset allocation views
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultTreasuryModule is ERC4626YieldVaultStorage {
+    using MathUpgradeable for uint256;
+    using SafeERC20Upgradeable for IERC20Upgradeable;
+    using EnumerableSetUpgradeable for EnumerableSetUpgradeable.AddressSet;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - TREASURY
+    // ============================================================================
+
+    /**
+     * @notice Withdraws funds to the treasury address for DeFi deployment (treasury role only)
+     * @dev Moves assets from vault to treasury for external yield generation
+     * @dev Does not affect totalAssetsManaged as assets remain under vault management
+     * @param amount The amount to withdraw to treasury
+     */
+    function withdrawToTreasury(
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.Treasury) {
+        require(amount > 0, "Zero amount");
+        require(!isShutdown, "Vault is shut down");
+        uint256 vaultBalance = _getVaultBalance();
+        require(amount <= vaultBalance, "Insufficient balance");
+        _checkReserveRatio(amount, vaultBalance);
+        _deployAssets(_treasuryStrategy(), treasuryAddress, amount);
+        emit TreasuryWithdrawal(treasuryAddress, amount, vaultBalance - amount);
+    }
+
+    /**
+     * @notice Deposits funds back from treasury operations (treasury role only)
+     * @dev Kept for callers of the single-amount form. The amount repays outstanding principal first and
+     * any excess is recorded as yield; shortfalls can only be written off through a final settlement.
+     * @param amount The amount being returned
+     */
+    function depositFromTreasury(
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.Treasury) {
+        uint256 principal = amount.min(_treasuryStrategy().deployed);
+        _depositFromTreasury(principal, amount - principal, false);
+    }
+
+    /**
+     * @notice Deposits principal and yield back from treasury operations (treasury role only)
+     * @dev Principal reduces the outstanding treasury deployment, yield accumulates in totalRealizedYield
+     * @dev A final settlement writes off any principal still outstanding as a realised loss
+     * @dev Does not affect totalAssetsManaged; NAV updates reflect realised yield and losses
+     * @param principal The deployed principal being returned
+     * @param yieldAmount The yield being returned on top of principal
+     * @param finalSettlement True when the treasury will return nothing further for the current deployment
+     */
+    function depositFromTreasury(
+        uint256 principal,
+        uint256 yieldAmount,
+        bool finalSettlement
+    ) external onlyRole(TREASURY_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.Treasury) {
+        _depositFromTreasury(principal, yieldAmount, finalSettlement);
+    }
+
+    /**
+     * @notice Seeds the treasury principal deployed before the ledger existed (admin only, once)
+     * @dev For proxies upgraded from a version whose withdrawToTreasury did not record principal. Run it
+     * through upgradeToAndCall, or before the first treasury return, so that return can be split.
+     * @param principal Assets held by the treasury that have not yet been returned
+     */
+    function initializeTreasuryLedger(uint256 principal) external reinitializer(2) onlyRole(ADMIN_ROLE) {
+        Strategy storage treasury = _treasuryStrategy();
+        uint256 maxPrincipal = totalAssetsManaged > treasury.deployed ? totalAssetsManaged - treasury.deployed : 0;
+        if (principal > maxPrincipal) {
+            revert AdminParameterInvalid(
+                "treasuryPrincipal",
+                principal,
+                0,
+                maxPrincipal,
+                "principal_exceeds_managed_assets"
+            );
+        }
+        treasury.deployed += principal;
+        emit TreasuryPrincipalSeeded(_msgSender(), principal, treasury.deployed);
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - STRATEGY REGISTRY
+    // ============================================================================
+
+    /**
+     * @notice Registers a named strategy destination (admin only)
+     * @dev New destinations only receive funds after the parameter change delay, like treasury address changes
+     * @param strategyId The strategy identifier
+     * @param destination The custodian or strategy address holding deployed assets
+     * @param allocationCap Maximum deployed principal in basis points of totalAssetsManaged
+     */
+    function addStrategy(
+        bytes32 strategyId,
+        address destination,
+        uint256 allocationCap
+    ) external onlyRole(ADMIN_ROLE) {
+        require(destination != address(0), "Strategy cannot be zero address");
+        if (strategyId == TREASURY_STRATEGY_ID || strategies[strategyId].activeFrom != 0) {
+            revert StrategyValidationFailed(strategyId, 0, 0, "strategy_already_registered");
+        }
+        if (_strategyIds.length >= MAX_STRATEGIES) {
+            revert StrategyValidationFailed(strategyId, 0, MAX_STRATEGIES, "too_many_strategies");
+        }
+        _validateAllocationCap(allocationCap);
+
+        uint256 delay = parameterChangeDelay == 0 ? DEFAULT_PARAMETER_CHANGE_DELAY : parameterChangeDelay;
+        uint256 activeFrom = block.timestamp + delay;
+        Strategy storage strategy = strategies[strategyId];
+        strategy.destination = destination;
+        strategy.allocationCap = allocationCap;
+        strategy.activeFrom = activeFrom;
+        _strategyIds.push(strategyId);
+
+        emit StrategyAdded(strategyId, destination, allocationCap, activeFrom);
+    }
+
+    /**
+     * @notice Updates the allocation cap of a strategy (admin only)
+     * @dev Lowering the cap below the deployed amount only blocks further withdrawals to the strategy
+     * @param strategyId The strategy identifier
+     * @param allocationCap The new cap in basis points of totalAssetsManaged
+     */
+    function setStrategyAllocationCap(
+        bytes32 strategyId,
+        uint256 allocationCap
+    ) external onlyRole(ADMIN_ROLE) {
+        Strategy storage strategy = strategies[strategyId];
+        if (strategyId == TREASURY_STRATEGY_ID || strategy.activeFrom == 0) {
+            revert StrategyValidationFailed(strategyId, 0, 0, "strategy_not_registered");
+        }
+        _validateAllocationCap(allocationCap);
+
+        uint256 oldValue = strategy.allocationCap;
+        strategy.allocationCap = allocationCap;
+        emit StrategyAllocationCapUpdated(strategyId, oldValue, allocationCap);
+    }
+
+    /**
+     * @notice Removes a strategy once all its principal has been returned (admin only)
+     * @param strategyId The strategy identifier
+     */
+    function removeStrategy(bytes32 strategyId) external onlyRole(ADMIN_ROLE) {
+        Strategy memory strategy = strategies[strategyId];
+        if (strategyId == TREASURY_STRATEGY_ID || strategy.activeFrom == 0) {
+            revert StrategyValidationFailed(strategyId, 0, 0, "strategy_not_registered");
+        }
+        if (strategy.deployed > 0) {
+            revert StrategyValidationFailed(strategyId, strategy.deployed, 0, "strategy_has_deployed_assets");
+        }
+
+        uint256 length = _strategyIds.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (_strategyIds[i] == strategyId) {
+                _strategyIds[i] = _strategyIds[length - 1];
+                _strategyIds.pop();
+                break;
+            }
+        }
+        delete strategies[strategyId];
+
+        emit StrategyRemoved(strategyId, strategy.destination);
+    }
+
+    /**
+     * @notice Withdraws funds to a registered strategy destination (treasury role only)
+     * @dev Deployed principal per strategy is capped at its allocation of totalAssetsManaged
+     * @dev Does not affect totalAssetsManaged as assets remain under vault management
+     * @param strategyId The strategy identifier
+     * @param amount The amount to deploy to the strategy
+     */
+    function withdrawToStrategy(
+        bytes32 strategyId,
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.Treasury) {
+        require(amount > 0, "Zero amount");
+        require(!isShutdown, "Vault is shut down");
+        Strategy storage strategy = strategies[strategyId];
+        if (strategyId == TREASURY_STRATEGY_ID || strategy.activeFrom == 0) {
+            revert StrategyValidationFailed(strategyId, amount, 0, "strategy_not_registered");
+        }
+        if (block.timestamp < strategy.activeFrom) {
+            revert StrategyValidationFailed(strategyId, amount, strategy.activeFrom, "strategy_not_active");
+        }
+
+        uint256 vaultBalance = _getVaultBalance();
+        require(amount <= vaultBalance, "Insufficient balance");
+        _checkReserveRatio(amount, vaultBalance);
+
+        uint256 allocationLimit = totalAssetsManaged.mulDiv(strategy.allocationCap, 10000);
+        if (strategy.deployed + amount > allocationLimit) {
+            revert StrategyValidationFailed(strategyId, amount, allocationLimit, "allocation_cap_exceeded");
+        }
+        _deployAssets(strategy, strategy.destination, amount);
+        emit StrategyWithdrawal(strategyId, strategy.destination, amount, strategy.deployed);
+    }
+
+    /**
+     * @notice Returns principal and yield from a strategy to the vault (treasury role only)
+     * @dev Amounts above the deployed principal are reported as yield
+     * @dev Does not affect totalAssetsManaged as this only changes asset location
+     * @param strategyId The strategy identifier
+     * @param amount The amount to pull back from the strategy destination
+     */
+    function depositFromStrategy(
+        bytes32 strategyId,
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) whenNotPaused whenOperationNotPaused(PausableOperation.Treasury) {
+        require(amount > 0, "Zero amount");
+        Strategy storage strategy = strategies[strategyId];
+        if (strategyId == TREASURY_STRATEGY_ID || strategy.activeFrom == 0) {
+            revert StrategyValidationFailed(strategyId, amount, 0, "strategy_not_registered");
+        }
+
+        uint256 yieldEarned = _recordStrategyReturn(strategyId, amount);
+        _underlyingAsset().safeTransferFrom(strategy.destination, address(this), amount);
+        emit StrategyDeposit(strategyId, strategy.destination, amount, strategy.deployed, yieldEarned);
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Principal deployed through withdrawToTreasury that has not yet been returned or written off
+     */
+    function treasuryPrincipalOutstanding() external view returns (uint256) {
+        return _treasuryStrategy().deployed;
+    }
+
+    /**
+     * @notice Returns the assets that can still be sent to the treasury or strategies in the current outflow window
+     * @return The remaining capacity, type(uint256).max when the circuit breaker is disabled
+     */
+    function availableTreasuryOutflow() external view returns (uint256) {
+        return _availableOutflow(PausableOperation.Treasury);
+    }
+
+    /**
+     * @notice Returns a complete breakdown of asset allocation
+     * @return vaultBalance Assets physically in the vault, excluding assets reserved for redemption claims
+     * @return treasuryDeployed Principal deployed to treasury operations and not yet returned or written off
+     * @return totalManaged Total assets under management
+     * @return utilizationRate Principal deployed to the treasury and strategies as a share of totalManaged
+     * (basis points, capped at 10000 = 100%)
+     * @return strategyIds Strategy identifiers, starting with the legacy treasury
+     * @return strategyDeployed Principal deployed to each strategy
+     */
+    function getAssetAllocation() public view returns (
+        uint256 vaultBalance,
+        uint256 treasuryDeployed, 
+        uint256 totalManaged,
+        uint256 utilizationRate,
+        bytes32[] memory strategyIds,
+        uint256[] memory strategyDeployed
+    ) {
+        (strategyIds, , , strategyDeployed) = getStrategyAllocations();
+        vaultBalance = _getVaultBalance();
+        treasuryDeployed = strategyDeployed[0];
+        totalManaged = totalAssetsManaged;
+
+        uint256 totalDeployed = 0;
+        for (uint256 i = 0; i < strategyDeployed.length; i++) {
+            totalDeployed += strategyDeployed[i];
+        }
+        if (totalManaged > 0) {
+            utilizationRate = totalDeployed.mulDiv(10000, totalManaged).min(10000);
+        }
+    }
+
+    /**
+     * @notice Returns how much can still be sent to the treasury or strategies without breaching the reserve
+     * @return deployableAssets Unreserved vault liquidity above the minimum reserve
+     * @return requiredReserve Assets that must stay in the vault under the minimum reserve ratio
+     */
+    function getDeployableAssets() public view returns (uint256 deployableAssets, uint256 requiredReserve) {
+        uint256 vaultBalance = _getVaultBalance();
+        requiredReserve = _getRequiredReserve();
+        deployableAssets = vaultBalance > requiredReserve ? vaultBalance - requiredReserve : 0;
+    }
+
+    /**
+     * @notice Returns the registered strategies and their deployed principal
+     * @dev The legacy treasury is reported first with the current treasuryAddress and a 100% cap
+     * @return ids Strategy identifiers
+     * @return destinations Destination address of each strategy
+     * @return allocationCaps Allocation cap of each strategy in basis points of totalAssetsManaged
+     * @return deployed Principal deployed to each strategy
+     */
+    function getStrategyAllocations() public view returns (
+        bytes32[] memory ids,
+        address[] memory destinations,
+        uint256[] memory allocationCaps,
+        uint256[] memory deployed
+    ) {
+        uint256 length = _strategyIds.length + 1;
+        ids = new bytes32[](length);
+        destinations = new address[](length);
+        allocationCaps = new uint256[](length);
+        deployed = new uint256[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            bytes32 strategyId = i == 0 ? TREASURY_STRATEGY_ID : _strategyIds[i - 1];
+            Strategy memory strategy = strategies[strategyId];
+            ids[i] = strategyId;
+            destinations[i] = strategy.destination;
+            allocationCaps[i] = strategy.allocationCap;
+            deployed[i] = strategy.deployed;
+        }
+
+        // The treasury ledger has no registered destination or cap of its own
+        destinations[0] = treasuryAddress;
+        allocationCaps[0] = 10000;
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @dev Sends assets to the treasury or a strategy, recording the principal against its ledger entry
+     */
+    function _deployAssets(Strategy storage strategy, address destination, uint256 amount) internal {
+        _recordOutflow(amount, PausableOperation.Treasury);
+        strategy.deployed += amount;
+        _underlyingAsset().safeTransfer(destination, amount);
+    }
+
+    /**
+     * @dev Records a treasury return against the principal ledger and pulls the assets from the treasury.
+     * TreasuryDeposit keeps its original fields for existing consumers, TreasuryReturnRecorded has the split.
+     */
+    function _depositFromTreasury(uint256 principal, uint256 yieldAmount, bool finalSettlement) internal {
+        uint256 amount = principal + yieldAmount;
+        require(amount > 0 || finalSettlement, "Zero amount");
+
+        Strategy storage treasury = _treasuryStrategy();
+        if (principal > treasury.deployed) {
+            revert TreasuryReturnInvalid(principal, treasury.deployed, "principal_exceeds_outstanding");
+        }
+        treasury.deployed -= principal;
+        totalRealizedYield += yieldAmount;
+
+        if (finalSettlement && treasury.deployed > 0) {
+            uint256 loss = treasury.deployed;
+            treasury.deployed = 0;
+            totalRealizedLoss += loss;
+            emit TreasuryLossRecorded(treasuryAddress, loss, totalRealizedLoss);
+        }
+
+        uint256 newBalance = _getVaultBalance();
+        if (amount > 0) {
+            _underlyingAsset().safeTransferFrom(treasuryAddress, address(this), amount);
+            newBalance = _getVaultBalance();
+            emit TreasuryDeposit(treasuryAddress, amount, newBalance, yieldAmount);
+        }
+        emit TreasuryReturnRecorded(treasuryAddress, principal, yieldAmount, newBalance, treasury.deployed);
+    }
+
+    /**
+     * @dev Reduces the deployed principal of a strategy, returning the part of the amount above it as yield
+     */
+    function _recordStrategyReturn(bytes32 strategyId, uint256 amount) internal returns (uint256 yieldEarned) {
+        Strategy storage strategy = strategies[strategyId];
+        if (amount > strategy.deployed) {
+            yieldEarned = amount - strategy.deployed;
+            strategy.deployed = 0;
+        } else {
+            strategy.deployed -= amount;
+        }
+    }
+
+    /**
+     * @dev The strategy record holding the treasury ledger
+     */
+    function _treasuryStrategy() internal view returns (Strategy storage) {
+        return strategies[TREASURY_STRATEGY_ID];
+    }
+
+    /**
+     * @dev Reverts if deploying amount would leave less than the minimum reserve in the vault
+     */
+    function _checkReserveRatio(uint256 amount, uint256 vaultBalance) internal view {
+        uint256 requiredReserve = _getRequiredReserve();
+        uint256 deployableAssets = vaultBalance > requiredReserve ? vaultBalance - requiredReserve : 0;
+        if (amount > deployableAssets) {
+            revert InsufficientReserveRatio(amount, deployableAssets, requiredReserve);
+        }
+    }
+
+    /**
+     * @dev Returns the assets that must stay liquid in the vault
+     */
+    function _getRequiredReserve() internal view returns (uint256) {
+        return totalAssetsManaged.mulDiv(minReserveRatio, 10000, MathUpgradeable.Rounding.Up);
+    }
+
+    /**
+     * @dev Validates a strategy allocation cap
+     */
+    function _validateAllocationCap(uint256 allocationCap) internal pure {
+        if (allocationCap == 0 || allocationCap > 10000) {
+            revert AdminParameterInvalid(
+                "allocationCap",
+                allocationCap,
+                1,
+                10000,
+                "invalid_allocation_cap"
+            );
+        }
+    }
+}
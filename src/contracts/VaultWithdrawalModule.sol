@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+import "./ERC4626YieldVaultStorage.sol";
+
+/**
+ * @title Withdrawal Module
+ * @dev ERC-4626 withdrawals and redemptions with their cooldown and NAV delay checks, and withdrawal slippage bounds
+ * @notice Runs through delegatecall from ERC4626YieldVault and declares no state, so the vault layout is unchanged
+ */
+contract VaultWithdrawalModule is ERC4626YieldVaultStorage {
+    using MathUpgradeable for uint256;
+
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============================================================================
+    // EXTERNAL FUNCTIONS - SLIPPAGE PROTECTION
+    // ============================================================================
+
+    /**
+     * @notice Withdraws assets, reverting if more than maxShares are burned or the deadline passed
+     * @param assets The amount of assets to withdraw
+     * @param receiver The address that will receive the assets
+     * @param owner The address that owns the shares
+     * @param maxShares The maximum amount of shares to burn
+     * @param deadline Timestamp after which the transaction reverts
+     * @return shares The amount of shares burned
+     */
+    function withdrawWithMaxShares(
+        uint256 assets,
+        address receiver,
+        address owner,
+        uint256 maxShares,
+        uint256 deadline
+    ) external returns (uint256 shares) {
+        _checkSlippageDeadline(deadline);
+        shares = withdraw(assets, receiver, owner);
+        _enforceSlippageBound(shares > maxShares, maxShares, shares, "excessive_shares_in");
+    }
+
+    /**
+     * @notice Redeems shares, reverting if fewer than minAssets are paid out or the deadline passed
+     * @param shares The amount of shares to redeem
+     * @param receiver The address that will receive the assets
+     * @param owner The address that owns the shares
+     * @param minAssets The minimum amount of assets to receive
+     * @param deadline Timestamp after which the transaction reverts
+     * @return assets The amount of assets withdrawn
+     */
+    function redeemWithMinAssets(
+        uint256 shares,
+        address receiver,
+        address owner,
+        uint256 minAssets,
+        uint256 deadline
+    ) external returns (uint256 assets) {
+        _checkSlippageDeadline(deadline);
+        assets = redeem(shares, receiver, owner);
+        _enforceSlippageBound(assets < minAssets, minAssets, assets, "insufficient_assets_out");
+    }
+
+    // ============================================================================
+    // VIEW FUNCTIONS
+    // ============================================================================
+
+    /**
+     * @notice Returns the time remaining until withdrawal is allowed for a user
+     * @param user The address to check withdrawal timing for
+     * @return The number of seconds until withdrawal is allowed, 0 if already allowed
+     */
+    function timeUntilWithdrawal(address user) external view returns (uint256) {
+        uint256 cooldownEnd = lastDepositTime[user] + _getWithdrawalCooldown(user);
+        uint256 navDelayEnd = lastNAVChangeTime + navUpdateDelay;
+        uint256 withdrawalDelayEnd = lastWithdrawalTime[user] + 1 minutes;
+
+        // Find the maximum constraint
+        uint256 maxEnd = cooldownEnd > navDelayEnd ? cooldownEnd : navDelayEnd;
+        maxEnd = maxEnd > withdrawalDelayEnd ? maxEnd : withdrawalDelayEnd;
+
+        return block.timestamp >= maxEnd ? 0 : maxEnd - block.timestamp;
+    }
+
+    /**
+     * @notice Returns the maximum amount of assets that can be withdrawn by an owner
+     * @param owner The address that owns the shares
+     * @return The maximum amount of assets that can be withdrawn, 0 if withdrawal not allowed
+     */
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        if (isOperationPaused(PausableOperation.Withdrawals) || isNAVStale()) return 0;
+        if (!canWithdraw(owner) || isFrozen(owner)) return 0;
+        return super.maxWithdraw(owner).min(availableOutflow());
+    }
+
+    /**
+     * @notice Returns the maximum number of shares that can be redeemed by an owner
+     * @param owner The address that owns the shares
+     * @return The maximum number of shares that can be redeemed, 0 if withdrawal not allowed
+     */
+    function maxRedeem(address owner) public view override returns (uint256) {
+        if (isOperationPaused(PausableOperation.Withdrawals) || isNAVStale()) return 0;
+        if (!canWithdraw(owner) || isFrozen(owner)) return 0;
+        uint256 available = availableOutflow();
+        if (available == type(uint256).max) return super.maxRedeem(owner);
+        return super.maxRedeem(owner).min(_convertToShares(available, MathUpgradeable.Rounding.Down));
+    }
+
+    // ============================================================================
+    // INTERNAL FUNCTIONS - Non-view functions first, then view functions
+    // ============================================================================
+
+    /**
+     * @notice ERC4626 withdrawal function with simplified, user-friendly business logic
+     * @dev Overrides ERC4626Upgradeable._withdraw with enhanced security and better UX
+     * @param caller The address calling the withdrawal function
+     * @param receiver The address that will receive the assets
+     * @param owner The address that owns the shares being redeemed
+     * @param assets The amount of assets to withdraw
+     * @param shares The amount of shares to burn
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal override nonReentrant whenNotPaused whenOperationNotPaused(PausableOperation.Withdrawals) {
+        
+        // 0. Compliance checks: owner shares are checked on burn, operators and receivers here
+        _requireFreshNAV();
+        _requireNotFrozen(caller, "withdraw");
+        _validateAssetReceiver(receiver, "withdraw");
+
+        // 1. Deposit cooldown protection (anti-flash-loan, the main security requirement)
+        if (!_isDepositCooldownMet(owner)) {
+            uint256 timeRemaining = lastDepositTime[owner] + _getWithdrawalCooldown(owner) - block.timestamp;
+            emit WithdrawalAttemptDuringCooldown(owner, assets, timeRemaining);
+            revert WithdrawalValidationFailed(owner, assets, shares, "deposit_cooldown_active");
+        }
+
+        // 2. Liquidity validation (ensure vault can fulfill withdrawal)
+        uint256 vaultBalance = _getVaultBalance();
+        require(assets <= vaultBalance, "Insufficient vault liquidity");
+        _recordWithdrawalOutflow(assets);
+
+        // 3. NAV update protection (only for users who deposited during recent volatility)
+        // Only apply NAV delays to users who deposited recently during volatile periods
+        if (_shouldApplyNAVDelay(owner)) {
+            require(
+                block.timestamp >= lastNAVChangeTime + navUpdateDelay,
+                "NAV recently updated, please wait"
+            );
+        }
+ 
+        super._withdraw(caller, receiver, owner, assets, shares);
+
+        totalAssetsManaged -= assets;
+
+        // Update user deposits tracking (fix inconsistency issue)
+        if (userDeposits[owner] >= assets) {
+            userDeposits[owner] -= assets;
+        } else {
+            emit ConversionOverflowPrevented(owner, "userDeposits_tracking_inconsistent", userDeposits[owner]);
+            userDeposits[owner] = 0;
+        }
+
+        lastWithdrawalTime[owner] = block.timestamp;
+    }
+
+    /**
+     * @dev Determines if NAV delay should apply to a specific user
+     * Only applies to users who deposited recently during periods of NAV volatility
+     * @param user The user address to check
+     * @return true if NAV delay should be applied
+     */
+    function _shouldApplyNAVDelay(address user) internal view returns (bool) {
+        // If NAV hasn't changed recently, no delay needed
+        if (block.timestamp >= lastNAVChangeTime + navUpdateDelay) {
+            return false;
+        }
+
+        // If user deposited before the recent NAV change, no delay needed
+        if (lastDepositTime[user] < lastNAVChangeTime) {
+            return false;
+        }
+
+        // If user deposited after a significant NAV change, apply delay
+        // This prevents users from depositing right after NAV updates and immediately withdrawing
+        return true;
+    }
+}
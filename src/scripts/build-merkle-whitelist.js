@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Builds the Merkle whitelist consumed by ERC4626YieldVault.claimWhitelist,
+ * depositWithProof and mintWithProof.
+ *
+ * Input CSV columns: address,tier,kycExpiry
+ *   - tier: none | retail | professional | institutional (or 0-3)
+ *   - kycExpiry: unix timestamp in seconds, empty or 0 for no expiry
+ *
+ * Leaves are keccak256(keccak256(abi.encode(address, uint8 tier, uint64 kycExpiry))) and pairs are
+ * hashed in sorted order, matching OpenZeppelin's MerkleProof.
+ */
+
+const TIERS = ["none", "retail", "professional", "institutional"];
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+function parseTier(value) {
+    const normalized = String(value ?? "").trim().toLowerCase();
+    if (normalized === "") return 0;
+    const index = /^\d+$/.test(normalized) ? Number(normalized) : TIERS.indexOf(normalized);
+    if (index < 0 || index >= TIERS.length) {
+        throw new Error(`Unknown investor tier "${value}"`);
+    }
+    return index;
+}
+
+function parseCsv(content) {
+    const rows = content
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line !== "" && !line.startsWith("#"));
+
+    if (rows.length > 0 && rows[0].toLowerCase().startsWith("address")) {
+        rows.shift();
+    }
+
+    return rows.map((line, index) => {
+        const [address, tier, kycExpiry] = line.split(",").map((cell) => cell.trim());
+        if (!ethers.isAddress(address)) {
+            throw new Error(`Invalid address on data row ${index + 1}: "${address}"`);
+        }
+        return {
+            address: ethers.getAddress(address),
+            tier: parseTier(tier),
+            kycExpiry: kycExpiry ? Number(kycExpiry) : 0
+        };
+    });
+}
+
+function hashLeaf(entry) {
+    const encoded = abiCoder.encode(["address", "uint8", "uint64"], [entry.address, entry.tier, entry.kycExpiry]);
+    return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+    return a.toLowerCase() < b.toLowerCase()
+        ? ethers.keccak256(ethers.concat([a, b]))
+        : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Builds the tree and a proof for every entry
+ * @param {Array<{address: string, tier: number, kycExpiry: number}>} entries
+ * @returns {{root: string, entries: Array<object>}}
+ */
+function buildMerkleWhitelist(entries) {
+    if (entries.length === 0) {
+        throw new Error("Whitelist is empty");
+    }
+
+    const seen = new Set();
+    for (const entry of entries) {
+        if (seen.has(entry.address)) {
+            throw new Error(`Duplicate address ${entry.address}`);
+        }
+        seen.add(entry.address);
+    }
+
+    const leaves = entries.map((entry) => ({ ...entry, leaf: hashLeaf(entry) }));
+    leaves.sort((a, b) => (a.leaf.toLowerCase() < b.leaf.toLowerCase() ? -1 : 1));
+
+    // layers[0] holds the leaves; an odd node is carried up unchanged
+    const layers = [leaves.map((entry) => entry.leaf)];
+    while (layers[layers.length - 1].length > 1) {
+        const current = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < current.length; i += 2) {
+            next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+        }
+        layers.push(next);
+    }
+
+    const withProofs = leaves.map((entry, leafIndex) => {
+        const proof = [];
+        let index = leafIndex;
+        for (let level = 0; level < layers.length - 1; level++) {
+            const sibling = index ^ 1;
+            if (sibling < layers[level].length) {
+                proof.push(layers[level][sibling]);
+            }
+            index = Math.floor(index / 2);
+        }
+        return { ...entry, proof };
+    });
+
+    return { root: layers[layers.length - 1][0], entries: withProofs };
+}
+
+async function main() {
+    const input = process.env.WHITELIST_CSV || process.argv[2];
+    if (!input) {
+        throw new Error("Set WHITELIST_CSV or pass the CSV path as the first argument");
+    }
+    const output = process.env.WHITELIST_OUTPUT || process.argv[3] || "deployments/merkle-whitelist-latest.json";
+
+    console.log(`🌳 Building Merkle whitelist from ${input}...`);
+    const tree = buildMerkleWhitelist(parseCsv(fs.readFileSync(input, "utf8")));
+
+    const proofs = {};
+    for (const entry of tree.entries) {
+        proofs[entry.address] = {
+            tier: entry.tier,
+            tierName: TIERS[entry.tier],
+            kycExpiry: entry.kycExpiry,
+            proof: entry.proof
+        };
+    }
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify({
+        root: tree.root,
+        generatedAt: new Date().toISOString(),
+        count: tree.entries.length,
+        proofs
+    }, null, 2));
+
+    console.log(`✅ ${tree.entries.length} entries`);
+    console.log(`   Root: ${tree.root}`);
+    console.log(`   Proofs written to ${output}`);
+    console.log("   Publish the root with setWhitelistMerkleRoot(root)");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Failed to build Merkle whitelist:", error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { buildMerkleWhitelist, parseCsv, hashLeaf };
@@ -34,25 +34,21 @@ async function main() {
         console.log(`   Has ADMIN_ROLE: ${hasAdminRole}`);
         console.log(`   Has DEFAULT_ADMIN_ROLE: ${hasDefaultAdminRole}\n`);
 
-        if (!hasAdminRole && !hasDefaultAdminRole) {
-            console.log("❌ Admin account doesn't have required roles!");
-
-            // Check who has admin roles
-            console.log("🔍 Checking who has admin roles...");
-
-            // This is a more complex check, but let's try to see what we can find
+        // List every holder of the operational roles
+        console.log("👥 Role holders:");
+        for (const roleName of ["ADMIN_ROLE", "ORACLE_ROLE", "TREASURY_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"]) {
             try {
-                const adminRoleMembers = await vault.getRoleMemberCount(ADMIN_ROLE);
-                console.log(`   ADMIN_ROLE members count: ${adminRoleMembers}`);
-
-                for (let i = 0; i < adminRoleMembers; i++) {
-                    const member = await vault.getRoleMember(ADMIN_ROLE, i);
-                    console.log(`   ADMIN_ROLE member ${i}: ${member}`);
-                }
+                const members = await vault.getRoleMembers(await vault[roleName]());
+                console.log(`   ${roleName} (${members.length}): ${members.join(", ") || "none"}`);
             } catch (error) {
-                console.log(`   Could not enumerate admin role members: ${error.message}`);
+                // Vaults deployed before role enumeration need an upgrade and syncRoleMembers first
+                console.log(`   Could not enumerate ${roleName} members: ${error.message}`);
             }
+        }
+        console.log("");
 
+        if (!hasAdminRole && !hasDefaultAdminRole) {
+            console.log("❌ Admin account doesn't have required roles!");
             return;
         }
 
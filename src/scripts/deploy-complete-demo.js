@@ -1,5 +1,6 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require('fs');
+const { deployVaultModules } = require("./deploy-vault-modules");
 
 // Determine if we're in test mode
 const isTestMode = process.env.NODE_ENV === 'test' || process.env.HARDHAT_NETWORK === 'hardhat';
@@ -143,7 +144,8 @@ async function main() {
     log.info("STEP 2: Deploy Vault");
     log.info("=".repeat(60));
 
-    // Deploy Vault with Vault Admin account
+    // Deploy the vault modules and the Vault with Vault Admin account
+    const modules = await deployVaultModules(wallets.vaultAdmin);
     const YieldVault = await ethers.getContractFactory("ERC4626YieldVault", wallets.vaultAdmin);
     const vault = await upgrades.deployProxy(
         YieldVault,
@@ -154,7 +156,7 @@ async function main() {
             addresses.treasuryRole, // Treasury address
             addresses.vaultAdmin    // Default admin
         ],
-        { initializer: "initialize" }
+        { initializer: "initialize", constructorArgs: [modules] }
     );
     await vault.deployed();
     log.success("✅ Vault deployed to:", vault.address);
@@ -241,7 +243,8 @@ async function main() {
                 name: VAULT_NAME,
                 symbol: VAULT_SYMBOL,
                 admin: addresses.vaultAdmin,
-                isEIP4626: true
+                isEIP4626: true,
+                modules
             }
         },
         accounts: Object.entries(ACCOUNTS).reduce((acc, [key, account]) => {
@@ -0,0 +1,36 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Modules the vault implementation delegates to, keyed as in the vault constructor's Modules struct
+ */
+const VAULT_MODULES = {
+    deposit: "VaultDepositModule",
+    withdrawal: "VaultWithdrawalModule",
+    nav: "VaultNAVModule",
+    fee: "VaultFeeModule",
+    treasury: "VaultTreasuryModule",
+    redemption: "VaultRedemptionModule",
+    riskParameter: "VaultRiskParameterModule",
+    parameter: "VaultParameterModule",
+    admin: "VaultAdminModule",
+    roles: "VaultRoleModule"
+};
+
+/**
+ * Deploys the vault modules. Pass the result as the vault's constructorArgs, e.g.
+ * `upgrades.deployProxy(Vault, args, { constructorArgs: [modules] })`.
+ * @param {Object} [signer] Deploying account, defaults to the first signer
+ * @returns {Promise<Object<string, string>>} Module addresses keyed as in VAULT_MODULES
+ */
+async function deployVaultModules(signer) {
+    const modules = {};
+    for (const [key, name] of Object.entries(VAULT_MODULES)) {
+        const factory = await ethers.getContractFactory(name, signer);
+        const module = await factory.deploy();
+        await module.waitForDeployment();
+        modules[key] = await module.getAddress();
+    }
+    return modules;
+}
+
+module.exports = { VAULT_MODULES, deployVaultModules };
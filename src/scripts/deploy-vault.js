@@ -1,4 +1,5 @@
 const { ethers, upgrades } = require("hardhat");
+const { deployVaultModules } = require("./deploy-vault-modules");
 
 // Determine if we're in test mode
 const isTestMode = process.env.NODE_ENV === 'test' || process.env.HARDHAT_NETWORK === 'hardhat';
@@ -81,6 +82,11 @@ async function main() {
     const SHARE_TOKEN_NAME = process.env.VAULT_NAME || "sMST1 Vault";
     const SHARE_TOKEN_SYMBOL = process.env.VAULT_SYMBOL || "sMST1";
 
+    // The implementation delegates its feature blocks to modules fixed in its constructor
+    log.info("\n📄 Deploying vault modules...");
+    const modules = await deployVaultModules(deployer);
+    log.success("✅ Vault modules deployed");
+
     log.info("\n📄 Deploying ERC4626 Yield Vault...");
     const YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
     const vault = await upgrades.deployProxy(
@@ -92,7 +98,7 @@ async function main() {
             TREASURY_ADDRESS,
             VAULT_DEFAULT_ADMIN
         ],
-        { initializer: "initialize" }
+        { initializer: "initialize", constructorArgs: [modules] }
     );
     await vault.deployed();
     log.success("✅ Yield Vault deployed to:", await vault.address);
@@ -163,7 +169,8 @@ async function main() {
                 name: SHARE_TOKEN_NAME,
                 symbol: SHARE_TOKEN_SYMBOL,
                 address: await vault.address,
-                isEIP4626: true
+                isEIP4626: true,
+                modules
             }
         },
         config: {
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { VAULT_MODULES } = require("./deploy-vault-modules");
 
 // Determine if we're in test mode
 const isTestMode = process.env.NODE_ENV === 'test' || process.env.HARDHAT_NETWORK === 'hardhat';
@@ -95,12 +96,24 @@ async function main() {
         results.push({ contract: "Base Token", success: result });
     }
 
-    // Verify Vault (if exists)
+    // Verify Vault modules (if recorded)
+    for (const [key, address] of Object.entries(deploymentInfo.contracts?.vault?.modules || {})) {
+        const name = VAULT_MODULES[key];
+        log.info(`\n📄 Verifying ${name}...`);
+        const result = await verifyContract(address, [], `src/contracts/${name}.sol:${name}`);
+        results.push({ contract: name, success: result });
+    }
+
+    // Verify Vault implementation (if exists); the module addresses are its constructor args, not the proxy's
     if (deploymentInfo.contracts?.vault?.address) {
-        log.info("\n📄 Verifying ERC4626 Yield Vault...");
+        log.info("\n📄 Verifying ERC4626 Yield Vault implementation...");
+        const modules = deploymentInfo.contracts.vault.modules;
+        const implementation = await hre.upgrades.erc1967.getImplementationAddress(
+            deploymentInfo.contracts.vault.address
+        );
         const result = await verifyContract(
-            deploymentInfo.contracts.vault.address,
-            [], // Proxy contracts don't need constructor args for verification
+            implementation,
+            modules ? [modules] : [],
             "src/contracts/ERC4626YieldVault.sol:ERC4626YieldVault"
         );
         results.push({ contract: "ERC4626 Yield Vault", success: result });
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Compliance Account Freeze", function () {
+    async function deployVaultFixture() {
+        const [, admin, treasury, officer, user1, user2, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { COMPLIANCE_ROLE: [officer] },
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+        await TestHelpers.passWithdrawalCooldown();
+
+        return { vault, baseToken, admin, officer, user1, user2, unauthorized };
+    }
+
+    describe("Freeze Management", function () {
+        it("Should let the compliance role freeze and unfreeze accounts", async function () {
+            const { vault, officer, user1 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(officer).freezeAccount(user1.address))
+                .to.emit(vault, "AccountFrozen")
+                .withArgs(user1.address, officer.address);
+            expect(await vault.isFrozen(user1.address)).to.be.true;
+            expect(await vault.getFrozenAccounts()).to.deep.equal([user1.address]);
+
+            await expect(vault.connect(officer).unfreezeAccount(user1.address))
+                .to.emit(vault, "AccountUnfrozen")
+                .withArgs(user1.address, officer.address);
+            expect(await vault.isFrozen(user1.address)).to.be.false;
+            expect(await vault.getFrozenAccounts()).to.deep.equal([]);
+        });
+
+        it("Should reject invalid and unauthorized freeze updates", async function () {
+            const { vault, admin, officer, user1, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(officer).freezeAccount(ethers.ZeroAddress))
+                .to.be.revertedWith("Cannot freeze zero address");
+            await expect(vault.connect(officer).unfreezeAccount(user1.address))
+                .to.be.revertedWith("Account not frozen");
+
+            await vault.connect(officer).freezeAccount(user1.address);
+            await expect(vault.connect(officer).freezeAccount(user1.address))
+                .to.be.revertedWith("Account already frozen");
+
+            await expect(vault.connect(unauthorized).freezeAccount(unauthorized.address))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(unauthorized).unfreezeAccount(user1.address))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+
+            // The default admin holds the compliance role from initialization
+            expect(await vault.hasRole(await vault.COMPLIANCE_ROLE(), admin.address)).to.be.true;
+        });
+    });
+
+    describe("Enforcement", function () {
+        it("Should block transfers from and to frozen accounts", async function () {
+            const { vault, officer, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(officer).freezeAccount(user1.address);
+
+            await expect(vault.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation")
+                .withArgs(user1.address, "transfer_from");
+            await expect(vault.connect(user2).transfer(user1.address, 1))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation")
+                .withArgs(user1.address, "transfer_to");
+
+            // Allowances granted before the freeze cannot move frozen shares either
+            await vault.connect(officer).unfreezeAccount(user1.address);
+            await vault.connect(user1).approve(user2.address, 100);
+            await vault.connect(officer).freezeAccount(user1.address);
+            await expect(vault.connect(user2).transferFrom(user1.address, user2.address, 100))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation");
+        });
+
+        it("Should block deposits to frozen receivers", async function () {
+            const { vault, officer, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(officer).freezeAccount(user1.address);
+
+            expect(await vault.maxDeposit(user1.address)).to.equal(0);
+            expect(await vault.maxMint(user1.address)).to.equal(0);
+            expect(await vault.canDeposit(user1.address)).to.be.false;
+            await expect(vault.connect(user2).deposit(ethers.parseEther("10"), user1.address))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+        });
+
+        it("Should block withdrawals and redemptions of frozen accounts", async function () {
+            const { vault, officer, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(officer).freezeAccount(user1.address);
+
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            await expect(vault.connect(user1).redeem(ethers.parseEther("10"), user1.address, user1.address))
+                .to.be.revertedWith("ERC4626: redeem more than max");
+
+            // A frozen account cannot receive assets from someone else's withdrawal
+            await expect(vault.connect(user2).withdraw(ethers.parseEther("10"), user1.address, user2.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation")
+                .withArgs(user1.address, "withdraw");
+        });
+
+        it("Should block asynchronous redemption requests and claims", async function () {
+            const { vault, admin, officer, user1, user2 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("100");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(admin).fulfillRedeem(user1.address, shares);
+
+            await vault.connect(officer).freezeAccount(user1.address);
+            await expect(vault.connect(user1).claimRedeem(shares, user2.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation")
+                .withArgs(user1.address, "claim_redeem");
+            await expect(vault.connect(user1).requestRedeem(shares, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation");
+            await expect(vault.connect(user2).requestRedeem(shares, user1.address, user2.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation")
+                .withArgs(user1.address, "request_redeem");
+
+            await vault.connect(officer).unfreezeAccount(user1.address);
+            await vault.connect(user1).claimRedeem(shares, user1.address, user1.address);
+        });
+
+        it("Should be independent of the whitelist", async function () {
+            const { vault, admin, officer, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setWhitelistEnabled(true);
+            await vault.connect(admin).addToWhitelist(user1.address);
+            await vault.connect(officer).freezeAccount(user1.address);
+
+            expect(await vault.isWhitelisted(user1.address)).to.be.true;
+            await expect(vault.connect(user1).deposit(ethers.parseEther("10"), user1.address))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("Admin Safeguards", function () {
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+    const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+    async function deployVaultFixture() {
+        const [deployer, admin, newAdmin, other, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury: deployer,
+            roles: {},
+            users: []
+        });
+
+        return { vault, baseToken, deployer, admin, newAdmin, other, unauthorized };
+    }
+
+    describe("Last Admin Guard", function () {
+        it("Should block revoking or renouncing the last vault admin", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const ADMIN_ROLE = await vault.ADMIN_ROLE();
+
+            for (const role of [DEFAULT_ADMIN_ROLE, ADMIN_ROLE]) {
+                await expect(vault.connect(admin).renounceRole(role, admin.address))
+                    .to.be.revertedWithCustomError(vault, "AdminRoleRemovalBlocked")
+                    .withArgs(role, admin.address, "last_admin");
+                await expect(vault.connect(admin).revokeRole(role, admin.address))
+                    .to.be.revertedWithCustomError(vault, "AdminRoleRemovalBlocked")
+                    .withArgs(role, admin.address, "last_admin");
+            }
+
+            // Other roles can still be emptied
+            const ORACLE_ROLE = await vault.ORACLE_ROLE();
+            await vault.connect(admin).renounceRole(ORACLE_ROLE, admin.address);
+            expect(await vault.getRoleMemberCount(ORACLE_ROLE)).to.equal(0);
+        });
+
+        it("Should allow removing an admin while another remains", async function () {
+            const { vault, admin, other } = await loadFixture(deployVaultFixture);
+            const ADMIN_ROLE = await vault.ADMIN_ROLE();
+
+            await vault.connect(admin).grantRole(ADMIN_ROLE, other.address);
+            await vault.connect(admin).renounceRole(ADMIN_ROLE, admin.address);
+            expect(await vault.getRoleMembers(ADMIN_ROLE)).to.deep.equal([other.address]);
+
+            await expect(vault.connect(admin).revokeRole(ADMIN_ROLE, other.address))
+                .to.be.revertedWithCustomError(vault, "AdminRoleRemovalBlocked");
+        });
+
+        it("Should block renouncing the last BaseToken admin", async function () {
+            const { baseToken, deployer, other } = await loadFixture(deployVaultFixture);
+
+            await expect(baseToken.renounceRole(DEFAULT_ADMIN_ROLE, deployer.address))
+                .to.be.revertedWithCustomError(baseToken, "AdminRoleRemovalBlocked")
+                .withArgs(DEFAULT_ADMIN_ROLE, deployer.address, "last_admin");
+
+            await baseToken.grantRole(DEFAULT_ADMIN_ROLE, other.address);
+            await baseToken.renounceRole(DEFAULT_ADMIN_ROLE, deployer.address);
+            expect(await baseToken.hasRole(DEFAULT_ADMIN_ROLE, deployer.address)).to.be.false;
+        });
+    });
+
+    describe("Two-Step Transfer", function () {
+        it("Should hand both admin roles over after the delay", async function () {
+            const { vault, admin, newAdmin } = await loadFixture(deployVaultFixture);
+            const ADMIN_ROLE = await vault.ADMIN_ROLE();
+
+            const tx = await vault.connect(admin).beginAdminTransfer(newAdmin.address);
+            const executableAt = BigInt((await time.latest()) + TWO_DAYS);
+            await expect(tx)
+                .to.emit(vault, "AdminTransferStarted")
+                .withArgs(admin.address, newAdmin.address, executableAt);
+            expect(await vault.pendingAdminTransfer()).to.deep.equal([admin.address, newAdmin.address, executableAt]);
+
+            await expect(vault.connect(newAdmin).acceptAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(newAdmin.address, "delay_not_elapsed");
+
+            await time.increaseTo(executableAt);
+            await expect(vault.connect(newAdmin).acceptAdminTransfer())
+                .to.emit(vault, "AdminTransferred")
+                .withArgs(admin.address, newAdmin.address);
+
+            for (const role of [DEFAULT_ADMIN_ROLE, ADMIN_ROLE]) {
+                expect(await vault.getRoleMembers(role)).to.deep.equal([newAdmin.address]);
+            }
+            // Operational roles stay with the previous holder
+            expect(await vault.hasRole(await vault.ORACLE_ROLE(), admin.address)).to.be.true;
+            expect(await vault.pendingAdminTransfer()).to.deep.equal([ethers.ZeroAddress, ethers.ZeroAddress, 0n]);
+        });
+
+        it("Should validate the caller and the new admin", async function () {
+            const { vault, admin, newAdmin, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(unauthorized).beginAdminTransfer(unauthorized.address))
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(unauthorized.address, "caller_not_admin");
+            await expect(vault.connect(admin).beginAdminTransfer(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(ethers.ZeroAddress, "invalid_new_admin");
+            await expect(vault.connect(admin).beginAdminTransfer(admin.address))
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(admin.address, "invalid_new_admin");
+            await expect(vault.connect(newAdmin).acceptAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(newAdmin.address, "no_pending_transfer");
+
+            await vault.connect(admin).beginAdminTransfer(newAdmin.address);
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(unauthorized).acceptAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(unauthorized.address, "caller_not_pending_admin");
+        });
+
+        it("Should let the admin or the pending admin cancel", async function () {
+            const { vault, admin, newAdmin, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).beginAdminTransfer(newAdmin.address);
+            await expect(vault.connect(unauthorized).cancelAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(unauthorized.address, "caller_not_authorized");
+            await expect(vault.connect(newAdmin).cancelAdminTransfer())
+                .to.emit(vault, "AdminTransferCancelled")
+                .withArgs(admin.address, newAdmin.address, newAdmin.address);
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(newAdmin).acceptAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(newAdmin.address, "no_pending_transfer");
+            await expect(vault.connect(admin).cancelAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(admin.address, "no_pending_transfer");
+        });
+
+        it("Should refuse a handover from an initiator that is no longer admin", async function () {
+            const { vault, admin, newAdmin, other } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).grantRole(DEFAULT_ADMIN_ROLE, other.address);
+            await vault.connect(admin).beginAdminTransfer(newAdmin.address);
+            await vault.connect(other).revokeRole(DEFAULT_ADMIN_ROLE, admin.address);
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(newAdmin).acceptAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AdminTransferInvalid")
+                .withArgs(admin.address, "initiator_not_admin");
+        });
+
+        it("Should hand the BaseToken default admin role over", async function () {
+            const { baseToken, deployer, newAdmin } = await loadFixture(deployVaultFixture);
+
+            await baseToken.beginAdminTransfer(newAdmin.address);
+            await time.increase(TWO_DAYS);
+            await baseToken.connect(newAdmin).acceptAdminTransfer();
+
+            expect(await baseToken.getRoleMembers(DEFAULT_ADMIN_ROLE)).to.deep.equal([newAdmin.address]);
+            expect(await baseToken.hasRole(await baseToken.MINTER_ROLE(), deployer.address)).to.be.true;
+        });
+    });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("Administrative Functions and Events Tests", function () {
     let vault, baseToken;
@@ -20,6 +21,7 @@ describe("Administrative Functions and Events Tests", function () {
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -32,7 +34,7 @@ describe("Administrative Functions and Events Tests", function () {
             {
                 initializer: "initialize",
                 kind: "uups",
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             }
         );
         await vault.waitForDeployment();
@@ -53,8 +55,13 @@ describe("Administrative Functions and Events Tests", function () {
             // Verify current treasury
             expect(await vault.treasuryAddress()).to.equal(treasury.address);
 
-            // Update treasury address
+            // Queue the treasury address update, then apply it after the governance delay
             await expect(vault.connect(admin).setTreasuryAddress(newTreasury.address))
+                .to.emit(vault, "ParameterChangeQueued");
+            expect(await vault.treasuryAddress()).to.equal(treasury.address);
+
+            await time.increase(2 * 24 * 60 * 60);
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_TREASURY_ADDRESS()))
                 .to.emit(vault, "TreasuryAddressUpdated")
                 .withArgs(treasury.address, newTreasury.address, admin.address);
 
@@ -129,22 +136,29 @@ describe("Administrative Functions and Events Tests", function () {
         });
 
         it("Should emit proper events for all parameter updates", async function () {
-            // Test all admin parameter update events
-
-            await expect(vault.connect(admin).setWithdrawalCooldown(48 * 60 * 60))
-                .to.emit(vault, "WithdrawalCooldownUpdated");
-
-            await expect(vault.connect(admin).setMaxUserDeposit(ethers.parseEther("200000")))
-                .to.emit(vault, "MaxUserDepositUpdated");
-
-            await expect(vault.connect(admin).setMaxTotalDeposits(ethers.parseEther("10000000")))
-                .to.emit(vault, "MaxTotalDepositsUpdated");
-
-            await expect(vault.connect(admin).setMaxNAVChange(2000))
-                .to.emit(vault, "MaxNAVChangeUpdated");
+            // Every risk parameter setter is timelocked: it only queues the value, and the parameter's
+            // own event is emitted when the change executes after the governance delay
+            const limit = ethers.parseEther("50000");
+            const changes = [
+                ["PARAM_WITHDRAWAL_COOLDOWN", "WithdrawalCooldownUpdated", "setWithdrawalCooldown", [48 * 60 * 60]],
+                ["PARAM_MAX_TOTAL_DEPOSITS", "MaxTotalDepositsUpdated", "setMaxTotalDeposits", [limit * 200n]],
+                ["PARAM_MAX_NAV_CHANGE", "MaxNAVChangeUpdated", "setMaxNAVChange", [2000]],
+                ["PARAM_MAX_USER_DEPOSIT", "MaxUserDepositUpdated", "setMaxUserDeposit", [ethers.parseEther("200000")]],
+                ["PARAM_NAV_UPDATE_DELAY", "NAVUpdateDelayUpdated", "setNAVUpdateDelay", [2 * 60 * 60]],
+                ["PARAM_OUTFLOW_LIMIT", "OutflowLimitUpdated", "setOutflowLimit", [limit, 24 * 60 * 60]]
+            ];
+
+            for (const [, event, setter, args] of changes) {
+                await expect(vault.connect(admin)[setter](...args))
+                    .to.emit(vault, "ParameterChangeQueued")
+                    .and.to.not.emit(vault, event);
+            }
+            await time.increase(2 * 24 * 60 * 60);
 
-            await expect(vault.connect(admin).setNAVUpdateDelay(2 * 60 * 60))
-                .to.emit(vault, "NAVUpdateDelayUpdated");
+            for (const [parameter, event] of changes) {
+                await expect(vault.connect(admin).executeParameterChange(await vault[parameter]()))
+                    .to.emit(vault, event);
+            }
         });
     });
 
@@ -251,6 +265,8 @@ describe("Administrative Functions and Events Tests", function () {
         it("Should work with updated treasury address", async function () {
             // Update treasury address
             await vault.connect(admin).setTreasuryAddress(newTreasury.address);
+            await time.increase(2 * 24 * 60 * 60);
+            await vault.connect(admin).executeParameterChange(await vault.PARAM_TREASURY_ADDRESS());
 
             // Grant treasury role to new address
             await vault.connect(admin).grantRole(await vault.TREASURY_ROLE(), newTreasury.address);
@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Non-18-Decimal Assets", function () {
+    function deployFixture(assetDecimals) {
+        return async function deployVaultFixture() {
+            const [, admin, treasury, user1, user2, feeRecipient] = await ethers.getSigners();
+
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const asset = await MockERC20.deploy("Mock Asset", "MA", assetDecimals);
+
+            const units = (amount) => ethers.parseUnits(amount, assetDecimals);
+            const { vault } = await TestHelpers.deployFullEnvironment({
+                admin,
+                treasury,
+                asset,
+                roles: {},
+                users: [user1, user2],
+                mintAmount: units("1000000")
+            });
+
+            return { vault, asset, admin, user1, user2, feeRecipient, units };
+        };
+    }
+
+    for (const assetDecimals of [6, 8, 18]) {
+        describe(`${assetDecimals}-decimal asset`, function () {
+            const fixture = deployFixture(assetDecimals);
+
+            it("Should issue 18-decimal shares at the NAV", async function () {
+                const { vault, user1, units } = await loadFixture(fixture);
+
+                expect(await vault.decimals()).to.equal(18);
+                expect(await vault.convertToShares(units("1"))).to.equal(ethers.parseEther("1"));
+                expect(await vault.convertToAssets(ethers.parseEther("1"))).to.equal(units("1"));
+
+                await vault.connect(user1).deposit(units("1000"), user1.address);
+                expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+                expect(await vault.totalAssets()).to.equal(units("1000"));
+            });
+
+            it("Should scale the default and maximum deposit limits to the asset", async function () {
+                const { vault, admin, user1, units } = await loadFixture(fixture);
+
+                expect(await vault.maxUserDeposit()).to.equal(units("100000"));
+                expect(await vault.maxTotalDeposits()).to.equal(units("5000000"));
+                expect(await vault.maxDeposit(user1.address)).to.equal(units("100000"));
+
+                await expect(vault.connect(user1).deposit(units("100000") + 1n, user1.address))
+                    .to.be.revertedWith("ERC4626: deposit more than max");
+
+                await expect(vault.connect(admin).setMaxUserDeposit(units("10000001")))
+                    .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                    .withArgs("maxUserDeposit", units("10000001"), 1, units("10000000"), "invalid_user_deposit_limit");
+                await vault.connect(admin).setMaxUserDeposit(units("10000000"));
+            });
+
+            it("Should price withdrawals from NAV updates in asset units", async function () {
+                const { vault, asset, admin, user1, units } = await loadFixture(fixture);
+
+                await vault.connect(user1).deposit(units("1000"), user1.address);
+                await time.increase(24 * 60 * 60 + 1);
+
+                await asset.mint(await vault.getAddress(), units("40"));
+                await vault.connect(admin).updateNAV(ethers.parseEther("1.04"), units("1040"));
+                await time.increase(60 * 60 + 1);
+
+                expect(await vault.previewRedeem(ethers.parseEther("1000"))).to.equal(units("1040"));
+                const balanceBefore = await asset.balanceOf(user1.address);
+                await vault.connect(user1).redeem(ethers.parseEther("500"), user1.address, user1.address);
+                expect(await asset.balanceOf(user1.address)).to.equal(balanceBefore + units("520"));
+            });
+
+            it("Should mint fee shares worth the accrued fee", async function () {
+                const { vault, asset, admin, user1, feeRecipient, units } = await loadFixture(fixture);
+
+                await vault.connect(user1).deposit(units("1000"), user1.address);
+                await vault.connect(admin).setFeeRecipient(feeRecipient.address);
+                await vault.connect(admin).setPerformanceFee(2000);
+                await TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_PERFORMANCE_FEE());
+                await time.increase(24 * 60 * 60 + 1);
+
+                await asset.mint(await vault.getAddress(), units("40"));
+                await vault.connect(admin).updateNAV(ethers.parseEther("1.04"), units("1040"));
+
+                // 20% of the 40 gain
+                const feeShares = await vault.balanceOf(feeRecipient.address);
+                expect(await vault.convertToAssets(feeShares)).to.be.closeTo(units("8"), units("0.001"));
+            });
+        });
+    }
+
+    it("Should reject assets with more than 18 decimals", async function () {
+        const [, admin, treasury] = await ethers.getSigners();
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const asset = await MockERC20.deploy("Mock Asset", "MA", 24);
+
+        await expect(TestHelpers.deployFullEnvironment({ admin, treasury, asset, roles: {}, users: [] }))
+            .to.be.revertedWith("Asset decimals above 18");
+    });
+});
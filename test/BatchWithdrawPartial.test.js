@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Partial Batch Withdrawals", function () {
+    const Status = {
+        Withdrawn: 0,
+        ZeroShares: 1,
+        InsufficientShares: 2,
+        WithdrawalNotAllowed: 3,
+        AccountRestricted: 4,
+        InsufficientLiquidity: 5
+    };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, user3, latecomer, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [user1, user2, user3],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+        await baseToken.mint(latecomer.address, ethers.parseEther("10000"));
+        await baseToken.connect(latecomer).approve(await vault.getAddress(), ethers.MaxUint256);
+        await TestHelpers.passWithdrawalCooldown();
+
+        return { vault, baseToken, admin, user1, user2, user3, latecomer, unauthorized };
+    }
+
+    describe("Per-Item Outcomes", function () {
+        it("Should withdraw the requested amounts and skip ineligible entries", async function () {
+            const { vault, baseToken, admin, user1, user2, user3, latecomer } = await loadFixture(deployVaultFixture);
+            await vault.connect(latecomer).deposit(ethers.parseEther("1000"), latecomer.address);
+            await vault.connect(admin).freezeAccount(user3.address);
+
+            const owners = [user1.address, user2.address, user2.address, latecomer.address, user3.address];
+            const shares = [
+                ethers.parseEther("400"),
+                0n,
+                ethers.parseEther("1001"),
+                ethers.parseEther("100"),
+                ethers.parseEther("100")
+            ];
+
+            const results = await vault.connect(admin).batchWithdrawPartial.staticCall(owners, owners, shares);
+            expect(results.map(Number)).to.deep.equal([
+                Status.Withdrawn,
+                Status.ZeroShares,
+                Status.InsufficientShares,
+                Status.WithdrawalNotAllowed,
+                Status.AccountRestricted
+            ]);
+
+            const balanceBefore = await baseToken.balanceOf(user1.address);
+            const tx = vault.connect(admin).batchWithdrawPartial(owners, owners, shares);
+            await expect(tx)
+                .to.emit(vault, "BatchWithdrawalItemProcessed")
+                .withArgs(0, user1.address, user1.address, shares[0], ethers.parseEther("400"), Status.Withdrawn)
+                .and.to.emit(vault, "BatchWithdrawalItemProcessed")
+                .withArgs(3, latecomer.address, latecomer.address, shares[3], 0, Status.WithdrawalNotAllowed)
+                .and.to.emit(vault, "BatchWithdrawal")
+                .withArgs(admin.address, ethers.parseEther("400"), ethers.parseEther("400"));
+
+            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseEther("600"));
+            expect(await baseToken.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("400"));
+            expect(await vault.balanceOf(user2.address)).to.equal(ethers.parseEther("1000"));
+            expect(await vault.balanceOf(user3.address)).to.equal(ethers.parseEther("1000"));
+            expect(await vault.totalAssets()).to.equal(ethers.parseEther("3600"));
+        });
+
+        it("Should skip entries the remaining liquidity cannot cover", async function () {
+            const { vault, admin, user1, user2, user3 } = await loadFixture(deployVaultFixture);
+
+            // 2400 deployed leaves 600 in the vault
+            await vault.connect(admin).withdrawToTreasury(ethers.parseEther("2400"));
+
+            const owners = [user1.address, user2.address, user3.address];
+            const shares = [ethers.parseEther("500"), ethers.parseEther("500"), ethers.parseEther("100")];
+            const results = await vault.connect(admin).batchWithdrawPartial.staticCall(owners, owners, shares);
+            expect(results.map(Number)).to.deep.equal([
+                Status.Withdrawn,
+                Status.InsufficientLiquidity,
+                Status.Withdrawn
+            ]);
+
+            await vault.connect(admin).batchWithdrawPartial(owners, owners, shares);
+            expect(await vault.balanceOf(user2.address)).to.equal(ethers.parseEther("1000"));
+            expect(await vault.balanceOf(user3.address)).to.equal(ethers.parseEther("900"));
+        });
+
+        it("Should apply the withdrawal rate limit to repeated owners", async function () {
+            const { vault, admin, user1 } = await loadFixture(deployVaultFixture);
+            const owners = [user1.address, user1.address];
+            const shares = [ethers.parseEther("100"), ethers.parseEther("100")];
+
+            const results = await vault.connect(admin).batchWithdrawPartial.staticCall(owners, owners, shares);
+            expect(results.map(Number)).to.deep.equal([Status.Withdrawn, Status.WithdrawalNotAllowed]);
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should reject malformed batches and unauthorized callers", async function () {
+            const { vault, admin, user1, unauthorized } = await loadFixture(deployVaultFixture);
+            const one = ethers.parseEther("1");
+
+            await expect(vault.connect(unauthorized).batchWithdrawPartial([user1.address], [user1.address], [one]))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(admin).batchWithdrawPartial([user1.address], [user1.address], [one, one]))
+                .to.be.revertedWith("Array length mismatch");
+            await expect(vault.connect(admin).batchWithdrawPartial([], [], []))
+                .to.be.revertedWith("Empty arrays");
+
+            await vault.connect(admin).pause();
+            await expect(vault.connect(admin).batchWithdrawPartial([user1.address], [user1.address], [one]))
+                .to.be.revertedWith("Pausable: paused");
+        });
+    });
+});
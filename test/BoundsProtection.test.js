@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("Bounds and Overflow Protection Tests", function () {
     let vault, baseToken;
@@ -20,6 +21,7 @@ describe("Bounds and Overflow Protection Tests", function () {
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -32,7 +34,7 @@ describe("Bounds and Overflow Protection Tests", function () {
             {
                 initializer: "initialize",
                 kind: "uups",
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             }
         );
         await vault.waitForDeployment();
@@ -163,6 +165,8 @@ describe("Bounds and Overflow Protection Tests", function () {
 
             // Set a lower total deposit limit for testing
             await vault.connect(admin).setMaxTotalDeposits(ethers.parseEther("150000"));
+            await time.increase(2 * 24 * 60 * 60);
+            await vault.connect(admin).executeParameterChange(await vault.PARAM_MAX_TOTAL_DEPOSITS());
 
             // Deposit close to the limit
             await vault.connect(user1).deposit(ethers.parseEther("99999"), user1.address);
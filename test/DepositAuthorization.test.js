@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Signed Deposit Authorizations", function () {
+    const AUTHORIZATION_TYPES = {
+        DepositAuthorization: [
+            { name: "caller", type: "address" },
+            { name: "receiver", type: "address" },
+            { name: "assets", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+            { name: "nonce", type: "bytes32" }
+        ]
+    };
+
+    async function signAuthorization(vault, signer, authorization) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: await vault.name(),
+            version: "1",
+            chainId,
+            verifyingContract: await vault.getAddress()
+        };
+        return signer.signTypedData(domain, AUTHORIZATION_TYPES, authorization);
+    }
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, signer, user1, relayer, outsider] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { COMPLIANCE_SIGNER_ROLE: [signer] },
+            users: [user1, relayer, outsider],
+            mintAmount: ethers.parseEther("10000")
+        });
+        await vault.connect(admin).setWhitelistEnabled(true);
+
+        const authorization = {
+            caller: user1.address,
+            receiver: user1.address,
+            assets: ethers.parseEther("1000"),
+            deadline: (await time.latest()) + 3600,
+            nonce: ethers.id("onboarding-0001")
+        };
+        const signature = await signAuthorization(vault, signer, authorization);
+
+        return { vault, admin, signer, user1, relayer, outsider, authorization, signature };
+    }
+
+    function deposit(vault, caller, authorization, signature, assets = authorization.assets) {
+        return vault.connect(caller).depositWithAuthorization(
+            assets,
+            authorization.receiver,
+            authorization.deadline,
+            authorization.nonce,
+            signature
+        );
+    }
+
+    describe("Authorized Deposits", function () {
+        it("Should deposit for a non-whitelisted receiver with a valid authorization", async function () {
+            const { vault, signer, user1, authorization, signature } = await loadFixture(deployVaultFixture);
+            const { assets } = authorization;
+
+            await expect(vault.connect(user1).deposit(assets, user1.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+
+            await expect(deposit(vault, user1, authorization, signature))
+                .to.emit(vault, "DepositAuthorizationUsed")
+                .withArgs(user1.address, authorization.nonce, signer.address, assets)
+                .and.to.emit(vault, "Deposit")
+                .withArgs(user1.address, user1.address, assets, assets);
+
+            expect(await vault.balanceOf(user1.address)).to.equal(assets);
+            expect(await vault.authorizationUsed(authorization.nonce)).to.be.true;
+            // The authorization does not create a standing whitelist entry
+            expect(await vault.isWhitelisted(user1.address)).to.be.false;
+        });
+
+        it("Should let a relayer fund the authorized deposit", async function () {
+            const { vault, signer, user1, relayer, authorization } = await loadFixture(deployVaultFixture);
+            const relayed = { ...authorization, caller: relayer.address };
+            const signature = await signAuthorization(vault, signer, relayed);
+
+            await deposit(vault, relayer, relayed, signature);
+            expect(await vault.balanceOf(user1.address)).to.equal(authorization.assets);
+            expect(await vault.balanceOf(relayer.address)).to.equal(0);
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should be single-use", async function () {
+            const { vault, user1, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            await deposit(vault, user1, authorization, signature);
+            await expect(deposit(vault, user1, authorization, signature))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                .withArgs(user1.address, authorization.nonce, "authorization_used");
+        });
+
+        it("Should expire at the deadline", async function () {
+            const { vault, user1, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            await time.increaseTo(authorization.deadline + 1);
+            await expect(deposit(vault, user1, authorization, signature))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                .withArgs(user1.address, authorization.nonce, "authorization_expired");
+        });
+
+        it("Should only accept the exact authorized amount", async function () {
+            const { vault, user1, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            for (const assets of [authorization.assets - 1n, authorization.assets + 1n]) {
+                await expect(deposit(vault, user1, authorization, signature, assets))
+                    .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                    .withArgs(user1.address, authorization.nonce, "invalid_signer");
+            }
+        });
+
+        it("Should not let a third party front-run the signed caller", async function () {
+            const { vault, user1, outsider, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            // Replaying the mempool signature from another account, with or without a smaller amount
+            await expect(deposit(vault, outsider, authorization, signature))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                .withArgs(user1.address, authorization.nonce, "invalid_signer");
+            await expect(deposit(vault, outsider, authorization, signature, 1n))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                .withArgs(user1.address, authorization.nonce, "invalid_signer");
+
+            // The nonce is not burnt, so the signed caller can still use it
+            expect(await vault.authorizationUsed(authorization.nonce)).to.be.false;
+            await deposit(vault, user1, authorization, signature);
+            expect(await vault.balanceOf(user1.address)).to.equal(authorization.assets);
+        });
+
+        it("Should reject signatures from accounts without the signer role or for other terms", async function () {
+            const { vault, user1, outsider, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            const forged = await signAuthorization(vault, outsider, authorization);
+            await expect(deposit(vault, user1, authorization, forged))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                .withArgs(user1.address, authorization.nonce, "invalid_signer");
+
+            const redirected = { ...authorization, receiver: outsider.address };
+            await expect(deposit(vault, user1, redirected, signature))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid")
+                .withArgs(outsider.address, authorization.nonce, "invalid_signer");
+        });
+
+        it("Should stop honouring signatures once the signer role is revoked", async function () {
+            const { vault, admin, signer, user1, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).revokeRole(await vault.COMPLIANCE_SIGNER_ROLE(), signer.address);
+            await expect(deposit(vault, user1, authorization, signature))
+                .to.be.revertedWithCustomError(vault, "DepositAuthorizationInvalid");
+        });
+
+        it("Should still apply freezes and deposit limits", async function () {
+            const { vault, admin, signer, user1, authorization, signature } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).freezeAccount(user1.address);
+            await expect(deposit(vault, user1, authorization, signature))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+            await vault.connect(admin).unfreezeAccount(user1.address);
+
+            await vault.connect(admin).setMaxUserDeposit(ethers.parseEther("100"));
+            await time.increase(2 * 24 * 60 * 60);
+            await vault.connect(admin).executeParameterChange(await vault.PARAM_MAX_USER_DEPOSIT());
+            const large = {
+                ...authorization,
+                assets: ethers.parseEther("101"),
+                nonce: ethers.id("onboarding-0002"),
+                deadline: (await time.latest()) + 3600
+            };
+            const largeSignature = await signAuthorization(vault, signer, large);
+            await expect(deposit(vault, user1, large, largeSignature))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+        });
+    });
+});
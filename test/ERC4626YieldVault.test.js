@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("ERC4626YieldVault", function () {
     let vault, baseToken, mockToken, testContract;
@@ -33,6 +34,7 @@ describe("ERC4626YieldVault", function () {
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -45,7 +47,7 @@ describe("ERC4626YieldVault", function () {
             {
                 initializer: "initialize",
                 kind: "uups",
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             }
         );
         await vault.waitForDeployment();
@@ -286,7 +288,10 @@ describe("ERC4626YieldVault", function () {
     describe("Access Control", function () {
         it("Should allow admin to update parameters", async function () {
             const newCooldown = 48 * 60 * 60; // 48 hours
-            await expect(vault.connect(admin).setWithdrawalCooldown(newCooldown))
+            await vault.connect(admin).setWithdrawalCooldown(newCooldown);
+            await time.increase(2 * 24 * 60 * 60);
+
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_WITHDRAWAL_COOLDOWN()))
                 .to.emit(vault, "WithdrawalCooldownUpdated")
                 .withArgs(WITHDRAWAL_COOLDOWN, newCooldown);
 
@@ -340,17 +345,15 @@ describe("ERC4626YieldVault", function () {
         });
 
         it("Should enforce reserve ratio", async function () {
-            // Reserve ratio enforcement is complex to trigger due to NAV validation limits
-            // This test documents that the check exists but is difficult to trigger in normal scenarios
-
-            // Treasury withdrawals don't have reserve ratio checks (by design for emergency situations)
+            // Treasury withdrawals must leave the minimum reserve (20% of managed assets) in the vault
             await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("1000"));
 
             // Verify treasury withdrawal succeeded
             expect(await baseToken.balanceOf(treasury.address)).to.be.greaterThan(0);
 
-            // The reserve ratio check exists in _withdraw function for user withdrawals
-            // but requires specific vault state that's hard to achieve within NAV limits
+            const [deployableAssets] = await vault.getDeployableAssets();
+            await expect(vault.connect(treasury).withdrawToTreasury(deployableAssets + 1n))
+                .to.be.revertedWithCustomError(vault, "InsufficientReserveRatio");
         });
 
         it("Should prevent front-running with withdrawal frequency limits", async function () {
@@ -408,11 +411,19 @@ describe("ERC4626YieldVault", function () {
     describe("Upgrades", function () {
         it("Should allow authorized upgrades", async function () {
             const ERC4626YieldVaultV2 = await ethers.getContractFactory("ERC4626YieldVault");
+            const modules = await TestHelpers.deployVaultModules();
+
+            // Upgrades must be announced and wait out the upgrade delay
+            const newImplementation = await upgrades.prepareUpgrade(vault, ERC4626YieldVaultV2, {
+                constructorArgs: [modules]
+            });
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await time.increase(2 * 24 * 60 * 60);
 
             // Simple upgrade without calling reinitialize (which may not exist)
             await expect(
                 upgrades.upgradeProxy(vault, ERC4626YieldVaultV2, {
-                    unsafeAllow: ["constructor"]
+                    constructorArgs: [modules]
                 })
             ).to.not.be.reverted;
 
@@ -467,8 +478,10 @@ describe("ERC4626YieldVault", function () {
 
             // Tiered gas monitoring with warnings and errors
             const gasUsed = receipt.gasUsed;
-            const GAS_WARNING_THRESHOLD = 201000;
-            const GAS_ERROR_THRESHOLD = 205000;
+            // Includes the freeze, tier, deposit pause, decimals offset and NAV age lookups (five cold reads)
+            // and the delegatecall to the deposit module (one cold account access)
+            const GAS_WARNING_THRESHOLD = 221000;
+            const GAS_ERROR_THRESHOLD = 225000;
 
             console.log(`\n    📊 Deposit gas usage: ${gasUsed.toLocaleString()} gas`);
 
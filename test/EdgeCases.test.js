@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("Edge Cases and Integration Tests", function () {
     let vault, baseToken, mockToken, testContract;
@@ -25,6 +26,7 @@ describe("Edge Cases and Integration Tests", function () {
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -37,7 +39,7 @@ describe("Edge Cases and Integration Tests", function () {
             {
                 initializer: "initialize",
                 kind: "uups",
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             }
         );
         await vault.waitForDeployment();
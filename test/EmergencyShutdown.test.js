@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Emergency Shutdown", function () {
+    const Operation = { Deposits: 0, Withdrawals: 1, NAVUpdates: 2, Treasury: 3 };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, keeper] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+        await baseToken.connect(treasury).approve(await vault.getAddress(), ethers.MaxUint256);
+        await TestHelpers.passWithdrawalCooldown();
+
+        return { vault, baseToken, admin, treasury, user1, user2, keeper };
+    }
+
+    describe("Activation", function () {
+        it("Should freeze NAV and stop deposits, withdrawals and treasury deployments", async function () {
+            const { vault, admin, user1, user2 } = await loadFixture(deployVaultFixture);
+            const one = ethers.parseEther("1");
+
+            await expect(vault.connect(admin).activateShutdown())
+                .to.emit(vault, "VaultShutdown")
+                .withArgs(admin.address, ethers.parseEther("1"), ethers.parseEther("2000"), ethers.parseEther("2000"))
+                .and.to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Deposits, admin.address);
+
+            expect(await vault.isShutdown()).to.be.true;
+            expect(await vault.shutdownTotalShares()).to.equal(ethers.parseEther("2000"));
+            expect(await vault.maxDeposit(user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+
+            await expect(vault.connect(user1).deposit(one, user1.address))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+            await expect(vault.connect(user1).requestRedeem(one, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive");
+            await expect(vault.connect(admin).updateNAV(ethers.parseEther("1.01"), ethers.parseEther("2020")))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive")
+                .withArgs(Operation.NAVUpdates, "operation_paused");
+            await expect(vault.connect(admin).withdrawToTreasury(one))
+                .to.be.revertedWith("Vault is shut down");
+            await expect(vault.connect(admin).batchWithdraw([user1.address], [user2.address], true))
+                .to.be.revertedWith("Vault is shut down");
+        });
+
+        it("Should be terminal and restricted to admins", async function () {
+            const { vault, admin, keeper } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(keeper).activateShutdown())
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(keeper).claimShutdownAssets(keeper.address))
+                .to.be.revertedWithCustomError(vault, "ShutdownClaimInvalid")
+                .withArgs(keeper.address, "vault_not_shutdown");
+
+            await vault.connect(admin).activateShutdown();
+            await expect(vault.connect(admin).activateShutdown())
+                .to.be.revertedWith("Vault already shut down");
+            await expect(vault.connect(admin).unpauseOperation(Operation.Deposits))
+                .to.be.revertedWith("Vault is shut down");
+        });
+    });
+
+    describe("Pro-Rata Claims", function () {
+        it("Should share returned liquidity pro-rata regardless of claim order", async function () {
+            const { vault, baseToken, admin, user1, user2, keeper } = await loadFixture(deployVaultFixture);
+
+            // 1600 deployed to the treasury leaves the vault under-collateralised for full redemptions
+            await vault.connect(admin).withdrawToTreasury(ethers.parseEther("1600"));
+            await vault.connect(admin).activateShutdown();
+
+            const user1Before = await baseToken.balanceOf(user1.address);
+            await expect(vault.connect(user1).claimShutdownAssets(user1.address))
+                .to.emit(vault, "ShutdownClaimed")
+                .withArgs(user1.address, user1.address, ethers.parseEther("1000"), ethers.parseEther("200"));
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+
+            // The treasury returns part of the deployment after the first claim
+            await vault.connect(admin).depositFromTreasury(ethers.parseEther("1000"), 0, false);
+
+            // Anyone can trigger a claim, the assets go to the owner
+            const user2Before = await baseToken.balanceOf(user2.address);
+            await vault.connect(keeper).claimShutdownAssets(user2.address);
+            expect(await baseToken.balanceOf(user2.address)).to.equal(user2Before + ethers.parseEther("700"));
+
+            // The early claimer collects their share of the later return
+            expect(await vault.previewShutdownClaim(user1.address)).to.equal(ethers.parseEther("500"));
+            await vault.connect(keeper).claimShutdownAssets(user1.address);
+            expect(await baseToken.balanceOf(user1.address)).to.equal(user1Before + ethers.parseEther("700"));
+
+            await expect(vault.claimShutdownAssets(user1.address))
+                .to.be.revertedWithCustomError(vault, "ShutdownClaimInvalid")
+                .withArgs(user1.address, "nothing_to_claim");
+        });
+
+        it("Should include pending and fulfilled redemptions", async function () {
+            const { vault, baseToken, admin, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).requestRedeem(ethers.parseEther("400"), user1.address, user1.address);
+            await vault.connect(admin).fulfillRedeem(user1.address, ethers.parseEther("100"));
+            await vault.connect(admin).activateShutdown();
+
+            // 600 held + 300 pending shares, plus the 100 assets reserved at fulfilment
+            expect(await vault.previewShutdownClaim(user1.address)).to.equal(ethers.parseEther("1000"));
+            const balanceBefore = await baseToken.balanceOf(user1.address);
+            await expect(vault.claimShutdownAssets(user1.address))
+                .to.emit(vault, "ShutdownClaimed")
+                .withArgs(user1.address, anyAddress(), ethers.parseEther("900"), ethers.parseEther("1000"));
+            expect(await baseToken.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("1000"));
+            expect(await vault.pendingRedeemShares(user1.address)).to.equal(0);
+            expect(await vault.claimableRedeemAssets(user1.address)).to.equal(0);
+
+            await vault.claimShutdownAssets(user2.address);
+            expect(await vault.totalSupply()).to.equal(0);
+            expect(await baseToken.balanceOf(await vault.getAddress())).to.equal(0);
+        });
+
+        it("Should still respect account freezes and the global pause", async function () {
+            const { vault, admin, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).activateShutdown();
+            await vault.connect(admin).freezeAccount(user1.address);
+            await expect(vault.claimShutdownAssets(user1.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozenViolation");
+            await vault.connect(admin).unfreezeAccount(user1.address);
+
+            await vault.connect(admin).pause();
+            await expect(vault.claimShutdownAssets(user1.address))
+                .to.be.revertedWith("Pausable: paused");
+        });
+    });
+
+    function anyAddress() {
+        return (value) => ethers.isAddress(value);
+    }
+});
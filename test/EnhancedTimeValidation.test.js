@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("Enhanced Time Validation Tests", function () {
     let vault, baseToken;
@@ -20,6 +21,7 @@ describe("Enhanced Time Validation Tests", function () {
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -32,7 +34,7 @@ describe("Enhanced Time Validation Tests", function () {
             {
                 initializer: "initialize",
                 kind: "uups",
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             }
         );
         await vault.waitForDeployment();
@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Management and Performance Fees", function () {
+    const SIX_HOURS = 6 * 60 * 60;
+    const ONE_YEAR = 365 * 24 * 60 * 60;
+
+    async function deployVaultFixture() {
+        const [, admin, oracle, treasury, feeCollector, user1, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { ORACLE_ROLE: [oracle] },
+            users: [user1],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+
+        await vault.connect(admin).setFeeRecipient(feeCollector.address);
+
+        return { vault, baseToken, admin, oracle, treasury, feeCollector, user1, unauthorized };
+    }
+
+    async function setManagementFee(vault, admin, fee) {
+        await vault.connect(admin).setManagementFee(fee);
+        return TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_MANAGEMENT_FEE());
+    }
+
+    async function setPerformanceFee(vault, admin, fee) {
+        await vault.connect(admin).setPerformanceFee(fee);
+        return TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_PERFORMANCE_FEE());
+    }
+
+    describe("Configuration", function () {
+        it("Should start with fees disabled and the high-water mark at the initial NAV", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.managementFee()).to.equal(0);
+            expect(await vault.performanceFee()).to.equal(0);
+            expect(await vault.highWaterMark()).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should queue fee changes behind the parameter timelock", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            const managementParam = await vault.PARAM_MANAGEMENT_FEE();
+            await expect(vault.connect(admin).setManagementFee(200))
+                .to.emit(vault, "ParameterChangeQueued")
+                .withArgs(managementParam, 200, anyValue, admin.address);
+            await expect(vault.connect(admin).setPerformanceFee(2000))
+                .to.emit(vault, "ParameterChangeQueued");
+
+            expect(await vault.managementFee()).to.equal(0);
+            expect(await vault.performanceFee()).to.equal(0);
+            await expect(vault.connect(admin).executeParameterChange(managementParam))
+                .to.be.revertedWithCustomError(vault, "ParameterChangeNotReady");
+
+            await expect(TestHelpers.executeParameterChange(vault, admin, managementParam))
+                .to.emit(vault, "ManagementFeeUpdated")
+                .withArgs(0, 200);
+            await expect(TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_PERFORMANCE_FEE()))
+                .to.emit(vault, "PerformanceFeeUpdated")
+                .withArgs(0, 2000);
+            expect(await vault.managementFee()).to.equal(200);
+            expect(await vault.performanceFee()).to.equal(2000);
+        });
+
+        it("Should allow admin to change the fee recipient immediately", async function () {
+            const { vault, admin, feeCollector, user1 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setFeeRecipient(user1.address))
+                .to.emit(vault, "FeeRecipientUpdated")
+                .withArgs(feeCollector.address, user1.address, admin.address);
+        });
+
+        it("Should enforce fee bounds", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setManagementFee(501))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("managementFee", 501, 0, 500, "fee_exceeds_maximum_allowed");
+            await expect(vault.connect(admin).setPerformanceFee(3001))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("performanceFee", 3001, 0, 3000, "fee_exceeds_maximum_allowed");
+            await expect(vault.connect(admin).setFeeRecipient(ethers.ZeroAddress))
+                .to.be.revertedWith("Fee recipient cannot be zero address");
+        });
+
+        it("Should require a fee recipient before a non-zero fee can be set", async function () {
+            const [, admin] = await ethers.getSigners();
+            const { vault } = await TestHelpers.deployFullEnvironment({ admin });
+
+            await expect(vault.connect(admin).setManagementFee(100))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("managementFee", 100, 0, 500, "fee_recipient_not_set");
+            await expect(vault.connect(admin).setPerformanceFee(1000))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("performanceFee", 1000, 0, 3000, "fee_recipient_not_set");
+            await expect(vault.connect(admin).setManagementFee(0)).to.not.be.reverted;
+        });
+
+        it("Should reject unauthorized fee updates", async function () {
+            const { vault, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(unauthorized).setManagementFee(100))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(unauthorized).setFeeRecipient(unauthorized.address))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Accrual on NAV Updates", function () {
+        it("Should not mint fee shares when fees are disabled", async function () {
+            const { vault, oracle, feeCollector } = await loadFixture(deployVaultFixture);
+
+            await time.increase(SIX_HOURS + 1);
+            await expect(vault.connect(oracle).updateNAV(ethers.parseEther("1.05"), ethers.parseEther("1050")))
+                .to.not.emit(vault, "FeesAccrued");
+
+            expect(await vault.balanceOf(feeCollector.address)).to.equal(0);
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1.05"));
+            expect(await vault.highWaterMark()).to.equal(ethers.parseEther("1.05"));
+        });
+
+        it("Should accrue the management fee over time", async function () {
+            const { vault, admin, oracle, feeCollector } = await loadFixture(deployVaultFixture);
+
+            await setManagementFee(vault, admin, 200); // 2% per year
+            await time.increase(ONE_YEAR);
+
+            const [accruedManagementFee] = await vault.getAccruedFees(ethers.parseEther("1"));
+            expect(accruedManagementFee).to.be.closeTo(ethers.parseEther("20"), ethers.parseEther("0.01"));
+
+            await expect(vault.connect(oracle).updateNAV(ethers.parseEther("1"), ethers.parseEther("1000")))
+                .to.emit(vault, "FeesAccrued");
+
+            // Fee shares are worth the fee at the post-fee NAV
+            const feeShares = await vault.balanceOf(feeCollector.address);
+            const feeValue = await vault.convertToAssets(feeShares);
+            expect(feeValue).to.be.closeTo(ethers.parseEther("20"), ethers.parseEther("0.01"));
+            expect(await vault.currentNAV()).to.be.closeTo(ethers.parseEther("0.98"), ethers.parseEther("0.0001"));
+        });
+
+        it("Should charge the performance fee only above the high-water mark", async function () {
+            const { vault, admin, oracle, feeCollector } = await loadFixture(deployVaultFixture);
+
+            await setPerformanceFee(vault, admin, 2000); // 20%
+
+            // 0.1 gain per share on 1000 shares: 100 assets of profit, 20 assets of fee
+            await time.increase(SIX_HOURS + 1);
+            await expect(vault.connect(oracle).updateNAV(ethers.parseEther("1.1"), ethers.parseEther("1050")))
+                .to.emit(vault, "FeesAccrued")
+                .withArgs(feeCollector.address, 0, ethers.parseEther("20"), anyValue, ethers.parseEther("1.08"));
+
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1.08"));
+            expect(await vault.highWaterMark()).to.equal(ethers.parseEther("1.08"));
+            const feeSharesAfterGain = await vault.balanceOf(feeCollector.address);
+
+            // A drawdown charges nothing and keeps the high-water mark
+            await time.increase(SIX_HOURS + 1);
+            await expect(vault.connect(oracle).updateNAV(ethers.parseEther("1.0"), ethers.parseEther("1050")))
+                .to.not.emit(vault, "FeesAccrued");
+            expect(await vault.highWaterMark()).to.equal(ethers.parseEther("1.08"));
+
+            // Recovering to the previous peak charges nothing either
+            await time.increase(SIX_HOURS + 1);
+            await expect(vault.connect(oracle).updateNAV(ethers.parseEther("1.08"), ethers.parseEther("1050")))
+                .to.not.emit(vault, "FeesAccrued");
+            expect(await vault.balanceOf(feeCollector.address)).to.equal(feeSharesAfterGain);
+        });
+
+        it("Should preview the performance fee a NAV update would charge", async function () {
+            const { vault, admin, oracle, feeCollector } = await loadFixture(deployVaultFixture);
+
+            await setPerformanceFee(vault, admin, 1000); // 10%
+
+            // 0.1 gain per share on 1000 shares: 100 assets of profit, 10 assets of fee
+            const [, accruedPerformanceFee, highWaterMark, recipient] =
+                await vault.getAccruedFees(ethers.parseEther("1.1"));
+            expect(accruedPerformanceFee).to.equal(ethers.parseEther("10"));
+            expect(highWaterMark).to.equal(ethers.parseEther("1"));
+            expect(recipient).to.equal(feeCollector.address);
+
+            await time.increase(SIX_HOURS + 1);
+            await expect(vault.connect(oracle).updateNAV(ethers.parseEther("1.1"), ethers.parseEther("1050")))
+                .to.emit(vault, "FeesAccrued")
+                .withArgs(feeCollector.address, 0, accruedPerformanceFee, anyValue, ethers.parseEther("1.09"));
+
+            // Once charged, reporting the same NAV again previews nothing
+            const [, pendingAfterMint] = await vault.getAccruedFees(await vault.currentNAV());
+            expect(pendingAfterMint).to.equal(0);
+        });
+    });
+
+    describe("Fee Rate Changes", function () {
+        it("Should charge the elapsed period at the old rate before a new rate applies", async function () {
+            const { vault, admin, feeCollector } = await loadFixture(deployVaultFixture);
+
+            await setManagementFee(vault, admin, 100); // 1% per year
+            const enabledAt = BigInt(await time.latest());
+
+            // Half a year at 1%, then the 5% rate is queued and executed
+            await time.increaseTo(enabledAt + BigInt(ONE_YEAR / 2));
+            await vault.connect(admin).setManagementFee(500);
+            await expect(TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_MANAGEMENT_FEE()))
+                .to.emit(vault, "FeesAccrued")
+                .and.to.emit(vault, "ManagementFeeUpdated")
+                .withArgs(100, 500);
+
+            // The old rate covered the elapsed period, including the timelock window
+            const executedAt = BigInt(await time.latest());
+            const oldRateFee =
+                ethers.parseEther("1000") * 100n * (executedAt - enabledAt) / (10000n * BigInt(ONE_YEAR));
+            const feeShares = await vault.balanceOf(feeCollector.address);
+            expect(await vault.convertToAssets(feeShares)).to.be.closeTo(oldRateFee, ethers.parseEther("0.001"));
+            expect(await vault.lastFeeAccrual()).to.equal(executedAt);
+
+            // Only the time after the change is charged at the new rate
+            await time.increase(SIX_HOURS + 1);
+            const [pending] = await vault.getAccruedFees(await vault.currentNAV());
+            const elapsed = BigInt(await time.latest()) - executedAt;
+            expect(pending).to.equal(ethers.parseEther("1000") * 500n * elapsed / (10000n * BigInt(ONE_YEAR)));
+        });
+
+        it("Should start the accrual clock when the first fee rate executes", async function () {
+            const { vault, admin, feeCollector } = await loadFixture(deployVaultFixture);
+
+            await time.increase(ONE_YEAR);
+            await expect(setManagementFee(vault, admin, 200)).to.not.emit(vault, "FeesAccrued");
+
+            expect(await vault.lastFeeAccrual()).to.equal(await time.latest());
+            expect(await vault.balanceOf(feeCollector.address)).to.equal(0);
+        });
+    });
+});
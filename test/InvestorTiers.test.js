@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Investor Tiers and KYC Expiry", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const TWO_DAYS = 2 * ONE_DAY;
+    const Tier = { None: 0, Retail: 1, Professional: 2, Institutional: 3 };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, retail, professional, institution, unauthorized] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [retail, professional, institution]
+        });
+
+        await vault.connect(admin).setInvestorProfile(retail.address, Tier.Retail, 0);
+        await vault.connect(admin).setInvestorProfile(professional.address, Tier.Professional, 0);
+        await vault.connect(admin).setInvestorProfile(institution.address, Tier.Institutional, 0);
+
+        await vault.connect(admin).setTierMaxDeposit(Tier.Retail, ethers.parseEther("10000"));
+        await vault.connect(admin).setTierMaxDeposit(Tier.Institutional, ethers.parseEther("500000"));
+        await time.increase(TWO_DAYS);
+        await vault.connect(admin).executeParameterChange(await vault.tierMaxDepositParameter(Tier.Retail));
+        await vault.connect(admin).executeParameterChange(await vault.tierMaxDepositParameter(Tier.Institutional));
+
+        return { vault, admin, retail, professional, institution, unauthorized };
+    }
+
+    describe("Investor Profiles", function () {
+        it("Should whitelist an account with its tier", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+            const expiry = (await time.latest()) + 365 * ONE_DAY;
+
+            await expect(vault.connect(admin).setInvestorProfile(unauthorized.address, Tier.Professional, expiry))
+                .to.emit(vault, "AddressWhitelisted")
+                .withArgs(unauthorized.address, admin.address)
+                .and.to.emit(vault, "InvestorProfileUpdated")
+                .withArgs(unauthorized.address, Tier.Professional, expiry, admin.address);
+
+            expect(await vault.isWhitelisted(unauthorized.address)).to.be.true;
+            expect(await vault.getInvestorTier(unauthorized.address)).to.equal(Tier.Professional);
+            const profile = await vault.investorProfiles(unauthorized.address);
+            expect(profile.kycExpiry).to.equal(expiry);
+        });
+
+        it("Should clear the profile when the account leaves the whitelist", async function () {
+            const { vault, admin, institution } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).removeFromWhitelist(institution.address);
+
+            expect(await vault.isWhitelisted(institution.address)).to.be.false;
+            expect(await vault.getInvestorTier(institution.address)).to.equal(Tier.None);
+            expect(await vault.maxDeposit(institution.address)).to.equal(ethers.parseEther("100000"));
+        });
+
+        it("Should reject invalid and unauthorized profile updates", async function () {
+            const { vault, admin, retail, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setInvestorProfile(ethers.ZeroAddress, Tier.Retail, 0))
+                .to.be.revertedWith("Cannot whitelist zero address");
+            await expect(vault.connect(admin).setInvestorProfile(retail.address, Tier.Retail, await time.latest()))
+                .to.be.revertedWith("KYC expiry in the past");
+            await expect(vault.connect(unauthorized).setInvestorProfile(unauthorized.address, Tier.Institutional, 0))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Tier Deposit Limits", function () {
+        it("Should apply each tier's per-user cap", async function () {
+            const { vault, retail, professional, institution } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.maxDeposit(retail.address)).to.equal(ethers.parseEther("10000"));
+            expect(await vault.maxDeposit(institution.address)).to.equal(ethers.parseEther("500000"));
+            // A tier without its own cap inherits maxUserDeposit
+            expect(await vault.maxDeposit(professional.address)).to.equal(ethers.parseEther("100000"));
+
+            await vault.connect(institution).deposit(ethers.parseEther("300000"), institution.address);
+            expect(await vault.balanceOf(institution.address)).to.equal(ethers.parseEther("300000"));
+        });
+
+        it("Should reject deposits above the tier cap", async function () {
+            const { vault, retail } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(retail).deposit(ethers.parseEther("10000"), retail.address);
+            expect(await vault.maxDeposit(retail.address)).to.equal(0);
+            expect(await vault.canDeposit(retail.address)).to.be.false;
+            await expect(vault.connect(retail).deposit(1, retail.address))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+        });
+
+        it("Should validate tier caps", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+            const tooLarge = ethers.parseEther("10000001");
+
+            await expect(vault.connect(admin).setTierMaxDeposit(Tier.Retail, tooLarge))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("tierMaxDeposit", tooLarge, 0, ethers.parseEther("10000000"), "invalid_user_deposit_limit");
+            await expect(vault.connect(admin).setTierMaxDeposit(Tier.None, 1))
+                .to.be.revertedWith("Invalid investor tier");
+            await expect(vault.connect(unauthorized).setTierMaxDeposit(Tier.Retail, 1))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+
+            const parameter = await vault.tierMaxDepositParameter(Tier.Retail);
+            await expect(vault.connect(admin).setTierMaxDeposit(Tier.Retail, 0))
+                .to.emit(vault, "ParameterChangeQueued")
+                .withArgs(parameter, 0, anyValue, admin.address);
+            expect((await vault.tierLimits(Tier.Retail)).maxUserDeposit).to.equal(ethers.parseEther("10000"));
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.emit(vault, "TierMaxDepositUpdated")
+                .withArgs(Tier.Retail, ethers.parseEther("10000"), 0);
+        });
+    });
+
+    describe("Tier Withdrawal Cooldowns", function () {
+        it("Should change a tier's cooldown through the parameter timelock", async function () {
+            const { vault, admin, retail, institution } = await loadFixture(deployVaultFixture);
+            const retailParam = await vault.tierCooldownParameter(Tier.Retail);
+            const institutionalParam = await vault.tierCooldownParameter(Tier.Institutional);
+
+            await vault.connect(admin).setTierWithdrawalCooldown(Tier.Retail, 3 * ONE_DAY);
+            await vault.connect(admin).setTierWithdrawalCooldown(Tier.Institutional, 60 * 60);
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).executeParameterChange(retailParam))
+                .to.emit(vault, "TierWithdrawalCooldownUpdated")
+                .withArgs(Tier.Retail, 0, 3 * ONE_DAY);
+            await vault.connect(admin).executeParameterChange(institutionalParam);
+
+            await vault.connect(retail).deposit(ethers.parseEther("1000"), retail.address);
+            await vault.connect(institution).deposit(ethers.parseEther("1000"), institution.address);
+
+            await time.increase(60 * 60 + 1);
+            expect(await vault.canWithdraw(institution.address)).to.be.true;
+            expect(await vault.canWithdraw(retail.address)).to.be.false;
+
+            await time.increase(ONE_DAY);
+            expect(await vault.canWithdraw(retail.address)).to.be.false;
+            expect(await vault.timeUntilWithdrawal(retail.address)).to.be.closeTo(2 * ONE_DAY - 60 * 60, 5);
+            await expect(vault.connect(retail).withdraw(ethers.parseEther("1"), retail.address, retail.address))
+                .to.be.revertedWith("ERC4626: withdraw more than max");
+        });
+
+        it("Should validate tier cooldowns", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setTierWithdrawalCooldown(Tier.Retail, 31 * ONE_DAY))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid");
+            await expect(vault.connect(admin).setTierWithdrawalCooldown(Tier.None, ONE_DAY))
+                .to.be.revertedWith("Invalid investor tier");
+        });
+    });
+
+    describe("KYC Expiry", function () {
+        it("Should revert an expired account to non-whitelisted and untiered", async function () {
+            const { vault, admin, institution } = await loadFixture(deployVaultFixture);
+            const expiry = (await time.latest()) + 30 * ONE_DAY;
+
+            await vault.connect(admin).setWhitelistEnabled(true);
+            await vault.connect(admin).setInvestorProfile(institution.address, Tier.Institutional, expiry);
+            expect(await vault.canDeposit(institution.address)).to.be.true;
+
+            await time.increaseTo(expiry);
+            expect(await vault.isWhitelisted(institution.address)).to.be.false;
+            expect(await vault.getInvestorTier(institution.address)).to.equal(Tier.None);
+            expect(await vault.canDeposit(institution.address)).to.be.false;
+            expect(await vault.maxDeposit(institution.address)).to.equal(0);
+            await expect(vault.connect(institution).deposit(ethers.parseEther("1"), institution.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(institution.address, "account_not_whitelisted");
+
+            // Renewing the KYC restores the account
+            const renewedExpiry = expiry + 365 * ONE_DAY;
+            await vault.connect(admin).setInvestorProfile(institution.address, Tier.Institutional, renewedExpiry);
+            expect(await vault.maxDeposit(institution.address)).to.equal(ethers.parseEther("500000"));
+        });
+
+        it("Should fall back to vault-wide limits after expiry when the whitelist is disabled", async function () {
+            const { vault, admin, institution } = await loadFixture(deployVaultFixture);
+            const expiry = (await time.latest()) + ONE_DAY;
+
+            await vault.connect(admin).setInvestorProfile(institution.address, Tier.Institutional, expiry);
+            await time.increaseTo(expiry);
+
+            expect(await vault.maxDeposit(institution.address)).to.equal(ethers.parseEther("100000"));
+        });
+    });
+});
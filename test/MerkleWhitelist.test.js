@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildMerkleWhitelist, parseCsv } = require("../src/scripts/build-merkle-whitelist");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Merkle Whitelist", function () {
+    const Tier = { None: 0, Retail: 1, Professional: 2, Institutional: 3 };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, user3, outsider] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [user1, user2, user3, outsider],
+            mintAmount: ethers.parseEther("10000")
+        });
+
+        const expiry = (await time.latest()) + 365 * 24 * 60 * 60;
+        const csv = [
+            "address,tier,kycExpiry",
+            `${user1.address},retail,`,
+            `${user2.address},institutional,${expiry}`,
+            `${user3.address},2,0`
+        ].join("\n");
+        const tree = buildMerkleWhitelist(parseCsv(csv));
+        const proofs = Object.fromEntries(tree.entries.map((entry) => [entry.address, entry]));
+
+        await vault.connect(admin).setWhitelistEnabled(true);
+        await vault.connect(admin).setWhitelistMerkleRoot(tree.root);
+
+        return { vault, admin, user1, user2, user3, outsider, tree, proofs, expiry };
+    }
+
+    describe("Claims", function () {
+        it("Should whitelist an account with its tier from a valid proof", async function () {
+            const { vault, user2, outsider, tree, proofs, expiry } = await loadFixture(deployVaultFixture);
+            const entry = proofs[user2.address];
+
+            // Anyone can submit the published proof for the account
+            await expect(vault.connect(outsider).claimWhitelist(user2.address, entry.tier, entry.kycExpiry, entry.proof))
+                .to.emit(vault, "WhitelistClaimed")
+                .withArgs(user2.address, Tier.Institutional, expiry, tree.root);
+
+            expect(await vault.isWhitelisted(user2.address)).to.be.true;
+            expect(await vault.getInvestorTier(user2.address)).to.equal(Tier.Institutional);
+        });
+
+        it("Should reject proofs that do not match the leaf", async function () {
+            const { vault, user1, user3, outsider, proofs } = await loadFixture(deployVaultFixture);
+            const entry = proofs[user1.address];
+
+            await expect(vault.claimWhitelist(user1.address, Tier.Institutional, 0, entry.proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user1.address, "invalid_merkle_proof");
+            await expect(vault.claimWhitelist(outsider.address, entry.tier, entry.kycExpiry, entry.proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(outsider.address, "invalid_merkle_proof");
+            await expect(vault.claimWhitelist(user3.address, Tier.Professional, 0, []))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+        });
+
+        it("Should reject leaves whose KYC has expired", async function () {
+            const { vault, user2, proofs, expiry } = await loadFixture(deployVaultFixture);
+            const entry = proofs[user2.address];
+
+            await time.increaseTo(expiry);
+            await expect(vault.claimWhitelist(user2.address, entry.tier, entry.kycExpiry, entry.proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user2.address, "kyc_expired");
+        });
+    });
+
+    describe("Deposits With Proof", function () {
+        it("Should claim and deposit in one transaction", async function () {
+            const { vault, user1, proofs } = await loadFixture(deployVaultFixture);
+            const entry = proofs[user1.address];
+            const assets = ethers.parseEther("1000");
+
+            await expect(vault.connect(user1).deposit(assets, user1.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+
+            await vault.connect(user1).depositWithProof(assets, user1.address, entry.tier, entry.kycExpiry, entry.proof);
+            expect(await vault.balanceOf(user1.address)).to.equal(assets);
+
+            // Later deposits no longer need a proof
+            await vault.connect(user1).deposit(assets, user1.address);
+            await vault.connect(user1).depositWithProof(assets, user1.address, 0, 0, []);
+        });
+
+        it("Should claim and mint in one transaction", async function () {
+            const { vault, user3, proofs } = await loadFixture(deployVaultFixture);
+            const entry = proofs[user3.address];
+            const shares = ethers.parseEther("500");
+
+            await vault.connect(user3).mintWithProof(shares, user3.address, entry.tier, entry.kycExpiry, entry.proof);
+            expect(await vault.balanceOf(user3.address)).to.equal(shares);
+        });
+
+        it("Should not need a proof while the whitelist is disabled or the receiver is whitelisted", async function () {
+            const { vault, admin, user1, user2 } = await loadFixture(deployVaultFixture);
+            const assets = ethers.parseEther("1000");
+
+            // No root published and no proof given
+            await vault.connect(admin).setWhitelistMerkleRoot(ethers.ZeroHash);
+            await vault.connect(admin).setWhitelistEnabled(false);
+            await vault.connect(user1).depositWithProof(assets, user1.address, 0, 0, []);
+            expect(await vault.balanceOf(user1.address)).to.equal(assets);
+
+            await vault.connect(admin).setWhitelistEnabled(true);
+            await vault.connect(admin).addToWhitelist(user2.address);
+            await vault.connect(user2).mintWithProof(assets, user2.address, 0, 0, []);
+            expect(await vault.balanceOf(user2.address)).to.equal(assets);
+
+            await expect(vault.connect(user1).depositWithProof(assets, user1.address, 0, 0, []))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user1.address, "merkle_whitelist_inactive");
+        });
+    });
+
+    describe("Root Rotation and Revocation", function () {
+        it("Should only accept proofs against the current root", async function () {
+            const { vault, admin, user1, outsider, proofs } = await loadFixture(deployVaultFixture);
+            const oldEntry = proofs[user1.address];
+
+            const rotated = buildMerkleWhitelist([{ address: outsider.address, tier: Tier.Retail, kycExpiry: 0 }]);
+            await expect(vault.connect(admin).setWhitelistMerkleRoot(rotated.root))
+                .to.emit(vault, "WhitelistMerkleRootUpdated");
+
+            await expect(vault.claimWhitelist(user1.address, oldEntry.tier, oldEntry.kycExpiry, oldEntry.proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user1.address, "invalid_merkle_proof");
+            await vault.claimWhitelist(outsider.address, Tier.Retail, 0, rotated.entries[0].proof);
+            expect(await vault.isWhitelisted(outsider.address)).to.be.true;
+
+            await vault.connect(admin).setWhitelistMerkleRoot(ethers.ZeroHash);
+            expect(await vault.isWhitelisted(outsider.address)).to.be.false;
+            await expect(vault.claimWhitelist(outsider.address, Tier.Retail, 0, rotated.entries[0].proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(outsider.address, "merkle_whitelist_inactive");
+        });
+
+        it("Should revoke claimed entries missing from a rotated root", async function () {
+            const { vault, admin, user1, user2, user3, outsider, proofs } = await loadFixture(deployVaultFixture);
+            const assets = ethers.parseEther("1000");
+            for (const user of [user1, user3]) {
+                const entry = proofs[user.address];
+                await vault.connect(user).depositWithProof(assets, user.address, entry.tier, entry.kycExpiry, entry.proof);
+            }
+            await vault.connect(admin).addToWhitelist(user2.address);
+
+            const rotated = buildMerkleWhitelist([
+                { address: user3.address, tier: Tier.Institutional, kycExpiry: 0 },
+                { address: outsider.address, tier: Tier.Retail, kycExpiry: 0 }
+            ]);
+            await vault.connect(admin).setWhitelistMerkleRoot(rotated.root);
+
+            // Dropped from the tree: no longer whitelisted nor tiered, and cannot re-claim
+            expect(await vault.isWhitelisted(user1.address)).to.be.false;
+            expect(await vault.getInvestorTier(user1.address)).to.equal(Tier.None);
+            await expect(vault.connect(user1).deposit(assets, user1.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+            await expect(vault.connect(user1).depositWithProof(assets, user1.address, 0, 0, []))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user1.address, "invalid_merkle_proof");
+
+            // Still in the tree: claims again, picking up the new leaf
+            const entry = rotated.entries.find((e) => e.address === user3.address);
+            expect(await vault.isWhitelisted(user3.address)).to.be.false;
+            await vault.connect(user3).depositWithProof(assets, user3.address, entry.tier, entry.kycExpiry, entry.proof);
+            expect(await vault.whitelistClaimRoot(user3.address)).to.equal(rotated.root);
+            expect(await vault.getInvestorTier(user3.address)).to.equal(Tier.Institutional);
+
+            // Admin entries survive rotations
+            expect(await vault.isWhitelisted(user2.address)).to.be.true;
+            await vault.connect(admin).addToWhitelist(user1.address);
+            expect(await vault.isWhitelisted(user1.address)).to.be.true;
+            expect(await vault.whitelistClaimRoot(user1.address)).to.equal(ethers.ZeroHash);
+        });
+
+        it("Should let revocation override inclusion in the root", async function () {
+            const { vault, admin, user1, proofs } = await loadFixture(deployVaultFixture);
+            const entry = proofs[user1.address];
+
+            await vault.claimWhitelist(user1.address, entry.tier, entry.kycExpiry, entry.proof);
+            await expect(vault.connect(admin).setWhitelistRevoked(user1.address, true))
+                .to.emit(vault, "AddressRemovedFromWhitelist")
+                .withArgs(user1.address, admin.address)
+                .and.to.emit(vault, "WhitelistRevocationUpdated")
+                .withArgs(user1.address, true, admin.address);
+
+            expect(await vault.isWhitelisted(user1.address)).to.be.false;
+            await expect(vault.claimWhitelist(user1.address, entry.tier, entry.kycExpiry, entry.proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user1.address, "whitelist_access_revoked");
+            await expect(vault.connect(user1).depositWithProof(1, user1.address, entry.tier, entry.kycExpiry, entry.proof))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+
+            await vault.connect(admin).setWhitelistRevoked(user1.address, false);
+            await vault.claimWhitelist(user1.address, entry.tier, entry.kycExpiry, entry.proof);
+        });
+
+        it("Should restrict root and revocation updates to admins", async function () {
+            const { vault, outsider } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(outsider).setWhitelistMerkleRoot(ethers.ZeroHash))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(outsider).setWhitelistRevoked(outsider.address, false))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Tree Builder", function () {
+        it("Should reject duplicate addresses and unknown tiers", async function () {
+            const { user1 } = await loadFixture(deployVaultFixture);
+
+            expect(() => parseCsv(`${user1.address},gold,0`)).to.throw(/Unknown investor tier/);
+            expect(() => buildMerkleWhitelist(parseCsv(`${user1.address},retail\n${user1.address},retail`)))
+                .to.throw(/Duplicate address/);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - NAV History and Realised APY", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+    const NAV_HISTORY_SIZE = 128;
+
+    // Mirrors getTrailingAPY: simple annualisation, truncated toward zero
+    function expectedAPY(base, latest) {
+        const elapsed = latest.timestamp - base.timestamp;
+        return ((latest.nav - base.nav) * 10000n * SECONDS_PER_YEAR) / (base.nav * elapsed);
+    }
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, oracle] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { ORACLE_ROLE: [oracle] },
+            users: []
+        });
+
+        return { vault, admin, oracle };
+    }
+
+    // NAV grows by 0.01% of the initial NAV every day for 30 days
+    async function dailyGrowthFixture() {
+        const { vault, oracle } = await deployVaultFixture();
+        const step = ethers.parseEther("0.0001");
+
+        for (let day = 1; day <= 30; day++) {
+            await time.increase(ONE_DAY);
+            await vault.connect(oracle).updateNAV(ethers.parseEther("1") + step * BigInt(day), 0);
+        }
+
+        return { vault, oracle };
+    }
+
+    describe("Checkpoints", function () {
+        it("Should record the initial NAV at deployment", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.navCheckpointCount()).to.equal(1);
+            const history = await vault.getNAVHistory();
+            expect(history.length).to.equal(1);
+            expect(history[0].nav).to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should append a checkpoint on each NAV update", async function () {
+            const { vault, oracle } = await loadFixture(deployVaultFixture);
+
+            await time.increase(ONE_DAY);
+            await vault.connect(oracle).updateNAV(ethers.parseEther("1.01"), 0);
+            const updatedAt = await time.latest();
+            await time.increase(ONE_DAY);
+            await vault.connect(oracle).updateNAV(ethers.parseEther("1.02"), 0);
+
+            const history = await vault.getNAVHistory();
+            expect(history.map((checkpoint) => checkpoint.nav)).to.deep.equal([
+                ethers.parseEther("1"),
+                ethers.parseEther("1.01"),
+                ethers.parseEther("1.02")
+            ]);
+            expect(history[1].timestamp).to.equal(updatedAt);
+        });
+
+        it("Should keep only the most recent checkpoints once the buffer wraps", async function () {
+            const { vault, oracle } = await loadFixture(deployVaultFixture);
+            const updates = NAV_HISTORY_SIZE + 2;
+
+            for (let i = 1; i <= updates; i++) {
+                await time.increase(6 * 60 * 60);
+                await vault.connect(oracle).updateNAV(ethers.parseEther("1") + BigInt(i), 0);
+            }
+
+            expect(await vault.navCheckpointCount()).to.equal(updates + 1);
+            const history = await vault.getNAVHistory();
+            expect(history.length).to.equal(NAV_HISTORY_SIZE);
+            expect(history[0].nav).to.equal(ethers.parseEther("1") + BigInt(updates - NAV_HISTORY_SIZE + 1));
+            expect(history[NAV_HISTORY_SIZE - 1].nav).to.equal(ethers.parseEther("1") + BigInt(updates));
+            for (let i = 1; i < history.length; i++) {
+                expect(history[i].timestamp).to.be.greaterThan(history[i - 1].timestamp);
+            }
+        });
+    });
+
+    describe("Trailing APY", function () {
+        it("Should return zero without enough history", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            const [apy7d, apy30d] = await vault.getTrailingAPYs();
+            expect(apy7d).to.equal(0);
+            expect(apy30d).to.equal(0);
+        });
+
+        it("Should annualise NAV growth over the trailing 7 and 30 days", async function () {
+            const { vault } = await loadFixture(dailyGrowthFixture);
+            const history = await vault.getNAVHistory();
+            const latest = history[30];
+
+            const [apy7d, apy30d] = await vault.getTrailingAPYs();
+            expect(apy30d).to.equal(expectedAPY(history[0], latest));
+            expect(apy7d).to.equal(expectedAPY(history[23], latest));
+
+            // 0.01% a day is roughly 3.65% a year
+            expect(apy30d).to.be.closeTo(365, 1);
+            expect(apy7d).to.be.closeTo(364, 1);
+        });
+
+        it("Should fall back to the oldest checkpoint when history is shorter than the window", async function () {
+            const { vault, oracle } = await loadFixture(deployVaultFixture);
+
+            await time.increase(ONE_DAY);
+            await vault.connect(oracle).updateNAV(ethers.parseEther("1.001"), 0);
+
+            const history = await vault.getNAVHistory();
+            expect(await vault.getTrailingAPY(30 * ONE_DAY)).to.equal(expectedAPY(history[0], history[1]));
+        });
+
+        it("Should report negative yield when the NAV falls", async function () {
+            const { vault, oracle } = await loadFixture(deployVaultFixture);
+
+            await time.increase(7 * ONE_DAY);
+            await vault.connect(oracle).updateNAV(ethers.parseEther("0.99"), 0);
+
+            expect(await vault.getTrailingAPY(7 * ONE_DAY)).to.be.lessThan(0);
+        });
+
+        it("Should record checkpoints from quorum-finalized rounds", async function () {
+            const { vault, admin, oracle } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setNAVQuorum(true, 2, 100);
+            await TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_NAV_QUORUM());
+            await time.increase(ONE_DAY);
+            await vault.connect(oracle).submitNAV(ethers.parseEther("1.001"), 0);
+            await vault.connect(admin).submitNAV(ethers.parseEther("1.001"), 0);
+
+            expect(await vault.navCheckpointCount()).to.equal(2);
+            expect(await vault.getTrailingAPY(ONE_DAY)).to.be.greaterThan(0);
+        });
+    });
+});
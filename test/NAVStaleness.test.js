@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - NAV Staleness Guard", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const Policy = { Reject: 0, Queue: 1 };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, unauthorized] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { TREASURY_ROLE: [treasury] },
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+
+        await vault.connect(admin).setNAVStalenessPolicy(3 * ONE_DAY, Policy.Reject);
+
+        return { vault, admin, treasury, user1, user2, unauthorized };
+    }
+
+    async function makeStale(vault) {
+        // Before the first NAV update the age runs from deployment
+        const lastUpdate = await vault.lastNAVUpdate();
+        const navTimestamp = lastUpdate === 0n ? await vault.lastNAVChangeTime() : lastUpdate;
+        await time.increaseTo(navTimestamp + BigInt(3 * ONE_DAY) + 1n);
+    }
+
+    describe("Configuration", function () {
+        it("Should report staleness once the NAV is older than maxNAVAge", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.maxNAVAge()).to.equal(3 * ONE_DAY);
+            expect(await vault.isNAVStale()).to.be.false;
+            await makeStale(vault);
+            expect(await vault.isNAVStale()).to.be.true;
+
+            // A fresh NAV clears the staleness
+            await vault.connect(admin).updateNAV(ethers.parseEther("1.01"), ethers.parseEther("2020"));
+            expect(await vault.isNAVStale()).to.be.false;
+        });
+
+        it("Should validate the age and restrict configuration to admins", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setNAVStalenessPolicy(60 * 60, Policy.Reject))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("maxNAVAge", 60 * 60, 6 * 60 * 60, 30 * ONE_DAY, "nav_age_outside_allowed_range");
+            await expect(vault.connect(unauthorized).setNAVStalenessPolicy(ONE_DAY, Policy.Reject))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+
+            await expect(vault.connect(admin).setNAVStalenessPolicy(0, Policy.Queue))
+                .to.emit(vault, "NAVStalenessPolicyUpdated")
+                .withArgs(3 * ONE_DAY, 0, Policy.Reject, Policy.Queue);
+            await time.increase(60 * ONE_DAY);
+            expect(await vault.isNAVStale()).to.be.false;
+        });
+    });
+
+    describe("Reject Policy", function () {
+        it("Should block deposits and withdrawals on a stale NAV", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+            const one = ethers.parseEther("1");
+            await makeStale(vault);
+
+            expect(await vault.maxDeposit(user1.address)).to.equal(0);
+            expect(await vault.maxMint(user1.address)).to.equal(0);
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            expect(await vault.canDeposit(user1.address)).to.be.false;
+
+            await expect(vault.connect(user1).deposit(one, user1.address))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+            await expect(vault.connect(user1).redeem(one, user1.address, user1.address))
+                .to.be.revertedWith("ERC4626: redeem more than max");
+            await expect(vault.connect(user1).requestRedeem(one, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "StaleNAV")
+                .withArgs(await vault.lastNAVChangeTime(), 3 * ONE_DAY, "nav_stale");
+        });
+
+        it("Should block non-emergency batch withdrawals on a stale NAV", async function () {
+            const { vault, admin, user1 } = await loadFixture(deployVaultFixture);
+            await makeStale(vault);
+
+            await expect(vault.connect(admin).batchWithdraw([user1.address], [user1.address], false))
+                .to.be.revertedWithCustomError(vault, "StaleNAV");
+            await expect(vault.connect(admin).batchWithdrawPartial([user1.address], [user1.address], [1n]))
+                .to.be.revertedWithCustomError(vault, "StaleNAV");
+
+            await vault.connect(admin).batchWithdraw([user1.address], [user1.address], true);
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+        });
+    });
+
+    describe("Queue Policy", function () {
+        it("Should route withdrawals to the redemption queue until NAV is fresh", async function () {
+            const { vault, admin, treasury, user1 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("500");
+            await vault.connect(admin).setNAVStalenessPolicy(3 * ONE_DAY, Policy.Queue);
+            await makeStale(vault);
+
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            await expect(vault.connect(user1).redeem(shares, user1.address, user1.address))
+                .to.be.revertedWith("ERC4626: redeem more than max");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await expect(vault.connect(treasury).fulfillRedeem(user1.address, shares))
+                .to.be.revertedWithCustomError(vault, "StaleNAV");
+
+            await vault.connect(admin).updateNAV(ethers.parseEther("1.02"), ethers.parseEther("2040"));
+            await vault.connect(treasury).fulfillRedeem(user1.address, shares);
+            expect(await vault.claimableRedeemAssets(user1.address)).to.equal(ethers.parseEther("510"));
+
+            // Fulfilled claims are already priced and stay available on a stale NAV
+            await makeStale(vault);
+            await vault.connect(user1).claimRedeem(shares, user1.address, user1.address);
+            expect(await vault.claimableRedeemAssets(user1.address)).to.equal(0);
+        });
+    });
+});
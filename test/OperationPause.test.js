@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Per-Operation Pause", function () {
+    const Operation = { Deposits: 0, Withdrawals: 1, NAVUpdates: 2, Treasury: 3 };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, pauser, user1, user2, unauthorized] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { PAUSER_ROLE: [pauser] },
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000")
+        });
+
+        await vault.connect(user1).deposit(ethers.parseEther("1000"), user1.address);
+        await TestHelpers.passWithdrawalCooldown();
+
+        return { vault, admin, pauser, user1, user2, unauthorized };
+    }
+
+    describe("Flags", function () {
+        it("Should pause and unpause an operation class with its own events", async function () {
+            const { vault, admin, pauser } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(pauser).pauseOperation(Operation.Treasury))
+                .to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Treasury, pauser.address);
+            expect(await vault.operationPaused(Operation.Treasury)).to.be.true;
+            expect(await vault.isOperationPaused(Operation.Treasury)).to.be.true;
+            expect(await vault.isOperationPaused(Operation.Deposits)).to.be.false;
+            expect(await vault.paused()).to.be.false;
+
+            await expect(vault.connect(admin).unpauseOperation(Operation.Treasury))
+                .to.emit(vault, "OperationUnpaused")
+                .withArgs(Operation.Treasury, admin.address);
+            expect(await vault.isOperationPaused(Operation.Treasury)).to.be.false;
+        });
+
+        it("Should restrict pausing to pausers and unpausing to admins", async function () {
+            const { vault, admin, pauser, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(unauthorized).pauseOperation(Operation.Deposits))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await vault.connect(pauser).pauseOperation(Operation.Deposits);
+            await expect(vault.connect(pauser).unpauseOperation(Operation.Deposits))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+
+            await expect(vault.connect(pauser).pauseOperation(Operation.Deposits))
+                .to.be.revertedWith("Operation already paused");
+            await vault.connect(admin).unpauseOperation(Operation.Deposits);
+            await expect(vault.connect(admin).unpauseOperation(Operation.Deposits))
+                .to.be.revertedWith("Operation not paused");
+        });
+
+        it("Should treat the global pause as the master switch", async function () {
+            const { vault, admin, pauser, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(pauser).pause();
+            for (const operation of Object.values(Operation)) {
+                expect(await vault.isOperationPaused(operation)).to.be.true;
+                expect(await vault.operationPaused(operation)).to.be.false;
+            }
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+
+            // Clearing a class flag does not lift the global pause
+            await vault.connect(pauser).pauseOperation(Operation.Withdrawals);
+            await vault.connect(admin).unpauseOperation(Operation.Withdrawals);
+            expect(await vault.isOperationPaused(Operation.Withdrawals)).to.be.true;
+
+            await vault.connect(admin).unpause();
+            expect(await vault.maxRedeem(user1.address)).to.equal(ethers.parseEther("1000"));
+        });
+    });
+
+    describe("Deposits", function () {
+        it("Should halt only inflows while letting users exit", async function () {
+            const { vault, pauser, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(pauser).pauseOperation(Operation.Deposits);
+
+            expect(await vault.maxDeposit(user2.address)).to.equal(0);
+            expect(await vault.maxMint(user2.address)).to.equal(0);
+            expect(await vault.canDeposit(user2.address)).to.be.false;
+            await expect(vault.connect(user2).deposit(ethers.parseEther("1"), user2.address))
+                .to.be.revertedWith("ERC4626: deposit more than max");
+
+            await vault.connect(user1).redeem(ethers.parseEther("100"), user1.address, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseEther("900"));
+        });
+    });
+
+    describe("Withdrawals", function () {
+        it("Should halt withdrawals, redemptions and the redemption queue", async function () {
+            const { vault, admin, pauser, user1, user2 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("100");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(pauser).pauseOperation(Operation.Withdrawals);
+
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            await expect(vault.connect(user1).redeem(shares, user1.address, user1.address))
+                .to.be.revertedWith("ERC4626: redeem more than max");
+            await expect(vault.connect(user1).requestRedeem(shares, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive")
+                .withArgs(Operation.Withdrawals, "operation_paused");
+            await expect(vault.connect(admin).fulfillRedeem(user1.address, shares))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive");
+            await expect(vault.connect(admin).batchWithdraw([user1.address], [user1.address], false))
+                .to.be.revertedWith("Withdrawals are paused");
+
+            // Deposits keep running
+            await vault.connect(user2).deposit(ethers.parseEther("500"), user2.address);
+            expect(await vault.balanceOf(user2.address)).to.equal(ethers.parseEther("500"));
+
+            await vault.connect(admin).unpauseOperation(Operation.Withdrawals);
+            await vault.connect(admin).fulfillRedeem(user1.address, shares);
+            await vault.connect(user1).claimRedeem(shares, user1.address, user1.address);
+        });
+    });
+
+    describe("NAV Updates and Treasury", function () {
+        it("Should halt NAV updates independently", async function () {
+            const { vault, admin, pauser } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(pauser).pauseOperation(Operation.NAVUpdates);
+            await expect(vault.connect(admin).updateNAV(ethers.parseEther("1.01"), ethers.parseEther("1010")))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive")
+                .withArgs(Operation.NAVUpdates, "operation_paused");
+
+            await vault.connect(admin).withdrawToTreasury(ethers.parseEther("100"));
+        });
+
+        it("Should halt treasury movements independently", async function () {
+            const { vault, admin, pauser, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(pauser).pauseOperation(Operation.Treasury);
+            await expect(vault.connect(admin).withdrawToTreasury(ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive")
+                .withArgs(Operation.Treasury, "operation_paused");
+            await expect(vault.connect(admin).depositFromTreasury(ethers.parseEther("100"), 0, false))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive");
+
+            await vault.connect(admin).updateNAV(ethers.parseEther("1.01"), ethers.parseEther("1010"));
+            await time.increase(60 * 60 + 1);
+            await vault.connect(user1).redeem(ethers.parseEther("100"), user1.address, user1.address);
+        });
+    });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Multi-Oracle NAV Quorum", function () {
+    async function deployVaultFixture() {
+        const [, admin, oracle1, oracle2, oracle3, treasury, user1, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { ORACLE_ROLE: [oracle1, oracle2, oracle3] },
+            users: [user1],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+
+        // 2-of-3 quorum with 1% tolerance
+        await vault.connect(admin).setNAVQuorum(true, 2, 100);
+        await TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_NAV_QUORUM());
+        await time.increase(6 * 60 * 60 + 1);
+
+        return { vault, baseToken, admin, oracle1, oracle2, oracle3, user1, unauthorized };
+    }
+
+    describe("Configuration", function () {
+        it("Should queue quorum changes behind the parameter timelock", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            const parameter = await vault.PARAM_NAV_QUORUM();
+            const roundBefore = await vault.navRound();
+            await expect(vault.connect(admin).setNAVQuorum(true, 3, 50))
+                .to.emit(vault, "ParameterChangeQueued")
+                .withArgs(parameter, (50n << 128n) | 3n, anyValue, admin.address)
+                .and.to.not.emit(vault, "NAVQuorumConfigUpdated");
+
+            // Nothing changes until the delay has passed
+            expect(await vault.navQuorum()).to.equal(2);
+            expect(await vault.navQuorumTolerance()).to.equal(100);
+            expect(await vault.navRound()).to.equal(roundBefore);
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.be.revertedWithCustomError(vault, "ParameterChangeNotReady");
+
+            await expect(TestHelpers.executeParameterChange(vault, admin, parameter))
+                .to.emit(vault, "NAVQuorumConfigUpdated")
+                .withArgs(true, 3, 50);
+
+            expect(await vault.navQuorumEnabled()).to.be.true;
+            expect(await vault.navQuorum()).to.equal(3);
+            expect(await vault.navQuorumTolerance()).to.equal(50);
+            expect(await vault.navRound()).to.equal(roundBefore + 1n);
+        });
+
+        it("Should timelock disabling quorum mode", async function () {
+            const { vault, admin, oracle1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setNAVQuorum(false, 2, 100);
+            await expect(vault.connect(oracle1).updateNAV(ethers.parseEther("1.05"), ethers.parseEther("1000")))
+                .to.be.revertedWithCustomError(vault, "NAVUpdateValidationFailed");
+
+            await expect(TestHelpers.executeParameterChange(vault, admin, await vault.PARAM_NAV_QUORUM()))
+                .to.emit(vault, "NAVQuorumConfigUpdated")
+                .withArgs(false, 0, 100);
+            await vault.connect(oracle1).updateNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1.05"));
+        });
+
+        it("Should enforce quorum bounds", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setNAVQuorum(true, 1, 100))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("navQuorum", 1, 2, 15, "invalid_quorum");
+            await expect(vault.connect(admin).setNAVQuorum(true, 2, 1001))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid");
+            await expect(vault.connect(admin).setNAVQuorum(true, 0, 100))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("navQuorum", 0, 2, 15, "invalid_quorum");
+        });
+
+        it("Should reject unauthorized configuration", async function () {
+            const { vault, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(unauthorized).setNAVQuorum(false, 0, 0))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(unauthorized).resetNAVRound())
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Submissions", function () {
+        it("Should disable single-oracle updates in quorum mode", async function () {
+            const { vault, oracle1 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(oracle1).updateNAV(ethers.parseEther("1.05"), ethers.parseEther("1000")))
+                .to.be.revertedWithCustomError(vault, "NAVUpdateValidationFailed")
+                .withArgs(ethers.parseEther("1.05"), ethers.parseEther("1"), 0, 0, "quorum_mode_active");
+        });
+
+        it("Should finalize at the median once the quorum agrees", async function () {
+            const { vault, oracle1, oracle2 } = await loadFixture(deployVaultFixture);
+            const round = await vault.navRound();
+
+            await expect(vault.connect(oracle1).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000")))
+                .to.emit(vault, "NAVSubmitted")
+                .withArgs(round, oracle1.address, ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1"));
+
+            await expect(vault.connect(oracle2).submitNAV(ethers.parseEther("1.052"), ethers.parseEther("1002")))
+                .to.emit(vault, "NAVQuorumReached")
+                .withArgs(round, ethers.parseEther("1.051"), ethers.parseEther("1001"), 2, 2);
+
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1.051"));
+            expect(await vault.totalAssetsManaged()).to.equal(ethers.parseEther("1001"));
+            expect(await vault.navRound()).to.equal(round + 1n);
+        });
+
+        it("Should wait for agreement and report outliers", async function () {
+            const { vault, oracle1, oracle2, oracle3 } = await loadFixture(deployVaultFixture);
+            const round = await vault.navRound();
+
+            await vault.connect(oracle1).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            await vault.connect(oracle2).submitNAV(ethers.parseEther("1.14"), ethers.parseEther("1000"));
+
+            // Two disagreeing submissions do not move the NAV
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1"));
+            expect(await vault.navRound()).to.equal(round);
+
+            await expect(vault.connect(oracle3).submitNAV(ethers.parseEther("1.051"), ethers.parseEther("1000")))
+                .to.emit(vault, "NAVSubmissionOutlier")
+                .withArgs(
+                    round,
+                    oracle2.address,
+                    ethers.parseEther("1.14"),
+                    ethers.parseEther("1000"),
+                    ethers.parseEther("1.051"),
+                    ethers.parseEther("1000")
+                );
+
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1.051"));
+            expect((await vault.getNAVSubmissions(round)).length).to.equal(3);
+        });
+
+        it("Should reject duplicate and unauthorized submissions", async function () {
+            const { vault, oracle1, unauthorized } = await loadFixture(deployVaultFixture);
+            const round = await vault.navRound();
+
+            await vault.connect(oracle1).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            await expect(vault.connect(oracle1).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000")))
+                .to.be.revertedWithCustomError(vault, "NAVSubmissionRejected")
+                .withArgs(round, oracle1.address, "already_submitted");
+
+            await expect(vault.connect(unauthorized).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000")))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+
+        it("Should enforce the minimum interval between NAV updates", async function () {
+            const { vault, oracle1, oracle2, oracle3 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(oracle1).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            await vault.connect(oracle2).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+
+            await expect(vault.connect(oracle3).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000")))
+                .to.be.revertedWithCustomError(vault, "NAVSubmissionRejected")
+                .withArgs(await vault.navRound(), oracle3.address, "update_too_frequent");
+        });
+
+        it("Should let admin discard a stuck round", async function () {
+            const { vault, admin, oracle1, oracle2 } = await loadFixture(deployVaultFixture);
+            const round = await vault.navRound();
+
+            // Median is beyond the 15% max NAV change so the round cannot finalize
+            await vault.connect(oracle1).submitNAV(ethers.parseEther("1.3"), ethers.parseEther("1000"));
+            await expect(vault.connect(oracle2).submitNAV(ethers.parseEther("1.3"), ethers.parseEther("1000")))
+                .to.be.revertedWithCustomError(vault, "NAVUpdateValidationFailed");
+
+            await expect(vault.connect(admin).resetNAVRound())
+                .to.emit(vault, "NAVRoundReset")
+                .withArgs(round, admin.address);
+
+            await vault.connect(oracle1).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            await vault.connect(oracle2).submitNAV(ethers.parseEther("1.05"), ethers.parseEther("1000"));
+            expect(await vault.currentNAV()).to.equal(ethers.parseEther("1.05"));
+        });
+    });
+});
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Outflow Circuit Breaker", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const Operation = { Deposits: 0, Withdrawals: 1, NAVUpdates: 2, Treasury: 3 };
+    const Status = { Withdrawn: 0, OutflowLimitReached: 6 };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, user3, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [user1, user2, user3],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+        await TestHelpers.passWithdrawalCooldown();
+
+        await vault.connect(admin).setOutflowLimit(ethers.parseEther("500"), ONE_DAY);
+        await time.increase(2 * ONE_DAY);
+        await vault.connect(admin).executeParameterChange(await vault.PARAM_OUTFLOW_LIMIT());
+
+        return { vault, baseToken, admin, treasury, user1, user2, user3, unauthorized };
+    }
+
+    // Pins the next block's timestamp and returns the capacity left in it, as usage decays every second
+    async function nextBlockCapacity(vault) {
+        await time.setNextBlockTimestamp((await time.latest()) + 1);
+        return vault.availableOutflow({ blockTag: "pending" });
+    }
+
+    describe("Configuration", function () {
+        it("Should configure the limit and window", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.outflowLimit()).to.equal(ethers.parseEther("500"));
+            expect(await vault.outflowWindow()).to.equal(ONE_DAY);
+            expect(await vault.availableOutflow()).to.equal(ethers.parseEther("500"));
+
+            // Disabling the breaker is timelocked like any other change
+            await expect(vault.connect(admin).setOutflowLimit(0, 0))
+                .to.emit(vault, "ParameterChangeQueued")
+                .and.to.not.emit(vault, "OutflowLimitUpdated");
+            expect(await vault.outflowLimit()).to.equal(ethers.parseEther("500"));
+
+            await time.increase(2 * ONE_DAY);
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_OUTFLOW_LIMIT()))
+                .to.emit(vault, "OutflowLimitUpdated")
+                .withArgs(ethers.parseEther("500"), 0, ONE_DAY, 0);
+            expect(await vault.availableOutflow()).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should validate the window and restrict configuration to admins", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setOutflowLimit(1, 60))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("outflowWindow", 60, 60 * 60, 30 * ONE_DAY, "window_outside_allowed_range");
+            await expect(vault.connect(unauthorized).setOutflowLimit(1, ONE_DAY))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("User Withdrawals", function () {
+        it("Should pause withdrawals on the withdrawal that reaches the limit", async function () {
+            const { vault, admin, user1, user2, user3 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).withdraw(ethers.parseEther("300"), user1.address, user1.address);
+            expect(await vault.operationPaused(Operation.Withdrawals)).to.be.false;
+
+            const remaining = await nextBlockCapacity(vault);
+            await expect(vault.connect(user2).withdraw(remaining, user2.address, user2.address))
+                .to.emit(vault, "OutflowLimitReached")
+                .withArgs(Operation.Withdrawals, remaining, ethers.parseEther("500"), ethers.parseEther("500"))
+                .and.to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Withdrawals, await vault.getAddress());
+
+            expect(await vault.availableOutflow()).to.equal(0);
+            expect(await vault.maxWithdraw(user3.address)).to.equal(0);
+            expect(await vault.maxRedeem(user3.address)).to.equal(0);
+            await expect(vault.connect(user3).withdraw(ethers.parseEther("1"), user3.address, user3.address))
+                .to.be.revertedWith("ERC4626: withdraw more than max");
+
+            // The pause outlives the window until an admin clears it
+            await time.increase(ONE_DAY);
+            expect(await vault.availableOutflow()).to.equal(ethers.parseEther("500"));
+            expect(await vault.maxWithdraw(user3.address)).to.equal(0);
+            await vault.connect(admin).unpauseOperation(Operation.Withdrawals);
+            await vault.connect(user3).withdraw(ethers.parseEther("100"), user3.address, user3.address);
+        });
+
+        it("Should refuse a withdrawal larger than the remaining capacity", async function () {
+            const { vault, admin, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setOutflowLimit(ethers.parseEther("100"), ONE_DAY);
+            await time.increase(2 * ONE_DAY);
+            await vault.connect(admin).executeParameterChange(await vault.PARAM_OUTFLOW_LIMIT());
+            expect(await vault.maxWithdraw(user1.address)).to.equal(ethers.parseEther("100"));
+            expect(await vault.maxRedeem(user1.address)).to.equal(await vault.convertToShares(ethers.parseEther("100")));
+
+            await expect(vault.connect(user1).withdraw(ethers.parseEther("500"), user1.address, user1.address))
+                .to.be.revertedWith("ERC4626: withdraw more than max");
+            await expect(vault.connect(user1).redeem(ethers.parseEther("500"), user1.address, user1.address))
+                .to.be.revertedWith("ERC4626: redeem more than max");
+            expect(await vault.operationPaused(Operation.Withdrawals)).to.be.false;
+
+            await vault.connect(user1).withdraw(ethers.parseEther("60"), user1.address, user1.address);
+            expect(await vault.maxWithdraw(user2.address)).to.equal(ethers.parseEther("40"));
+        });
+
+        it("Should release capacity linearly over the window", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).withdraw(ethers.parseEther("400"), user1.address, user1.address);
+            expect(await vault.availableOutflow()).to.equal(ethers.parseEther("100"));
+
+            await time.increase(ONE_DAY / 2);
+            expect(await vault.availableOutflow()).to.be.closeTo(ethers.parseEther("350"), ethers.parseEther("0.01"));
+        });
+    });
+
+    describe("Batch and Treasury Outflows", function () {
+        it("Should refuse treasury outflows above the capacity and pause at the limit", async function () {
+            const { vault, baseToken, admin, treasury, user1 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).withdrawToTreasury(ethers.parseEther("600")))
+                .to.be.revertedWithCustomError(vault, "OutflowLimitExceeded")
+                .withArgs(Operation.Treasury, ethers.parseEther("600"), ethers.parseEther("500"), "outflow_limit_exceeded");
+            expect(await vault.operationPaused(Operation.Treasury)).to.be.false;
+
+            await expect(vault.connect(admin).withdrawToTreasury(ethers.parseEther("500")))
+                .to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Treasury, await vault.getAddress());
+            expect(await baseToken.balanceOf(treasury.address)).to.equal(ethers.parseEther("500"));
+
+            await expect(vault.connect(admin).withdrawToTreasury(ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(vault, "OperationPauseActive")
+                .withArgs(Operation.Treasury, "operation_paused");
+            expect(await vault.availableTreasuryOutflow()).to.be.lessThan(ethers.parseEther("0.01"));
+        });
+
+        it("Should let users exit after a treasury sweep used up the treasury capacity", async function () {
+            const { vault, admin, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).withdrawToTreasury(ethers.parseEther("500"));
+            expect(await vault.operationPaused(Operation.Treasury)).to.be.true;
+
+            // Sweeps draw on their own bucket, so the users' full capacity is left
+            expect(await vault.availableOutflow()).to.equal(ethers.parseEther("500"));
+            expect(await vault.maxWithdraw(user1.address)).to.equal(ethers.parseEther("500"));
+            await vault.connect(user1).withdraw(ethers.parseEther("500"), user1.address, user1.address);
+            expect(await vault.availableTreasuryOutflow()).to.be.lessThan(ethers.parseEther("0.01"));
+        });
+
+        it("Should refuse strategy deployments above the capacity", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+            const id = ethers.encodeBytes32String("custodian");
+
+            await vault.connect(admin).addStrategy(id, unauthorized.address, 3000);
+            await time.increase(2 * ONE_DAY);
+
+            await expect(vault.connect(admin).withdrawToStrategy(id, ethers.parseEther("600")))
+                .to.be.revertedWithCustomError(vault, "OutflowLimitExceeded")
+                .withArgs(Operation.Treasury, ethers.parseEther("600"), ethers.parseEther("500"), "outflow_limit_exceeded");
+            await vault.connect(admin).withdrawToStrategy(id, ethers.parseEther("300"));
+            expect(await vault.availableTreasuryOutflow()).to.equal(ethers.parseEther("200"));
+            expect(await vault.availableOutflow()).to.equal(ethers.parseEther("500"));
+        });
+
+        it("Should count emergency batches against the capacity", async function () {
+            const { vault, admin, user1, user2, user3 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).batchWithdraw([user1.address], [user1.address], true))
+                .to.be.revertedWithCustomError(vault, "OutflowLimitExceeded")
+                .withArgs(Operation.Withdrawals, ethers.parseEther("1000"), ethers.parseEther("500"), "outflow_limit_exceeded");
+
+            // The emergency batch that reaches the limit completes and trips the pause
+            await vault.connect(user3).transfer(user2.address, ethers.parseEther("500"));
+            await expect(vault.connect(admin).batchWithdraw([user3.address], [user3.address], true))
+                .to.emit(vault, "OutflowLimitReached")
+                .withArgs(Operation.Withdrawals, ethers.parseEther("500"), ethers.parseEther("500"), ethers.parseEther("500"))
+                .and.to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Withdrawals, await vault.getAddress());
+
+            // Emergency mode bypasses the pause but not the exhausted capacity
+            await expect(vault.connect(admin).batchWithdraw([user2.address], [user2.address], true))
+                .to.be.revertedWithCustomError(vault, "OutflowLimitExceeded");
+        });
+
+        it("Should refuse a batch above the capacity and skip partial entries that do not fit", async function () {
+            const { vault, admin, user1, user2, user3 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).batchWithdraw([user1.address], [user1.address], false))
+                .to.be.revertedWithCustomError(vault, "OutflowLimitExceeded")
+                .withArgs(Operation.Withdrawals, ethers.parseEther("1000"), ethers.parseEther("500"), "outflow_limit_exceeded");
+            expect(await vault.operationPaused(Operation.Withdrawals)).to.be.false;
+
+            const owners = [user1.address, user2.address, user3.address];
+            const shares = [ethers.parseEther("300"), ethers.parseEther("300"), ethers.parseEther("100")];
+            const results = await vault.connect(admin).batchWithdrawPartial.staticCall(owners, owners, shares);
+            expect(results.map(Number)).to.deep.equal([
+                Status.Withdrawn,
+                Status.OutflowLimitReached,
+                Status.Withdrawn
+            ]);
+
+            await vault.connect(admin).batchWithdrawPartial(owners, owners, shares);
+            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseEther("700"));
+            expect(await vault.balanceOf(user2.address)).to.equal(ethers.parseEther("1000"));
+            expect(await vault.balanceOf(user3.address)).to.equal(ethers.parseEther("900"));
+            expect(await vault.operationPaused(Operation.Withdrawals)).to.be.false;
+
+            const remaining = await vault.convertToShares(await nextBlockCapacity(vault));
+            await expect(vault.connect(admin).batchWithdrawPartial([user2.address], [user2.address], [remaining]))
+                .to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Withdrawals, await vault.getAddress());
+        });
+    });
+
+    describe("Queued and Shutdown Exits", function () {
+        it("Should record redemptions at fulfilment and not again at claim", async function () {
+            const { vault, admin, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).requestRedeem(ethers.parseEther("600"), user1.address, user1.address);
+            await expect(vault.connect(admin).fulfillRedeem(user1.address, ethers.parseEther("600")))
+                .to.be.revertedWithCustomError(vault, "OutflowLimitExceeded")
+                .withArgs(Operation.Withdrawals, ethers.parseEther("600"), ethers.parseEther("500"), "outflow_limit_exceeded");
+
+            await expect(vault.connect(admin).fulfillRedeem(user1.address, ethers.parseEther("500")))
+                .to.emit(vault, "OperationPaused")
+                .withArgs(Operation.Withdrawals, await vault.getAddress());
+
+            await vault.connect(admin).unpauseOperation(Operation.Withdrawals);
+            const available = await vault.availableOutflow();
+            await vault.connect(user1).claimRedeem(ethers.parseEther("500"), user1.address, user1.address);
+            expect(await vault.availableOutflow()).to.be.closeTo(available, ethers.parseEther("0.01"));
+        });
+
+        it("Should cap shutdown claims at the capacity and keep the rest claimable", async function () {
+            const { vault, baseToken, admin, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).activateShutdown();
+            expect(await vault.previewShutdownClaim(user1.address)).to.equal(ethers.parseEther("500"));
+
+            await vault.claimShutdownAssets(user1.address);
+            expect(await baseToken.balanceOf(user1.address)).to.equal(ethers.parseEther("9500"));
+
+            // Only the capacity released since the previous claim is paid out
+            const released = await nextBlockCapacity(vault);
+            await expect(vault.claimShutdownAssets(user2.address))
+                .to.changeTokenBalance(baseToken, user2, released);
+            expect(released).to.be.lessThan(ethers.parseEther("0.01"));
+
+            await time.increase(ONE_DAY);
+            await vault.claimShutdownAssets(user1.address);
+            expect(await baseToken.balanceOf(user1.address)).to.equal(ethers.parseEther("10000"));
+        });
+    });
+});
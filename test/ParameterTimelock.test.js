@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Timelocked Parameter Governance", function () {
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, newTreasury, unauthorized] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: []
+        });
+
+        return { vault, admin, treasury, newTreasury, unauthorized };
+    }
+
+    describe("Queueing", function () {
+        it("Should start with a two day delay", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.parameterChangeDelay()).to.equal(TWO_DAYS);
+        });
+
+        it("Should queue changes without applying them", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_MAX_NAV_CHANGE();
+
+            const tx = vault.connect(admin).setMaxNAVChange(2000);
+            const executableAt = (await time.latest()) + 1 + TWO_DAYS;
+            await expect(tx)
+                .to.emit(vault, "ParameterChangeQueued")
+                .withArgs(parameter, 2000, executableAt, admin.address);
+
+            expect(await vault.maxNAVChange()).to.equal(1500);
+            const pending = await vault.pendingParameterChanges(parameter);
+            expect(pending.value).to.equal(2000);
+            expect(pending.executableAt).to.equal(executableAt);
+        });
+
+        it("Should return when a queued change can be executed", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            const executableAt = await vault.connect(admin).setMaxNAVChange.staticCall(2000);
+            expect(executableAt).to.equal((await time.latest()) + TWO_DAYS);
+        });
+
+        it("Should validate values when queueing", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setMaxNAVChange(5001))
+                .to.be.revertedWith("Max NAV change too high");
+            await expect(vault.connect(admin).setParameterChangeDelay(60))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("parameterChangeDelay", 60, 3600, 30 * 24 * 60 * 60, "delay_outside_allowed_range");
+        });
+
+        it("Should reject unauthorized queue, execute and cancel calls", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_MAX_NAV_CHANGE();
+
+            await vault.connect(admin).setMaxNAVChange(2000);
+
+            await expect(vault.connect(unauthorized).setParameterChangeDelay(TWO_DAYS))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(unauthorized).executeParameterChange(parameter))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(vault.connect(unauthorized).cancelParameterChange(parameter))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Execution", function () {
+        it("Should only execute after the delay has passed", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_WITHDRAWAL_COOLDOWN();
+
+            await vault.connect(admin).setWithdrawalCooldown(48 * 60 * 60);
+            const { executableAt } = await vault.pendingParameterChanges(parameter);
+
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.be.revertedWithCustomError(vault, "ParameterChangeNotReady")
+                .withArgs(parameter, executableAt, "delay_not_elapsed");
+
+            await time.increaseTo(executableAt);
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.emit(vault, "WithdrawalCooldownUpdated")
+                .withArgs(24 * 60 * 60, 48 * 60 * 60)
+                .and.to.emit(vault, "ParameterChangeExecuted")
+                .withArgs(parameter, 48 * 60 * 60, admin.address);
+
+            expect(await vault.withdrawalCooldown()).to.equal(48 * 60 * 60);
+            expect((await vault.pendingParameterChanges(parameter)).executableAt).to.equal(0);
+        });
+
+        it("Should apply a queued treasury address", async function () {
+            const { vault, admin, treasury, newTreasury } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setTreasuryAddress(newTreasury.address);
+            await time.increase(TWO_DAYS);
+
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_TREASURY_ADDRESS()))
+                .to.emit(vault, "TreasuryAddressUpdated")
+                .withArgs(treasury.address, newTreasury.address, admin.address);
+            expect(await vault.treasuryAddress()).to.equal(newTreasury.address);
+        });
+
+        it("Should re-validate values at execution time", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setMaxTotalDeposits(ethers.parseEther("200000"));
+
+            // Raising the per-user limit above the queued total makes it invalid
+            await vault.connect(admin).setMaxUserDeposit(ethers.parseEther("300000"));
+            await time.increase(TWO_DAYS);
+            await vault.connect(admin).executeParameterChange(await vault.PARAM_MAX_USER_DEPOSIT());
+
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_MAX_TOTAL_DEPOSITS()))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid");
+        });
+
+        it("Should reject execution when nothing is queued", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_MAX_NAV_CHANGE();
+
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.be.revertedWithCustomError(vault, "ParameterChangeNotReady")
+                .withArgs(parameter, 0, "no_pending_change");
+        });
+
+        it("Should timelock changes to the delay itself", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_CHANGE_DELAY();
+
+            await vault.connect(admin).setParameterChangeDelay(7 * 24 * 60 * 60);
+            await time.increase(TWO_DAYS);
+
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.emit(vault, "ParameterChangeDelayUpdated")
+                .withArgs(TWO_DAYS, 7 * 24 * 60 * 60);
+            expect(await vault.parameterChangeDelay()).to.equal(7 * 24 * 60 * 60);
+        });
+    });
+
+    describe("Cancellation", function () {
+        it("Should let admin cancel a queued change", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_MAX_NAV_CHANGE();
+
+            await vault.connect(admin).setMaxNAVChange(2000);
+            await expect(vault.connect(admin).cancelParameterChange(parameter))
+                .to.emit(vault, "ParameterChangeCancelled")
+                .withArgs(parameter, 2000, admin.address);
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).executeParameterChange(parameter))
+                .to.be.revertedWithCustomError(vault, "ParameterChangeNotReady");
+            expect(await vault.maxNAVChange()).to.equal(1500);
+        });
+
+        it("Should reject cancelling when nothing is queued", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+            const parameter = await vault.PARAM_TREASURY_ADDRESS();
+
+            await expect(vault.connect(admin).cancelParameterChange(parameter))
+                .to.be.revertedWithCustomError(vault, "ParameterChangeNotReady")
+                .withArgs(parameter, 0, "no_pending_change");
+        });
+    });
+});
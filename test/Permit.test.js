@@ -0,0 +1,254 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - EIP-2612 Permits", function () {
+    const PERMIT_TYPES = {
+        Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+
+    async function signPermit(token, owner, spender, value, deadline) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: await token.name(),
+            version: "1",
+            chainId,
+            verifyingContract: await token.getAddress()
+        };
+        const message = {
+            owner: owner.address,
+            spender,
+            value,
+            nonce: await token.nonces(owner.address),
+            deadline
+        };
+        return ethers.Signature.from(await owner.signTypedData(domain, PERMIT_TYPES, message));
+    }
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, relayer] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: []
+        });
+
+        await baseToken.mint(user1.address, ethers.parseEther("10000"));
+        const deadline = (await time.latest()) + 3600;
+
+        return { vault, baseToken, admin, user1, user2, relayer, deadline };
+    }
+
+    describe("Base Token Permit", function () {
+        it("Should set the allowance from a signature", async function () {
+            const { vault, baseToken, user1, relayer, deadline } = await loadFixture(deployVaultFixture);
+            const vaultAddress = await vault.getAddress();
+            const sig = await signPermit(baseToken, user1, vaultAddress, 100n, deadline);
+
+            await baseToken.connect(relayer).permit(user1.address, vaultAddress, 100n, deadline, sig.v, sig.r, sig.s);
+            expect(await baseToken.allowance(user1.address, vaultAddress)).to.equal(100n);
+            expect(await baseToken.nonces(user1.address)).to.equal(1);
+        });
+
+        it("Should reject expired, replayed and forged permits", async function () {
+            const { vault, baseToken, user1, user2, relayer } = await loadFixture(deployVaultFixture);
+            const vaultAddress = await vault.getAddress();
+
+            const expired = (await time.latest()) - 1;
+            const expiredSig = await signPermit(baseToken, user1, vaultAddress, 100n, expired);
+            await expect(baseToken.connect(relayer).permit(
+                user1.address, vaultAddress, 100n, expired, expiredSig.v, expiredSig.r, expiredSig.s
+            )).to.be.revertedWith("ERC20Permit: expired deadline");
+
+            const deadline = (await time.latest()) + 3600;
+            const sig = await signPermit(baseToken, user1, vaultAddress, 100n, deadline);
+            const submit = () => baseToken.connect(relayer).permit(
+                user1.address, vaultAddress, 100n, deadline, sig.v, sig.r, sig.s
+            );
+            await submit();
+            await expect(submit()).to.be.revertedWith("ERC20Permit: invalid signature");
+
+            const forged = await signPermit(baseToken, user2, vaultAddress, 100n, deadline);
+            await expect(baseToken.connect(relayer).permit(
+                user1.address, vaultAddress, 100n, deadline, forged.v, forged.r, forged.s
+            )).to.be.revertedWith("ERC20Permit: invalid signature");
+        });
+    });
+
+    describe("Base Token Upgrade", function () {
+        async function deployLegacyTokenFixture() {
+            const [deployer, holder, spender, relayer] = await ethers.getSigners();
+
+            const LegacyBaseToken = await ethers.getContractFactory("LegacyBaseToken");
+            const token = await upgrades.deployProxy(
+                LegacyBaseToken,
+                ["Base Token", "BT", deployer.address],
+                { initializer: "initialize" }
+            );
+            await token.mint(holder.address, ethers.parseEther("1000"));
+            await token.connect(holder).approve(spender.address, ethers.parseEther("10"));
+
+            return { token, deployer, holder, spender, relayer };
+        }
+
+        it("Should pass storage layout validation against the pre-permit token", async function () {
+            const { token } = await loadFixture(deployLegacyTokenFixture);
+
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            await expect(upgrades.validateUpgrade(await token.getAddress(), BaseToken)).to.be.fulfilled;
+        });
+
+        it("Should keep balances and allowances across the upgrade", async function () {
+            const { token, deployer, holder, spender } = await loadFixture(deployLegacyTokenFixture);
+            const supply = await token.totalSupply();
+
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            const upgraded = await upgrades.upgradeProxy(await token.getAddress(), BaseToken);
+
+            expect(await upgraded.totalSupply()).to.equal(supply);
+            expect(await upgraded.balanceOf(holder.address)).to.equal(ethers.parseEther("1000"));
+            expect(await upgraded.allowance(holder.address, spender.address)).to.equal(ethers.parseEther("10"));
+            expect(await upgraded.hasRole(await upgraded.MINTER_ROLE(), deployer.address)).to.be.true;
+        });
+
+        it("Should accept permits right after the upgrade without a reinitializer", async function () {
+            const { token, holder, spender, relayer } = await loadFixture(deployLegacyTokenFixture);
+
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            const upgraded = await upgrades.upgradeProxy(await token.getAddress(), BaseToken);
+            expect(await upgraded.nonces(holder.address)).to.equal(0);
+
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = {
+                name: "Base Token",
+                version: "1",
+                chainId,
+                verifyingContract: await upgraded.getAddress()
+            };
+            expect(await upgraded.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+
+            const deadline = (await time.latest()) + 3600;
+            const sig = await signPermit(upgraded, holder, spender.address, 500n, deadline);
+            await upgraded.connect(relayer).permit(
+                holder.address, spender.address, 500n, deadline, sig.v, sig.r, sig.s
+            );
+
+            expect(await upgraded.allowance(holder.address, spender.address)).to.equal(500n);
+            expect(await upgraded.nonces(holder.address)).to.equal(1);
+        });
+    });
+
+    describe("Vault Share Permit", function () {
+        it("Should approve share spending from a signature", async function () {
+            const { vault, baseToken, user1, user2, relayer, deadline } = await loadFixture(deployVaultFixture);
+            await baseToken.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+            await vault.connect(user1).deposit(ethers.parseEther("100"), user1.address);
+
+            const value = ethers.parseEther("40");
+            const sig = await signPermit(vault, user1, user2.address, value, deadline);
+            await vault.connect(relayer).permit(user1.address, user2.address, value, deadline, sig.v, sig.r, sig.s);
+
+            expect(await vault.allowance(user1.address, user2.address)).to.equal(value);
+            expect(await vault.nonces(user1.address)).to.equal(1);
+            await vault.connect(user2).transferFrom(user1.address, user2.address, value);
+        });
+
+        it("Should reject replayed, expired and forged signatures", async function () {
+            const { vault, user1, user2, relayer, deadline } = await loadFixture(deployVaultFixture);
+
+            const sig = await signPermit(vault, user1, user2.address, 1n, deadline);
+            await vault.permit(user1.address, user2.address, 1n, deadline, sig.v, sig.r, sig.s);
+            await expect(vault.permit(user1.address, user2.address, 1n, deadline, sig.v, sig.r, sig.s))
+                .to.be.revertedWithCustomError(vault, "PermitValidationFailed")
+                .withArgs(user1.address, deadline, "invalid_signature");
+
+            const forged = await signPermit(vault, relayer, user2.address, 1n, deadline);
+            await expect(vault.permit(user1.address, user2.address, 1n, deadline, forged.v, forged.r, forged.s))
+                .to.be.revertedWithCustomError(vault, "PermitValidationFailed");
+
+            const expired = (await time.latest()) - 1;
+            const late = await signPermit(vault, user1, user2.address, 1n, expired);
+            await expect(vault.permit(user1.address, user2.address, 1n, expired, late.v, late.r, late.s))
+                .to.be.revertedWithCustomError(vault, "PermitValidationFailed")
+                .withArgs(user1.address, expired, "permit_expired");
+        });
+
+        it("Should expose the EIP-712 domain separator", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+            const { chainId } = await ethers.provider.getNetwork();
+
+            const expected = ethers.TypedDataEncoder.hashDomain({
+                name: await vault.name(),
+                version: "1",
+                chainId,
+                verifyingContract: await vault.getAddress()
+            });
+            expect(await vault.DOMAIN_SEPARATOR()).to.equal(expected);
+        });
+    });
+
+    describe("Single-Transaction Onboarding", function () {
+        it("Should deposit with an asset permit and no prior approval", async function () {
+            const { vault, baseToken, user1, deadline } = await loadFixture(deployVaultFixture);
+            const assets = ethers.parseEther("1000");
+            const sig = await signPermit(baseToken, user1, await vault.getAddress(), assets, deadline);
+
+            await expect(vault.connect(user1).depositWithPermit(assets, user1.address, deadline, sig.v, sig.r, sig.s))
+                .to.emit(vault, "Deposit")
+                .withArgs(user1.address, user1.address, assets, assets);
+            expect(await vault.balanceOf(user1.address)).to.equal(assets);
+        });
+
+        it("Should still deposit when the permit was front-run", async function () {
+            const { vault, baseToken, user1, relayer, deadline } = await loadFixture(deployVaultFixture);
+            const vaultAddress = await vault.getAddress();
+            const assets = ethers.parseEther("1000");
+            const sig = await signPermit(baseToken, user1, vaultAddress, assets, deadline);
+
+            await baseToken.connect(relayer).permit(user1.address, vaultAddress, assets, deadline, sig.v, sig.r, sig.s);
+            await vault.connect(user1).depositWithPermit(assets, user1.address, deadline, sig.v, sig.r, sig.s);
+            expect(await vault.balanceOf(user1.address)).to.equal(assets);
+        });
+
+        it("Should fail without a valid permit or allowance", async function () {
+            const { vault, baseToken, user1, user2, deadline } = await loadFixture(deployVaultFixture);
+            const assets = ethers.parseEther("1000");
+            const sig = await signPermit(baseToken, user2, await vault.getAddress(), assets, deadline);
+
+            await expect(vault.connect(user1).depositWithPermit(assets, user1.address, deadline, sig.v, sig.r, sig.s))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+        });
+
+        it("Should mint with an asset permit bounded by maxAssets", async function () {
+            const { vault, baseToken, admin, user1 } = await loadFixture(deployVaultFixture);
+            const vaultAddress = await vault.getAddress();
+
+            // Move the NAV so shares cost more than one asset each
+            await vault.connect(admin).grantRole(await vault.ORACLE_ROLE(), admin.address);
+            await time.increase(6 * 60 * 60 + 1);
+            await vault.connect(admin).updateNAV(ethers.parseEther("1.1"), 0);
+
+            const shares = ethers.parseEther("100");
+            const maxAssets = ethers.parseEther("110");
+            const deadline = (await time.latest()) + 3600;
+            const sig = await signPermit(baseToken, user1, vaultAddress, maxAssets, deadline);
+
+            await expect(
+                vault.connect(user1).mintWithPermit(shares, user1.address, maxAssets - 1n, deadline, sig.v, sig.r, sig.s)
+            ).to.be.revertedWith("Mint exceeds permitted assets");
+
+            await vault.connect(user1).mintWithPermit(shares, user1.address, maxAssets, deadline, sig.v, sig.r, sig.s);
+            expect(await vault.balanceOf(user1.address)).to.equal(shares);
+            expect(await baseToken.balanceOf(vaultAddress)).to.equal(maxAssets);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Asynchronous Redemption Queue", function () {
+    async function deployVaultFixture() {
+        const [, admin, oracle, treasury, user1, user2, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { ORACLE_ROLE: [oracle], TREASURY_ROLE: [treasury] },
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+        await baseToken.mint(treasury.address, ethers.parseEther("10000"));
+        await baseToken.connect(treasury).approve(await vault.getAddress(), ethers.MaxUint256);
+
+        // Drop the liquidity reserve and move most liquidity out so synchronous withdrawals cannot be served
+        await vault.connect(admin).setMinReserveRatio(0);
+        await time.increase(2 * 24 * 60 * 60);
+        await vault.connect(admin).executeParameterChange(await vault.PARAM_MIN_RESERVE_RATIO());
+        await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("1800"));
+        await TestHelpers.passWithdrawalCooldown();
+
+        return { vault, baseToken, admin, oracle, treasury, user1, user2, unauthorized };
+    }
+
+    describe("Requesting", function () {
+        it("Should lock shares and record a pending request", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("500");
+
+            await expect(vault.connect(user1).requestRedeem(shares, user1.address, user1.address))
+                .to.emit(vault, "RedeemRequest")
+                .withArgs(user1.address, user1.address, 0, user1.address, shares);
+
+            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseEther("500"));
+            expect(await vault.balanceOf(await vault.getAddress())).to.equal(shares);
+            expect(await vault.pendingRedeemRequest(0, user1.address)).to.equal(shares);
+            expect(await vault.totalPendingRedeemShares()).to.equal(shares);
+        });
+
+        it("Should require allowance when requesting on behalf of an owner", async function () {
+            const { vault, user1, user2 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("100");
+
+            await expect(vault.connect(user2).requestRedeem(shares, user2.address, user1.address))
+                .to.be.revertedWith("ERC20: insufficient allowance");
+
+            await vault.connect(user1).approve(user2.address, shares);
+            await vault.connect(user2).requestRedeem(shares, user2.address, user1.address);
+            expect(await vault.pendingRedeemRequest(0, user2.address)).to.equal(shares);
+        });
+
+        it("Should reject requests during the deposit cooldown", async function () {
+            const { vault, baseToken, user1 } = await loadFixture(deployVaultFixture);
+
+            await baseToken.mint(user1.address, ethers.parseEther("100"));
+            await vault.connect(user1).deposit(ethers.parseEther("100"), user1.address);
+
+            await expect(vault.connect(user1).requestRedeem(ethers.parseEther("100"), user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "WithdrawalValidationFailed");
+        });
+
+        it("Should reject zero share requests", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(user1).requestRedeem(0, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "RedeemRequestInvalid")
+                .withArgs(user1.address, 0, "invalid_redeem_request");
+        });
+    });
+
+    describe("Fulfilment and Claims", function () {
+        it("Should fulfil at the NAV in force at fulfilment time", async function () {
+            const { vault, oracle, treasury, user1 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("500");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+
+            // NAV rises 10% after the request
+            await time.increase(6 * 60 * 60 + 1);
+            await vault.connect(oracle).updateNAV(ethers.parseEther("1.1"), ethers.parseEther("2100"));
+
+            await vault.connect(treasury).depositFromTreasury(ethers.parseEther("1000"), 0, false);
+
+            const expectedAssets = ethers.parseEther("550");
+            await expect(vault.connect(treasury).fulfillRedeem(user1.address, shares))
+                .to.emit(vault, "RedeemRequestFulfilled")
+                .withArgs(user1.address, shares, expectedAssets, ethers.parseEther("1.1"));
+
+            expect(await vault.pendingRedeemRequest(0, user1.address)).to.equal(0);
+            expect(await vault.claimableRedeemRequest(0, user1.address)).to.equal(shares);
+            expect(await vault.claimableRedeemAssets(user1.address)).to.equal(expectedAssets);
+            expect(await vault.totalAssetsManaged()).to.equal(ethers.parseEther("1550"));
+            expect(await vault.balanceOf(await vault.getAddress())).to.equal(0);
+        });
+
+        it("Should not fulfil without sufficient liquidity", async function () {
+            const { vault, treasury, user1 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("500");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+
+            await expect(vault.connect(treasury).fulfillRedeem(user1.address, shares))
+                .to.be.revertedWithCustomError(vault, "WithdrawalValidationFailed")
+                .withArgs(user1.address, shares, shares, "insufficient_vault_liquidity");
+        });
+
+        it("Should only allow the treasury role to fulfil", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).requestRedeem(ethers.parseEther("100"), user1.address, user1.address);
+
+            await expect(vault.connect(user1).fulfillRedeem(user1.address, ethers.parseEther("100")))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+
+        it("Should reserve fulfilled assets from other outflows", async function () {
+            const { vault, treasury, user1 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("150");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(treasury).fulfillRedeem(user1.address, shares);
+
+            // Only 50 of the 200 on-hand tokens remain unreserved
+            expect(await vault.totalClaimableRedeemAssets()).to.equal(shares);
+            await expect(vault.connect(treasury).withdrawToTreasury(ethers.parseEther("51")))
+                .to.be.revertedWith("Insufficient balance");
+
+            const [vaultBalance] = await vault.getAssetAllocation();
+            expect(vaultBalance).to.equal(ethers.parseEther("50"));
+        });
+
+        it("Should let the controller claim in parts", async function () {
+            const { vault, baseToken, treasury, user1, user2 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("100");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(treasury).fulfillRedeem(user1.address, shares);
+
+            const balanceBefore = await baseToken.balanceOf(user2.address);
+            await expect(vault.connect(user1).claimRedeem(ethers.parseEther("40"), user2.address, user1.address))
+                .to.emit(vault, "RedeemClaimed")
+                .withArgs(user1.address, user2.address, ethers.parseEther("40"), ethers.parseEther("40"));
+            expect(await baseToken.balanceOf(user2.address)).to.equal(balanceBefore + ethers.parseEther("40"));
+
+            await vault.connect(user1).claimRedeem(ethers.parseEther("60"), user1.address, user1.address);
+            expect(await vault.claimableRedeemRequest(0, user1.address)).to.equal(0);
+            expect(await vault.claimableRedeemAssets(user1.address)).to.equal(0);
+            expect(await vault.totalClaimableRedeemAssets()).to.equal(0);
+        });
+
+        it("Should reject claims from anyone but the controller", async function () {
+            const { vault, treasury, user1, unauthorized } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("100");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(treasury).fulfillRedeem(user1.address, shares);
+
+            await expect(vault.connect(unauthorized).claimRedeem(shares, unauthorized.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "RedeemRequestInvalid")
+                .withArgs(user1.address, shares, "caller_not_controller");
+
+            await expect(vault.connect(user1).claimRedeem(shares + 1n, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "RedeemRequestInvalid")
+                .withArgs(user1.address, shares + 1n, "exceeds_claimable_request");
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Minimum Liquidity Reserve", function () {
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+    const LENDING = ethers.encodeBytes32String("lending");
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, lending, user1, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { TREASURY_ROLE: [treasury] },
+            users: [user1],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("10000")
+        });
+
+        await vault.connect(admin).addStrategy(LENDING, lending.address, 10000);
+        await time.increase(TWO_DAYS);
+
+        return { vault, baseToken, admin, treasury, user1, unauthorized };
+    }
+
+    describe("Configuration", function () {
+        it("Should start with a 20% reserve", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.minReserveRatio()).to.equal(2000);
+            const [deployableAssets, requiredReserve] = await vault.getDeployableAssets();
+            expect(requiredReserve).to.equal(ethers.parseEther("2000"));
+            expect(deployableAssets).to.equal(ethers.parseEther("8000"));
+        });
+
+        it("Should change the reserve ratio through the parameter timelock", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setMinReserveRatio(3000);
+            expect(await vault.minReserveRatio()).to.equal(2000);
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_MIN_RESERVE_RATIO()))
+                .to.emit(vault, "MinReserveRatioUpdated")
+                .withArgs(2000, 3000);
+
+            const [deployableAssets] = await vault.getDeployableAssets();
+            expect(deployableAssets).to.equal(ethers.parseEther("7000"));
+        });
+
+        it("Should enforce reserve ratio bounds and access", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setMinReserveRatio(10001))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("minReserveRatio", 10001, 0, 10000, "reserve_ratio_exceeds_maximum");
+            await expect(vault.connect(unauthorized).setMinReserveRatio(1000))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Enforcement", function () {
+        it("Should stop treasury withdrawals that breach the reserve", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("5000"));
+            await expect(vault.connect(treasury).withdrawToTreasury(ethers.parseEther("3001")))
+                .to.be.revertedWithCustomError(vault, "InsufficientReserveRatio")
+                .withArgs(ethers.parseEther("3001"), ethers.parseEther("3000"), ethers.parseEther("2000"));
+
+            await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("3000"));
+            const [deployableAssets] = await vault.getDeployableAssets();
+            expect(deployableAssets).to.equal(0);
+        });
+
+        it("Should count strategy and treasury withdrawals against the same reserve", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(treasury).withdrawToStrategy(LENDING, ethers.parseEther("6000"));
+            await expect(vault.connect(treasury).withdrawToTreasury(ethers.parseEther("2001")))
+                .to.be.revertedWithCustomError(vault, "InsufficientReserveRatio");
+            await expect(vault.connect(treasury).withdrawToStrategy(LENDING, ethers.parseEther("2001")))
+                .to.be.revertedWithCustomError(vault, "InsufficientReserveRatio");
+        });
+
+        it("Should keep the reserve available for user withdrawals", async function () {
+            const { vault, baseToken, treasury, user1 } = await loadFixture(deployVaultFixture);
+
+            const [deployableAssets] = await vault.getDeployableAssets();
+            await vault.connect(treasury).withdrawToTreasury(deployableAssets);
+
+            await vault.connect(user1).withdraw(ethers.parseEther("1000"), user1.address, user1.address);
+            expect(await baseToken.balanceOf(user1.address)).to.equal(ethers.parseEther("1000"));
+        });
+    });
+});
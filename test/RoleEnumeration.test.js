@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("Role Enumeration", function () {
+    async function deployVaultFixture() {
+        const [deployer, admin, treasury, oracle, pauser, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: []
+        });
+
+        return { vault, baseToken, deployer, admin, oracle, pauser, unauthorized };
+    }
+
+    describe("Vault", function () {
+        it("Should list the holders granted at initialization", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            for (const role of ["ADMIN_ROLE", "ORACLE_ROLE", "TREASURY_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"]) {
+                const roleId = await vault[role]();
+                expect(await vault.getRoleMemberCount(roleId)).to.equal(1);
+                expect(await vault.getRoleMember(roleId, 0)).to.equal(admin.address);
+            }
+        });
+
+        it("Should track grants, revocations and renunciations", async function () {
+            const { vault, admin, oracle, pauser } = await loadFixture(deployVaultFixture);
+            const ORACLE_ROLE = await vault.ORACLE_ROLE();
+
+            await vault.connect(admin).grantRole(ORACLE_ROLE, oracle.address);
+            await vault.connect(admin).grantRole(ORACLE_ROLE, pauser.address);
+            expect(await vault.getRoleMembers(ORACLE_ROLE)).to.deep.equal([
+                admin.address,
+                oracle.address,
+                pauser.address
+            ]);
+
+            await vault.connect(admin).revokeRole(ORACLE_ROLE, admin.address);
+            await vault.connect(pauser).renounceRole(ORACLE_ROLE, pauser.address);
+            expect(await vault.getRoleMemberCount(ORACLE_ROLE)).to.equal(1);
+            expect(await vault.getRoleMembers(ORACLE_ROLE)).to.deep.equal([oracle.address]);
+        });
+
+        it("Should advertise the enumerable access control interface", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            // IAccessControlEnumerable and IAccessControl interface ids
+            expect(await vault.supportsInterface("0x5a05180f")).to.be.true;
+            expect(await vault.supportsInterface("0x7965db0b")).to.be.true;
+            expect(await vault.supportsInterface("0xffffffff")).to.be.false;
+        });
+    });
+
+    describe("Migration", function () {
+        async function deployLegacyTokenFixture() {
+            const [deployer, minter, other] = await ethers.getSigners();
+
+            const LegacyBaseToken = await ethers.getContractFactory("LegacyBaseToken");
+            const token = await upgrades.deployProxy(
+                LegacyBaseToken,
+                ["Base Token", "BT", deployer.address],
+                { initializer: "initialize" }
+            );
+            await token.grantRole(await token.MINTER_ROLE(), minter.address);
+            await token.mint(minter.address, ethers.parseEther("1000"));
+
+            return { token, deployer, minter, other };
+        }
+
+        it("Should keep balances and grants when upgrading a deployed token", async function () {
+            const { token, minter } = await loadFixture(deployLegacyTokenFixture);
+
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            const upgraded = await upgrades.upgradeProxy(await token.getAddress(), BaseToken);
+            const MINTER_ROLE = await upgraded.MINTER_ROLE();
+
+            expect(await upgraded.balanceOf(minter.address)).to.equal(ethers.parseEther("1000"));
+            expect(await upgraded.hasRole(MINTER_ROLE, minter.address)).to.be.true;
+
+            // Grants made before the upgrade are not enumerated until synced
+            expect(await upgraded.getRoleMemberCount(MINTER_ROLE)).to.equal(0);
+        });
+
+        it("Should backfill pre-upgrade holders through syncRoleMembers", async function () {
+            const { token, deployer, minter, other } = await loadFixture(deployLegacyTokenFixture);
+
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            const upgraded = await upgrades.upgradeProxy(await token.getAddress(), BaseToken);
+            const MINTER_ROLE = await upgraded.MINTER_ROLE();
+
+            await expect(upgraded.connect(other).syncRoleMembers(MINTER_ROLE, [minter.address]))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+
+            // Accounts without the role are skipped
+            const candidates = [deployer.address, minter.address, other.address];
+            await expect(upgraded.syncRoleMembers(MINTER_ROLE, candidates))
+                .to.emit(upgraded, "RoleMembersSynced")
+                .withArgs(MINTER_ROLE, 2);
+            expect(await upgraded.getRoleMembers(MINTER_ROLE)).to.deep.equal([deployer.address, minter.address]);
+
+            // Repeating the sync is harmless, later changes are tracked directly
+            await upgraded.syncRoleMembers(MINTER_ROLE, candidates);
+            await upgraded.revokeRole(MINTER_ROLE, minter.address);
+            expect(await upgraded.getRoleMembers(MINTER_ROLE)).to.deep.equal([deployer.address]);
+        });
+    });
+});
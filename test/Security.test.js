@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("Security Tests", function () {
     let vault, baseToken;
@@ -21,6 +22,7 @@ describe("Security Tests", function () {
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -33,7 +35,7 @@ describe("Security Tests", function () {
             {
                 initializer: "initialize",
                 kind: "uups",
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             }
         );
         await vault.waitForDeployment();
@@ -216,8 +218,15 @@ describe("Security Tests", function () {
 
             // Perform upgrade (in real scenario, this would be through proper governance)
             const ERC4626YieldVaultV2 = await ethers.getContractFactory("ERC4626YieldVault");
+            const modules = await TestHelpers.deployVaultModules();
+            const newImplementation = await upgrades.prepareUpgrade(vault, ERC4626YieldVaultV2, {
+                constructorArgs: [modules]
+            });
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await time.increase(2 * 24 * 60 * 60);
+
             const upgraded = await upgrades.upgradeProxy(vault, ERC4626YieldVaultV2, {
-                unsafeAllow: ["constructor"]
+                constructorArgs: [modules]
             });
 
             // State should be preserved
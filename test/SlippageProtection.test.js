@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Slippage-Protected Entry Points", function () {
+    async function deployVaultFixture() {
+        const [, admin, treasury, oracle, user1, user2] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { ORACLE_ROLE: [oracle] },
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000")
+        });
+
+        await vault.connect(user1).deposit(ethers.parseEther("1000"), user1.address);
+        await TestHelpers.passWithdrawalCooldown();
+
+        return { vault, baseToken, oracle, user1, user2 };
+    }
+
+    // The oracle lands a NAV update between quoting and execution
+    async function frontRunNAV(vault, baseToken, oracle, nav) {
+        const vaultBalance = await baseToken.balanceOf(await vault.getAddress());
+        await vault.connect(oracle).updateNAV(ethers.parseEther(nav), vaultBalance);
+        await time.increase(60 * 60 + 1);
+    }
+
+    async function deadline() {
+        return (await time.latest()) + 600;
+    }
+
+    describe("Deposits", function () {
+        it("Should revert a deposit minting fewer shares than quoted", async function () {
+            const { vault, baseToken, oracle, user2 } = await loadFixture(deployVaultFixture);
+            const assets = ethers.parseEther("1100");
+            const quoted = await vault.previewDeposit(assets);
+
+            await frontRunNAV(vault, baseToken, oracle, "1.1");
+            const actual = await vault.previewDeposit(assets);
+
+            await expect(vault.connect(user2).depositWithMinShares(assets, user2.address, quoted, await deadline()))
+                .to.be.revertedWithCustomError(vault, "SlippageProtectionFailed")
+                .withArgs(user2.address, quoted, actual, "insufficient_shares_out");
+
+            await vault.connect(user2).depositWithMinShares(assets, user2.address, actual, await deadline());
+            expect(await vault.balanceOf(user2.address)).to.equal(actual);
+        });
+
+        it("Should revert a mint pulling more assets than quoted", async function () {
+            const { vault, baseToken, oracle, user2 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("1000");
+            const quoted = await vault.previewMint(shares);
+
+            await frontRunNAV(vault, baseToken, oracle, "1.1");
+            const actual = await vault.previewMint(shares);
+
+            await expect(vault.connect(user2).mintWithMaxAssets(shares, user2.address, quoted, await deadline()))
+                .to.be.revertedWithCustomError(vault, "SlippageProtectionFailed")
+                .withArgs(user2.address, quoted, actual, "excessive_assets_in");
+
+            await vault.connect(user2).mintWithMaxAssets(shares, user2.address, actual, await deadline());
+            expect(await vault.balanceOf(user2.address)).to.equal(shares);
+        });
+    });
+
+    describe("Withdrawals", function () {
+        it("Should revert a withdrawal burning more shares than quoted", async function () {
+            const { vault, baseToken, oracle, user1 } = await loadFixture(deployVaultFixture);
+            const assets = ethers.parseEther("95");
+            const quoted = await vault.previewWithdraw(assets);
+
+            await frontRunNAV(vault, baseToken, oracle, "0.95");
+            const actual = await vault.previewWithdraw(assets);
+
+            await expect(
+                vault.connect(user1).withdrawWithMaxShares(assets, user1.address, user1.address, quoted, await deadline())
+            ).to.be.revertedWithCustomError(vault, "SlippageProtectionFailed")
+                .withArgs(user1.address, quoted, actual, "excessive_shares_in");
+
+            await vault.connect(user1).withdrawWithMaxShares(assets, user1.address, user1.address, actual, await deadline());
+        });
+
+        it("Should revert a redemption paying fewer assets than quoted", async function () {
+            const { vault, baseToken, oracle, user1 } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("100");
+            const quoted = await vault.previewRedeem(shares);
+
+            await frontRunNAV(vault, baseToken, oracle, "0.95");
+            const actual = await vault.previewRedeem(shares);
+
+            await expect(
+                vault.connect(user1).redeemWithMinAssets(shares, user1.address, user1.address, quoted, await deadline())
+            ).to.be.revertedWithCustomError(vault, "SlippageProtectionFailed")
+                .withArgs(user1.address, quoted, actual, "insufficient_assets_out");
+
+            const balanceBefore = await baseToken.balanceOf(user1.address);
+            await vault.connect(user1).redeemWithMinAssets(shares, user1.address, user1.address, actual, await deadline());
+            expect(await baseToken.balanceOf(user1.address)).to.equal(balanceBefore + actual);
+        });
+    });
+
+    describe("Deadlines", function () {
+        it("Should revert every entry point once the deadline has passed", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+            const expired = (await time.latest()) - 1;
+            const one = ethers.parseEther("1");
+
+            await expect(vault.connect(user1).depositWithMinShares(one, user1.address, 0, expired))
+                .to.be.revertedWithCustomError(vault, "SlippageProtectionFailed");
+            await expect(vault.connect(user1).mintWithMaxAssets(one, user1.address, one, expired))
+                .to.be.revertedWithCustomError(vault, "SlippageProtectionFailed");
+            await expect(vault.connect(user1).withdrawWithMaxShares(one, user1.address, user1.address, one, expired))
+                .to.be.revertedWithCustomError(vault, "SlippageProtectionFailed");
+            await expect(vault.connect(user1).redeemWithMinAssets(one, user1.address, user1.address, 0, expired))
+                .to.be.revertedWithCustomError(vault, "SlippageProtectionFailed")
+                .withArgs(user1.address, expired, anyValue, "deadline_expired");
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Multi-Strategy Treasury Registry", function () {
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+    const CUSTODIAN = ethers.encodeBytes32String("custodian");
+    const LENDING = ethers.encodeBytes32String("lending");
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, custodian, lending, user1, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { TREASURY_ROLE: [treasury] },
+            users: [user1],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("10000")
+        });
+
+        for (const destination of [treasury, custodian, lending]) {
+            await baseToken.mint(destination.address, ethers.parseEther("1000"));
+            await baseToken.connect(destination).approve(await vault.getAddress(), ethers.MaxUint256);
+        }
+
+        // 30% to the custodian, 20% to the lending strategy
+        await vault.connect(admin).addStrategy(CUSTODIAN, custodian.address, 3000);
+        await vault.connect(admin).addStrategy(LENDING, lending.address, 2000);
+        await time.increase(TWO_DAYS);
+
+        return { vault, baseToken, admin, treasury, custodian, lending, user1, unauthorized };
+    }
+
+    describe("Registry Management", function () {
+        it("Should register strategies with a delayed activation", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+            const id = ethers.encodeBytes32String("new");
+
+            const tx = vault.connect(admin).addStrategy(id, unauthorized.address, 1000);
+            const activeFrom = (await time.latest()) + 1 + TWO_DAYS;
+            await expect(tx)
+                .to.emit(vault, "StrategyAdded")
+                .withArgs(id, unauthorized.address, 1000, activeFrom);
+
+            const strategy = await vault.strategies(id);
+            expect(strategy.destination).to.equal(unauthorized.address);
+            expect(strategy.allocationCap).to.equal(1000);
+            expect(strategy.activeFrom).to.equal(activeFrom);
+        });
+
+        it("Should not send funds to a strategy before activation", async function () {
+            const { vault, admin, treasury, unauthorized } = await loadFixture(deployVaultFixture);
+            const id = ethers.encodeBytes32String("new");
+
+            await vault.connect(admin).addStrategy(id, unauthorized.address, 1000);
+            const { activeFrom } = await vault.strategies(id);
+
+            await expect(vault.connect(treasury).withdrawToStrategy(id, ethers.parseEther("100")))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed")
+                .withArgs(id, ethers.parseEther("100"), activeFrom, "strategy_not_active");
+        });
+
+        it("Should reject duplicate, invalid and unauthorized registrations", async function () {
+            const { vault, admin, custodian, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).addStrategy(CUSTODIAN, custodian.address, 1000))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed")
+                .withArgs(CUSTODIAN, 0, 0, "strategy_already_registered");
+            await expect(vault.connect(admin).addStrategy(await vault.TREASURY_STRATEGY_ID(), custodian.address, 1000))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed");
+            await expect(vault.connect(admin).addStrategy(ethers.encodeBytes32String("x"), custodian.address, 10001))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid")
+                .withArgs("allocationCap", 10001, 1, 10000, "invalid_allocation_cap");
+            await expect(vault.connect(admin).addStrategy(ethers.encodeBytes32String("x"), ethers.ZeroAddress, 1000))
+                .to.be.revertedWith("Strategy cannot be zero address");
+            await expect(vault.connect(unauthorized).addStrategy(ethers.encodeBytes32String("x"), custodian.address, 1))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+
+        it("Should update allocation caps", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setStrategyAllocationCap(LENDING, 2500))
+                .to.emit(vault, "StrategyAllocationCapUpdated")
+                .withArgs(LENDING, 2000, 2500);
+            expect((await vault.strategies(LENDING)).allocationCap).to.equal(2500);
+        });
+
+        it("Should only remove strategies without deployed assets", async function () {
+            const { vault, admin, treasury, custodian } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(treasury).withdrawToStrategy(CUSTODIAN, ethers.parseEther("100"));
+            await expect(vault.connect(admin).removeStrategy(CUSTODIAN))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed")
+                .withArgs(CUSTODIAN, ethers.parseEther("100"), 0, "strategy_has_deployed_assets");
+
+            await vault.connect(treasury).depositFromStrategy(CUSTODIAN, ethers.parseEther("100"));
+            await expect(vault.connect(admin).removeStrategy(CUSTODIAN))
+                .to.emit(vault, "StrategyRemoved")
+                .withArgs(CUSTODIAN, custodian.address);
+
+            const [ids] = await vault.getStrategyAllocations();
+            expect(ids).to.deep.equal([await vault.TREASURY_STRATEGY_ID(), LENDING]);
+        });
+    });
+
+    describe("Strategy Flows", function () {
+        it("Should deploy funds and track them per strategy", async function () {
+            const { vault, baseToken, treasury, custodian, lending } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(treasury).withdrawToStrategy(CUSTODIAN, ethers.parseEther("2000")))
+                .to.emit(vault, "StrategyWithdrawal")
+                .withArgs(CUSTODIAN, custodian.address, ethers.parseEther("2000"), ethers.parseEther("2000"));
+            await vault.connect(treasury).withdrawToStrategy(LENDING, ethers.parseEther("500"));
+
+            expect(await baseToken.balanceOf(custodian.address)).to.equal(ethers.parseEther("3000"));
+            expect(await baseToken.balanceOf(lending.address)).to.equal(ethers.parseEther("1500"));
+            expect((await vault.strategies(CUSTODIAN)).deployed).to.equal(ethers.parseEther("2000"));
+            expect((await vault.strategies(LENDING)).deployed).to.equal(ethers.parseEther("500"));
+        });
+
+        it("Should enforce the allocation cap", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(treasury).withdrawToStrategy(LENDING, ethers.parseEther("1500"));
+            await expect(vault.connect(treasury).withdrawToStrategy(LENDING, ethers.parseEther("501")))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed")
+                .withArgs(LENDING, ethers.parseEther("501"), ethers.parseEther("2000"), "allocation_cap_exceeded");
+        });
+
+        it("Should report returns above principal as yield", async function () {
+            const { vault, treasury, lending } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(treasury).withdrawToStrategy(LENDING, ethers.parseEther("1000"));
+            await expect(vault.connect(treasury).depositFromStrategy(LENDING, ethers.parseEther("1050")))
+                .to.emit(vault, "StrategyDeposit")
+                .withArgs(LENDING, lending.address, ethers.parseEther("1050"), 0, ethers.parseEther("50"));
+        });
+
+        it("Should reject unknown strategies and unauthorized callers", async function () {
+            const { vault, treasury, unauthorized } = await loadFixture(deployVaultFixture);
+            const unknown = ethers.encodeBytes32String("unknown");
+
+            await expect(vault.connect(treasury).withdrawToStrategy(unknown, 1))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed")
+                .withArgs(unknown, 1, 0, "strategy_not_registered");
+            await expect(vault.connect(treasury).depositFromStrategy(await vault.TREASURY_STRATEGY_ID(), 1))
+                .to.be.revertedWithCustomError(vault, "StrategyValidationFailed");
+            await expect(vault.connect(unauthorized).withdrawToStrategy(CUSTODIAN, 1))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Allocation Reporting", function () {
+        it("Should break allocations down per strategy including the legacy treasury", async function () {
+            const { vault, treasury, custodian, lending } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("1000"));
+            await vault.connect(treasury).withdrawToStrategy(CUSTODIAN, ethers.parseEther("2500"));
+            await vault.connect(treasury).depositFromTreasury(ethers.parseEther("400"), 0, false);
+
+            const [ids, destinations, caps, deployed] = await vault.getStrategyAllocations();
+            expect(ids).to.deep.equal([await vault.TREASURY_STRATEGY_ID(), CUSTODIAN, LENDING]);
+            expect(destinations).to.deep.equal([treasury.address, custodian.address, lending.address]);
+            expect(caps).to.deep.equal([10000n, 3000n, 2000n]);
+            expect(deployed).to.deep.equal([ethers.parseEther("600"), ethers.parseEther("2500"), 0n]);
+
+            const allocation = await vault.getAssetAllocation();
+            expect(allocation.vaultBalance).to.equal(ethers.parseEther("6900"));
+            expect(allocation.treasuryDeployed).to.equal(ethers.parseEther("600"));
+            expect(allocation.utilizationRate).to.equal(3100);
+            expect(allocation.strategyIds).to.deep.equal(ids);
+            expect(allocation.strategyDeployed).to.deep.equal(deployed);
+        });
+    });
+});
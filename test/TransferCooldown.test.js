@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Deposit Cooldown on Share Transfers", function () {
+    const COOLDOWN = 24 * 60 * 60;
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, fresh] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000")
+        });
+
+        // user2 holds a seasoned position, user1 deposits fresh
+        await vault.connect(user2).deposit(ethers.parseEther("1000"), user2.address);
+        await time.increase(COOLDOWN + 1);
+        await vault.connect(user1).deposit(ethers.parseEther("1000"), user1.address);
+
+        return { vault, user1, user2, fresh };
+    }
+
+    it("Should carry the sender's cooldown to an address without deposits", async function () {
+        const { vault, user1, fresh } = await loadFixture(deployVaultFixture);
+
+        await vault.connect(user1).transfer(fresh.address, ethers.parseEther("500"));
+
+        expect(await vault.lastDepositTime(fresh.address)).to.equal(await vault.lastDepositTime(user1.address));
+        expect(await vault.canWithdraw(fresh.address)).to.be.false;
+        expect(await vault.maxRedeem(fresh.address)).to.equal(0);
+        await expect(vault.connect(fresh).redeem(ethers.parseEther("500"), fresh.address, fresh.address))
+            .to.be.revertedWith("ERC4626: redeem more than max");
+        expect(await vault.timeUntilWithdrawal(fresh.address)).to.be.closeTo(COOLDOWN, 5);
+
+        await time.increase(COOLDOWN);
+        await vault.connect(fresh).redeem(ethers.parseEther("500"), fresh.address, fresh.address);
+    });
+
+    it("Should delay a seasoned recipient in proportion to the fresh shares received", async function () {
+        const { vault, user1, user2 } = await loadFixture(deployVaultFixture);
+        const seasonedTime = await vault.lastDepositTime(user2.address);
+        const freshTime = await vault.lastDepositTime(user1.address);
+        const balance = await vault.balanceOf(user2.address);
+        const amount = ethers.parseEther("100");
+
+        expect(await vault.canWithdraw(user2.address)).to.be.true;
+        await vault.connect(user1).transfer(user2.address, amount);
+
+        const expected = seasonedTime + (freshTime - seasonedTime) * amount / (balance + amount);
+        expect(await vault.lastDepositTime(user2.address)).to.equal(expected);
+        expect(await vault.canWithdraw(user2.address)).to.be.false;
+        expect(await vault.timeUntilWithdrawal(user2.address)).to.be.greaterThan(0);
+    });
+
+    it("Should not let a dust transfer lock a seasoned holder out", async function () {
+        const { vault, user1, user2 } = await loadFixture(deployVaultFixture);
+        const seasonedTime = await vault.lastDepositTime(user2.address);
+
+        await vault.connect(user1).transfer(user2.address, 1n);
+
+        expect(await vault.lastDepositTime(user2.address)).to.equal(seasonedTime);
+        expect(await vault.canWithdraw(user2.address)).to.be.true;
+        await vault.connect(user2).redeem(ethers.parseEther("500"), user2.address, user2.address);
+    });
+
+    it("Should not shorten the recipient's cooldown when receiving seasoned shares", async function () {
+        const { vault, user1, user2 } = await loadFixture(deployVaultFixture);
+        const user1DepositTime = await vault.lastDepositTime(user1.address);
+
+        await vault.connect(user2).transfer(user1.address, ethers.parseEther("100"));
+
+        expect(await vault.lastDepositTime(user1.address)).to.equal(user1DepositTime);
+        expect(await vault.canWithdraw(user1.address)).to.be.false;
+    });
+
+    it("Should apply to transfers through allowances", async function () {
+        const { vault, user1, user2, fresh } = await loadFixture(deployVaultFixture);
+
+        await vault.connect(user1).approve(user2.address, ethers.parseEther("100"));
+        await vault.connect(user2).transferFrom(user1.address, fresh.address, ethers.parseEther("100"));
+
+        expect(await vault.canWithdraw(fresh.address)).to.be.false;
+    });
+});
@@ -0,0 +1,126 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Share Transfer Restriction", function () {
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1, user2, outsider] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: {},
+            users: [user1, user2],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+        await TestHelpers.passWithdrawalCooldown();
+
+        await vault.connect(admin).addMultipleToWhitelist([user1.address, user2.address]);
+        await vault.connect(admin).setTransferRestrictionEnabled(true);
+
+        return { vault, baseToken, admin, user1, user2, outsider };
+    }
+
+    describe("Configuration", function () {
+        it("Should be configurable separately from deposit gating", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.transferRestrictionEnabled()).to.be.true;
+            expect(await vault.whitelistEnabled()).to.be.false;
+
+            await expect(vault.connect(admin).setTransferRestrictionEnabled(false))
+                .to.emit(vault, "TransferRestrictionStatusChanged")
+                .withArgs(false, admin.address);
+            expect(await vault.transferRestrictionEnabled()).to.be.false;
+        });
+
+        it("Should reject unauthorized configuration", async function () {
+            const { vault, outsider } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(outsider).setTransferRestrictionEnabled(false))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Share Transfers", function () {
+        it("Should allow transfers between whitelisted accounts", async function () {
+            const { vault, user1, user2 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).transfer(user2.address, ethers.parseEther("10"));
+            expect(await vault.balanceOf(user2.address)).to.equal(ethers.parseEther("1010"));
+        });
+
+        it("Should block transfers to and from non-whitelisted accounts", async function () {
+            const { vault, admin, user1, user2, outsider } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(user1).transfer(outsider.address, 1))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(outsider.address, "share_transfer_recipient_not_whitelisted");
+
+            await vault.connect(admin).removeFromWhitelist(user1.address);
+            await expect(vault.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(user1.address, "share_transfer_sender_not_whitelisted");
+        });
+
+        it("Should allow free transfers when the restriction is disabled", async function () {
+            const { vault, admin, user1, outsider } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).setTransferRestrictionEnabled(false);
+            await vault.connect(user1).transfer(outsider.address, 1);
+            expect(await vault.balanceOf(outsider.address)).to.equal(1);
+        });
+
+        it("Should still allow deposits from non-whitelisted receivers when deposit gating is off", async function () {
+            const { vault, baseToken, outsider } = await loadFixture(deployVaultFixture);
+
+            await baseToken.mint(outsider.address, ethers.parseEther("100"));
+            await baseToken.connect(outsider).approve(await vault.getAddress(), ethers.MaxUint256);
+            await vault.connect(outsider).deposit(ethers.parseEther("100"), outsider.address);
+            expect(await vault.balanceOf(outsider.address)).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should let whitelisted holders lock shares for asynchronous redemption", async function () {
+            const { vault, user1 } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(user1).requestRedeem(ethers.parseEther("10"), user1.address, user1.address);
+            expect(await vault.pendingRedeemRequest(0, user1.address)).to.equal(ethers.parseEther("10"));
+        });
+    });
+
+    describe("Withdrawal Receivers", function () {
+        it("Should block withdrawals to non-whitelisted receivers", async function () {
+            const { vault, user1, outsider } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(user1).withdraw(ethers.parseEther("10"), outsider.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(outsider.address, "receiver_not_whitelisted");
+            await expect(vault.connect(user1).redeem(ethers.parseEther("10"), outsider.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+
+            await vault.connect(user1).withdraw(ethers.parseEther("10"), user1.address, user1.address);
+        });
+
+        it("Should block redemption claims to non-whitelisted receivers", async function () {
+            const { vault, admin, user1, outsider } = await loadFixture(deployVaultFixture);
+            const shares = ethers.parseEther("10");
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(admin).fulfillRedeem(user1.address, shares);
+
+            await expect(vault.connect(user1).claimRedeem(shares, outsider.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation")
+                .withArgs(outsider.address, "receiver_not_whitelisted");
+            await vault.connect(user1).claimRedeem(shares, user1.address, user1.address);
+        });
+
+        it("Should apply to batch withdrawal receivers", async function () {
+            const { vault, admin, user1, outsider } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).batchWithdraw([user1.address], [outsider.address], true))
+                .to.be.revertedWithCustomError(vault, "WhitelistViolation");
+        });
+    });
+});
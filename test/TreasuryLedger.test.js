@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Treasury Ledger", function () {
+    async function deployVaultFixture() {
+        const [deployer, admin, treasury, user1, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { TREASURY_ROLE: [treasury] },
+            users: [user1],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("10000")
+        });
+        await TestHelpers.passWithdrawalCooldown();
+
+        // Yield earned off-chain by the treasury
+        await baseToken.mint(treasury.address, ethers.parseEther("500"));
+        await baseToken.connect(treasury).approve(await vault.getAddress(), ethers.MaxUint256);
+        await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("4000"));
+
+        return { vault, baseToken, admin, treasury, user1, unauthorized };
+    }
+
+    describe("Principal and Yield", function () {
+        it("Should track outstanding principal across deployments and returns", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(ethers.parseEther("4000"));
+            await vault.connect(treasury).withdrawToTreasury(ethers.parseEther("1000"));
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(ethers.parseEther("5000"));
+
+            await expect(vault.connect(treasury).depositFromTreasury(ethers.parseEther("1500"), 0, false))
+                .to.emit(vault, "TreasuryReturnRecorded")
+                .withArgs(
+                    treasury.address,
+                    ethers.parseEther("1500"),
+                    0,
+                    ethers.parseEther("6500"),
+                    ethers.parseEther("3500")
+                );
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(ethers.parseEther("3500"));
+        });
+
+        it("Should record yield returned on top of principal", async function () {
+            const { vault, baseToken, treasury } = await loadFixture(deployVaultFixture);
+            const vaultAddress = await vault.getAddress();
+
+            const principal = ethers.parseEther("4000");
+            const yieldAmount = ethers.parseEther("300");
+            await expect(vault.connect(treasury).depositFromTreasury(principal, yieldAmount, true))
+                .to.emit(vault, "TreasuryReturnRecorded")
+                .withArgs(treasury.address, principal, yieldAmount, ethers.parseEther("10300"), 0)
+                .and.to.emit(vault, "TreasuryDeposit")
+                .withArgs(treasury.address, ethers.parseEther("4300"), ethers.parseEther("10300"), yieldAmount)
+                .and.not.to.emit(vault, "TreasuryLossRecorded");
+            expect(await baseToken.balanceOf(vaultAddress)).to.equal(ethers.parseEther("10300"));
+
+            await vault.connect(treasury).depositFromTreasury(0, ethers.parseEther("200"), false);
+            expect(await vault.totalRealizedYield()).to.equal(ethers.parseEther("500"));
+            expect(await vault.totalRealizedLoss()).to.equal(0);
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(0);
+        });
+
+        it("Should reject returns of more principal than is outstanding", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(treasury).depositFromTreasury(ethers.parseEther("4001"), 0, false))
+                .to.be.revertedWithCustomError(vault, "TreasuryReturnInvalid")
+                .withArgs(ethers.parseEther("4001"), ethers.parseEther("4000"), "principal_exceeds_outstanding");
+            await expect(vault.connect(treasury).depositFromTreasury(0, 0, false))
+                .to.be.revertedWith("Zero amount");
+        });
+    });
+
+    describe("Single-Amount Returns", function () {
+        it("Should repay principal first and record the excess as yield", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+            const depositFromTreasury = vault.connect(treasury)["depositFromTreasury(uint256)"];
+
+            await depositFromTreasury(ethers.parseEther("1000"));
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(ethers.parseEther("3000"));
+            expect(await vault.totalRealizedYield()).to.equal(0);
+
+            const newBalance = ethers.parseEther("10250");
+            const yieldAmount = ethers.parseEther("250");
+            await expect(depositFromTreasury(ethers.parseEther("3250")))
+                .to.emit(vault, "TreasuryDeposit")
+                .withArgs(treasury.address, ethers.parseEther("3250"), newBalance, yieldAmount)
+                .and.to.emit(vault, "TreasuryReturnRecorded")
+                .withArgs(treasury.address, ethers.parseEther("3000"), yieldAmount, newBalance, 0)
+                .and.not.to.emit(vault, "TreasuryLossRecorded");
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(0);
+            expect(await vault.totalRealizedYield()).to.equal(ethers.parseEther("250"));
+        });
+
+        it("Should keep the original TreasuryDeposit event signature", async function () {
+            const { vault } = await loadFixture(deployVaultFixture);
+
+            expect(vault.interface.getEvent("TreasuryDeposit").topicHash)
+                .to.equal(ethers.id("TreasuryDeposit(address,uint256,uint256,uint256)"));
+            expect(vault.interface.getFunction("depositFromTreasury(uint256)").selector)
+                .to.equal(ethers.id("depositFromTreasury(uint256)").slice(0, 10));
+        });
+    });
+
+    describe("Asset Allocation", function () {
+        it("Should report treasury principal from the ledger", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            const treasuryVault = vault.connect(treasury);
+            await treasuryVault.depositFromTreasury(ethers.parseEther("1000"), ethers.parseEther("500"), false);
+
+            // Returned yield sits in the vault without changing the outstanding principal
+            const allocation = await vault.getAssetAllocation();
+            expect(allocation.vaultBalance).to.equal(ethers.parseEther("7500"));
+            expect(allocation.treasuryDeployed).to.equal(ethers.parseEther("3000"));
+            expect(allocation.totalManaged).to.equal(ethers.parseEther("10000"));
+            expect(allocation.utilizationRate).to.equal(3000);
+        });
+    });
+
+    describe("Losses", function () {
+        it("Should write off the principal shortfall at final settlement", async function () {
+            const { vault, treasury } = await loadFixture(deployVaultFixture);
+
+            const treasuryVault = vault.connect(treasury);
+            await treasuryVault.depositFromTreasury(ethers.parseEther("1000"), ethers.parseEther("50"), false);
+            expect(await vault.totalRealizedLoss()).to.equal(0);
+
+            await expect(treasuryVault.depositFromTreasury(ethers.parseEther("2800"), 0, true))
+                .to.emit(vault, "TreasuryLossRecorded")
+                .withArgs(treasury.address, ethers.parseEther("200"), ethers.parseEther("200"))
+                .and.to.emit(vault, "TreasuryReturnRecorded")
+                .withArgs(treasury.address, ethers.parseEther("2800"), 0, ethers.parseEther("9850"), 0);
+
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(0);
+            expect(await vault.totalRealizedYield()).to.equal(ethers.parseEther("50"));
+            expect(await vault.totalRealizedLoss()).to.equal(ethers.parseEther("200"));
+        });
+
+        it("Should allow writing off a deployment with nothing returned", async function () {
+            const { vault, treasury, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(unauthorized).depositFromTreasury(0, 0, true))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+
+            await expect(vault.connect(treasury).depositFromTreasury(0, 0, true))
+                .to.emit(vault, "TreasuryLossRecorded")
+                .withArgs(treasury.address, ethers.parseEther("4000"), ethers.parseEther("4000"))
+                .and.not.to.emit(vault, "TreasuryDeposit");
+            expect(await vault.treasuryPrincipalOutstanding()).to.equal(0);
+        });
+    });
+
+    describe("Upgraded Vaults", function () {
+        async function deployLegacyVaultFixture() {
+            const [deployer, admin, treasury, user1, unauthorized] = await ethers.getSigners();
+
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            const baseToken = await upgrades.deployProxy(
+                BaseToken,
+                ["Base Token", "BT", deployer.address],
+                { initializer: "initialize" }
+            );
+
+            const LegacyVault = await ethers.getContractFactory("LegacyERC4626YieldVault", admin);
+            const vault = await upgrades.deployProxy(
+                LegacyVault,
+                [await baseToken.getAddress(), "Yield Vault Token", "YVT", treasury.address, admin.address],
+                { initializer: "initialize" }
+            );
+
+            await baseToken.mint(user1.address, ethers.parseEther("10000"));
+            await baseToken.connect(user1).approve(await vault.getAddress(), ethers.MaxUint256);
+            await vault.connect(user1).deposit(ethers.parseEther("10000"), user1.address);
+            await baseToken.mint(treasury.address, ethers.parseEther("500"));
+            await baseToken.connect(treasury).approve(await vault.getAddress(), ethers.MaxUint256);
+
+            // Deployed before the ledger existed, so nothing records this principal
+            await vault.connect(admin).withdrawToTreasury(ethers.parseEther("4000"));
+
+            return { vault, baseToken, admin, treasury, unauthorized };
+        }
+
+        it("Should seed the outstanding principal during the upgrade", async function () {
+            const { vault, admin, treasury } = await loadFixture(deployLegacyVaultFixture);
+
+            const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault", admin);
+            const upgraded = await upgrades.upgradeProxy(await vault.getAddress(), ERC4626YieldVault, {
+                constructorArgs: [await TestHelpers.deployVaultModules()],
+                call: { fn: "initializeTreasuryLedger", args: [ethers.parseEther("4000")] }
+            });
+            await upgraded.connect(admin).grantRole(await upgraded.TREASURY_ROLE(), treasury.address);
+
+            expect(await upgraded.treasuryPrincipalOutstanding()).to.equal(ethers.parseEther("4000"));
+            await upgraded.connect(treasury).depositFromTreasury(ethers.parseEther("4000"), ethers.parseEther("200"), true);
+            expect(await upgraded.treasuryPrincipalOutstanding()).to.equal(0);
+            expect(await upgraded.totalRealizedYield()).to.equal(ethers.parseEther("200"));
+            expect(await upgraded.totalRealizedLoss()).to.equal(0);
+        });
+
+        it("Should only let an admin seed the principal once", async function () {
+            const { vault, admin, treasury, unauthorized } = await loadFixture(deployLegacyVaultFixture);
+
+            const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault", admin);
+            const upgraded = await upgrades.upgradeProxy(await vault.getAddress(), ERC4626YieldVault, {
+                constructorArgs: [await TestHelpers.deployVaultModules()]
+            });
+            await upgraded.connect(admin).grantRole(await upgraded.TREASURY_ROLE(), treasury.address);
+
+            // Returns cannot be split until the principal is seeded
+            await expect(upgraded.connect(treasury).depositFromTreasury(ethers.parseEther("1000"), 0, false))
+                .to.be.revertedWithCustomError(upgraded, "TreasuryReturnInvalid")
+                .withArgs(ethers.parseEther("1000"), 0, "principal_exceeds_outstanding");
+
+            await expect(upgraded.connect(unauthorized).initializeTreasuryLedger(ethers.parseEther("4000")))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+            await expect(upgraded.connect(admin).initializeTreasuryLedger(ethers.parseEther("10001")))
+                .to.be.revertedWithCustomError(upgraded, "AdminParameterInvalid")
+                .withArgs(
+                    "treasuryPrincipal",
+                    ethers.parseEther("10001"),
+                    0,
+                    ethers.parseEther("10000"),
+                    "principal_exceeds_managed_assets"
+                );
+
+            await expect(upgraded.connect(admin).initializeTreasuryLedger(ethers.parseEther("4000")))
+                .to.emit(upgraded, "TreasuryPrincipalSeeded")
+                .withArgs(admin.address, ethers.parseEther("4000"), ethers.parseEther("4000"));
+            await expect(upgraded.connect(admin).initializeTreasuryLedger(ethers.parseEther("4000")))
+                .to.be.revertedWith("Initializable: contract is already initialized");
+            await upgraded.connect(treasury).depositFromTreasury(ethers.parseEther("1000"), 0, false);
+            expect(await upgraded.treasuryPrincipalOutstanding()).to.equal(ethers.parseEther("3000"));
+        });
+    });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Delayed Upgrades", function () {
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+
+    async function deployVaultFixture() {
+        const [admin, treasury, guardian, user1, unauthorized] = await ethers.getSigners();
+
+        const { vault, baseToken } = await TestHelpers.deployFullEnvironment({
+            admin,
+            treasury,
+            roles: { GUARDIAN_ROLE: [guardian] },
+            users: [user1],
+            mintAmount: ethers.parseEther("10000"),
+            depositAmount: ethers.parseEther("1000")
+        });
+
+        const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const newImplementation = await upgrades.prepareUpgrade(vault, ERC4626YieldVault, {
+            constructorArgs: [await TestHelpers.deployVaultModules()]
+        });
+
+        return { vault, baseToken, admin, guardian, user1, unauthorized, newImplementation };
+    }
+
+    describe("Announcement", function () {
+        it("Should record the implementation, code hash and ETA", async function () {
+            const { vault, admin, newImplementation } = await loadFixture(deployVaultFixture);
+            const codeHash = ethers.keccak256(await ethers.provider.getCode(newImplementation));
+
+            const tx = vault.connect(admin).announceUpgrade(newImplementation);
+            const executableAt = (await time.latest()) + 1 + TWO_DAYS;
+            await expect(tx)
+                .to.emit(vault, "UpgradeAnnounced")
+                .withArgs(newImplementation, codeHash, executableAt, admin.address);
+
+            const pending = await vault.pendingUpgrade();
+            expect(pending.implementation).to.equal(newImplementation);
+            expect(pending.codeHash).to.equal(codeHash);
+            expect(pending.executableAt).to.equal(executableAt);
+        });
+
+        it("Should reject announcing an address without code", async function () {
+            const { vault, admin, unauthorized } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).announceUpgrade(unauthorized.address))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized")
+                .withArgs(unauthorized.address, 0, "implementation_not_contract");
+        });
+
+        it("Should only allow the upgrader role to announce", async function () {
+            const { vault, unauthorized, newImplementation } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(unauthorized).announceUpgrade(newImplementation))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Execution", function () {
+        it("Should refuse implementations that were not announced", async function () {
+            const { vault, baseToken, admin, newImplementation } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized")
+                .withArgs(newImplementation, 0, "implementation_not_announced");
+
+            // Announcing a different contract does not authorize this one
+            await vault.connect(admin).announceUpgrade(await baseToken.getAddress());
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized")
+                .withArgs(newImplementation, anyValue, "implementation_not_announced");
+        });
+
+        it("Should refuse the upgrade before the delay has passed", async function () {
+            const { vault, admin, newImplementation } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            const { executableAt } = await vault.pendingUpgrade();
+
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized")
+                .withArgs(newImplementation, executableAt, "delay_not_elapsed");
+        });
+
+        it("Should upgrade once the delay has passed and consume the announcement", async function () {
+            const { vault, admin, user1, newImplementation } = await loadFixture(deployVaultFixture);
+            const balanceBefore = await vault.balanceOf(user1.address);
+
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await time.increase(TWO_DAYS);
+
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.emit(vault, "UpgradeAuthorized")
+                .withArgs(admin.address, newImplementation, anyValue);
+
+            expect(await upgrades.erc1967.getImplementationAddress(await vault.getAddress()))
+                .to.equal(newImplementation);
+            expect(await vault.balanceOf(user1.address)).to.equal(balanceBefore);
+            expect((await vault.pendingUpgrade()).executableAt).to.equal(0);
+
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized");
+        });
+
+        it("Should still require the upgrader role to execute", async function () {
+            const { vault, admin, unauthorized, newImplementation } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await time.increase(TWO_DAYS);
+
+            await expect(vault.connect(unauthorized).upgradeTo(newImplementation))
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Guardian Veto", function () {
+        it("Should let the guardian veto an announced upgrade", async function () {
+            const { vault, admin, guardian, newImplementation } = await loadFixture(deployVaultFixture);
+
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await expect(vault.connect(guardian).vetoUpgrade())
+                .to.emit(vault, "UpgradeVetoed")
+                .withArgs(newImplementation, guardian.address);
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized")
+                .withArgs(newImplementation, 0, "implementation_not_announced");
+        });
+
+        it("Should reject vetoes without a pending upgrade or guardian role", async function () {
+            const { vault, admin, guardian, unauthorized, newImplementation } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(guardian).vetoUpgrade())
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized")
+                .withArgs(ethers.ZeroAddress, 0, "no_pending_upgrade");
+
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await expect(vault.connect(unauthorized).vetoUpgrade())
+                .to.be.revertedWith(/AccessControl.*missing role/);
+        });
+    });
+
+    describe("Delay Configuration", function () {
+        it("Should change the upgrade delay through the parameter timelock", async function () {
+            const { vault, admin, newImplementation } = await loadFixture(deployVaultFixture);
+            const sevenDays = 7 * 24 * 60 * 60;
+
+            await vault.connect(admin).setUpgradeDelay(sevenDays);
+            expect(await vault.upgradeDelay()).to.equal(TWO_DAYS);
+
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).executeParameterChange(await vault.PARAM_UPGRADE_DELAY()))
+                .to.emit(vault, "UpgradeDelayUpdated")
+                .withArgs(TWO_DAYS, sevenDays);
+
+            await vault.connect(admin).announceUpgrade(newImplementation);
+            await time.increase(TWO_DAYS);
+            await expect(vault.connect(admin).upgradeTo(newImplementation))
+                .to.be.revertedWithCustomError(vault, "UpgradeNotAuthorized");
+        });
+
+        it("Should enforce upgrade delay bounds", async function () {
+            const { vault, admin } = await loadFixture(deployVaultFixture);
+
+            await expect(vault.connect(admin).setUpgradeDelay(31 * 24 * 60 * 60))
+                .to.be.revertedWithCustomError(vault, "AdminParameterInvalid");
+        });
+    });
+});
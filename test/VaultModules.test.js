@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
+
+describe("ERC4626YieldVault - Delegatecall Modules", function () {
+    const MODULES = {
+        deposit: ["VaultDepositModule", "depositModule"],
+        withdrawal: ["VaultWithdrawalModule", "withdrawalModule"],
+        nav: ["VaultNAVModule", "navModule"],
+        fee: ["VaultFeeModule", "feeModule"],
+        treasury: ["VaultTreasuryModule", "treasuryModule"],
+        redemption: ["VaultRedemptionModule", "redemptionModule"],
+        riskParameter: ["VaultRiskParameterModule", "riskParameterModule"],
+        parameter: ["VaultParameterModule", "parameterModule"],
+        admin: ["VaultAdminModule", "adminModule"],
+        roles: ["VaultRoleModule", "roleModule"]
+    };
+
+    async function deployVaultFixture() {
+        const [, admin, treasury, user1] = await ethers.getSigners();
+
+        const { vault } = await TestHelpers.deployFullEnvironment({ admin, treasury, roles: {}, users: [user1] });
+        const modules = await TestHelpers.deployVaultModules();
+
+        return { vault, modules, user1 };
+    }
+
+    it("Should expose every module function with the same mutability", async function () {
+        const { vault } = await loadFixture(deployVaultFixture);
+
+        for (const [name] of Object.values(MODULES)) {
+            const module = await ethers.getContractFactory(name);
+            module.interface.forEachFunction((fragment) => {
+                const entry = vault.interface.getFunction(fragment.selector);
+                expect(entry, `${name}.${fragment.format()}`).to.not.be.null;
+                expect(entry.stateMutability, `${name}.${fragment.format()}`).to.equal(fragment.stateMutability);
+            });
+        }
+    });
+
+    it("Should record the module addresses given to the implementation", async function () {
+        const { modules } = await loadFixture(deployVaultFixture);
+
+        const implementation = await ethers.deployContract("ERC4626YieldVault", [modules]);
+        for (const [key, [, getter]] of Object.entries(MODULES)) {
+            expect(await implementation[getter]()).to.equal(modules[key]);
+        }
+    });
+
+    it("Should reject a module without code", async function () {
+        const { modules, user1 } = await loadFixture(deployVaultFixture);
+        const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+
+        await expect(ERC4626YieldVault.deploy({ ...modules, nav: user1.address }))
+            .to.be.revertedWith("Module is not a contract");
+    });
+});
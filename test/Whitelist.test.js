@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { TestHelpers } = require("./helpers/TestHelpers");
 
 describe("ERC4626YieldVault - Whitelist Functionality", function () {
     // Fixture for deploying contracts - simplified version
@@ -17,6 +18,7 @@ describe("ERC4626YieldVault - Whitelist Functionality", function () {
 
         // Deploy vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         const vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
@@ -26,7 +28,7 @@ describe("ERC4626YieldVault - Whitelist Functionality", function () {
                 treasury.address,
                 admin.address
             ],
-            { initializer: "initialize", unsafeAllow: ["constructor"] }
+            { initializer: "initialize", constructorArgs: [modules] }
         );
 
         // Grant roles
@@ -8,51 +8,74 @@ const { time } = require("@nomicfoundation/hardhat-network-helpers");
 class TestHelpers {
     /**
      * Deploy a full test environment
+     * @param {Object} [options]
+     * @param {Object} [options.admin] Vault admin passed to initialize, defaults to the first signer
+     * @param {Object} [options.treasury] Treasury passed to initialize, defaults to the third signer
+     * @param {Object} [options.asset] Asset token to use instead of a new BaseToken administered by the first signer
+     * @param {Object<string, Object[]>} [options.roles] Vault roles to grant, keyed by role constant name
+     * @param {Object[]} [options.users] Accounts that are funded and approve the vault
+     * @param {bigint} [options.mintAmount] Asset amount minted to each user
+     * @param {bigint} [options.depositAmount] Amount each user deposits once funded, no deposit by default
      */
-    static async deployFullEnvironment() {
+    static async deployFullEnvironment(options = {}) {
         const [admin, oracle, treasury, pauser, upgrader, user1, user2, malicious] = await ethers.getSigners();
-
-        // Deploy Base Token
-        const BaseToken = await ethers.getContractFactory("BaseToken");
-        const baseToken = await upgrades.deployProxy(
-            BaseToken,
-            ["Base Token", "BASE", admin.address],
-            { initializer: "initialize", kind: "uups" }
-        );
-        await baseToken.waitForDeployment();
+        const {
+            admin: vaultAdmin = admin,
+            treasury: vaultTreasury = treasury,
+            roles = {
+                ORACLE_ROLE: [oracle],
+                TREASURY_ROLE: [treasury],
+                PAUSER_ROLE: [pauser],
+                UPGRADER_ROLE: [upgrader]
+            },
+            users = [user1, user2, malicious],
+            mintAmount = ethers.parseEther("1000000"),
+            depositAmount = 0n
+        } = options;
+
+        // Deploy Base Token unless an asset is given
+        let baseToken = options.asset;
+        if (!baseToken) {
+            const BaseToken = await ethers.getContractFactory("BaseToken");
+            baseToken = await upgrades.deployProxy(
+                BaseToken,
+                ["Base Token", "BASE", admin.address],
+                { initializer: "initialize", kind: "uups" }
+            );
+            await baseToken.waitForDeployment();
+        }
 
         // Deploy Vault
         const ERC4626YieldVault = await ethers.getContractFactory("ERC4626YieldVault");
+        const modules = await TestHelpers.deployVaultModules();
         const vault = await upgrades.deployProxy(
             ERC4626YieldVault,
             [
                 await baseToken.getAddress(),
                 "Yield Vault Shares",
                 "YVS",
-                treasury.address,
-                admin.address
+                vaultTreasury.address,
+                vaultAdmin.address
             ],
-            { initializer: "initialize", kind: "uups" }
+            { initializer: "initialize", kind: "uups", constructorArgs: [modules] }
         );
         await vault.waitForDeployment();
 
         // Setup roles
-        const ORACLE_ROLE = await vault.ORACLE_ROLE();
-        const TREASURY_ROLE = await vault.TREASURY_ROLE();
-        const PAUSER_ROLE = await vault.PAUSER_ROLE();
-        const UPGRADER_ROLE = await vault.UPGRADER_ROLE();
-        const MINTER_ROLE = await baseToken.MINTER_ROLE();
-
-        await vault.connect(admin).grantRole(ORACLE_ROLE, oracle.address);
-        await vault.connect(admin).grantRole(TREASURY_ROLE, treasury.address);
-        await vault.connect(admin).grantRole(PAUSER_ROLE, pauser.address);
-        await vault.connect(admin).grantRole(UPGRADER_ROLE, upgrader.address);
-        await baseToken.connect(admin).grantRole(MINTER_ROLE, admin.address);
-
-        // Mint tokens for testing
-        const users = [user1, user2, malicious];
+        for (const [role, accounts] of Object.entries(roles)) {
+            const roleId = await vault[role]();
+            for (const account of accounts) {
+                await vault.connect(vaultAdmin).grantRole(roleId, account.address);
+            }
+        }
+
+        // Mint tokens for testing and deposit if requested
         for (const user of users) {
-            await baseToken.connect(admin).mint(user.address, ethers.parseEther("1000000"));
+            await baseToken.connect(admin).mint(user.address, mintAmount);
+            await baseToken.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+            if (depositAmount > 0n) {
+                await vault.connect(user).deposit(depositAmount, user.address);
+            }
         }
 
         return {
@@ -71,6 +94,33 @@ class TestHelpers {
         };
     }
 
+    /**
+     * Deploy the modules the vault implementation delegates to
+     * @returns {Promise<Object>} Module addresses in the shape of the vault constructor's Modules struct
+     */
+    static async deployVaultModules() {
+        const names = {
+            deposit: "VaultDepositModule",
+            withdrawal: "VaultWithdrawalModule",
+            nav: "VaultNAVModule",
+            fee: "VaultFeeModule",
+            treasury: "VaultTreasuryModule",
+            redemption: "VaultRedemptionModule",
+            riskParameter: "VaultRiskParameterModule",
+            parameter: "VaultParameterModule",
+            admin: "VaultAdminModule",
+            roles: "VaultRoleModule"
+        };
+
+        const modules = {};
+        for (const [key, name] of Object.entries(names)) {
+            const module = await ethers.deployContract(name);
+            await module.waitForDeployment();
+            modules[key] = await module.getAddress();
+        }
+        return modules;
+    }
+
     /**
      * Deploy test contracts (MockERC20, TestContract, Malicious contracts)
      */
@@ -143,6 +193,18 @@ class TestHelpers {
         await time.increase(60 * 60 + 1); // 1 hour + 1 second
     }
 
+    /**
+     * Fast forward to the end of a queued parameter change's timelock and execute it
+     * @returns {Promise<Object>} The executeParameterChange transaction
+     */
+    static async executeParameterChange(vault, admin, parameter) {
+        const [, executableAt] = await vault.pendingParameterChanges(parameter);
+        if (BigInt(await time.latest()) < executableAt) {
+            await time.increaseTo(executableAt);
+        }
+        return vault.connect(admin).executeParameterChange(parameter);
+    }
+
     /**
      * Calculate expected shares for a given deposit amount and NAV
      */